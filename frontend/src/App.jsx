@@ -1,16 +1,26 @@
 
-import React, { useState, useEffect } from 'react';
-import imdbGenreMap from './imdbGenreMap.json';
+import React, { useState, useEffect, useRef } from 'react';
 
 // ====== CONFIG ======
-const TMDB_BEARER_TOKEN = import.meta.env.VITE_TMDB_BEARER_TOKEN || '';
-const GOOGLE_API_KEY = import.meta.env.VITE_GOOGLE_API_KEY || '';
+// Le credenziali (TMDB, Google AI) sono solo sul backend: il browser non invia segreti
 const TMDB_API_BASE = 'https://api.themoviedb.org/3';
 
 // backend scraper IMDb
 const IMDB_SCRAPER_BASE_URL =
   import.meta.env.VITE_IMDB_SCRAPER_BASE_URL || 'https://tmdb2plex_be.nasmerlinoalbus.cloud';
 
+// Lingua dei metadati (APP_LOCALE del backend, letta da /api/config): lingua delle
+// ricerche TMDB e ordinamento alfabetico. L'interfaccia resta in italiano.
+let appLocale = { code: 'it', label: 'Italiano', tmdbLanguage: 'it-IT' };
+
+function setAppLocale(locale) {
+  if (locale && locale.code) appLocale = { ...appLocale, ...locale };
+}
+
+function compareText(a, b, options) {
+  return String(a ?? '').localeCompare(String(b ?? ''), appLocale.code, options);
+}
+
 // ====== UTILITY GENERICA: fetch con timeout + retry ======
 async function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -74,39 +84,7 @@ async function fetchWithTimeoutAndRetry(
   throw lastError;
 }
 
-// ====== TRADUZIONE TESTO ======
-async function translateToItalian(text) {
-  if (!text || !text.trim()) return text;
-  
-  try {
-    // Usa l'API pubblica di Google Translate (non ufficiale ma funzionante)
-    const url = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=auto&tl=it&dt=t&q=${encodeURIComponent(text)}`;
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error('Errore nella chiamata API traduzione');
-    }
-    
-    const data = await response.json();
-    
-    // Il risultato è in data[0][x][0] per ogni segmento tradotto
-    if (data && data[0]) {
-      const translated = data[0].map(item => item[0]).join('');
-      return translated;
-    }
-    
-    return text;
-  } catch (error) {
-    console.error('Errore nella traduzione:', error);
-    return text; // Ritorna il testo originale in caso di errore
-  }
-}
-
 // ====== FUNZIONI DI SUPPORTO ======
-// Mappatura universale generi -> generi interni caricata da JSON esterno
-// La chiave è il testo del genere (da qualsiasi fonte), il valore è un array di generi interni.
-const IMDB_GENRE_MAP = imdbGenreMap;
-
 // normalizza una stringa per confronto (minuscolo, trim)
 function normalizeKey(str) {
   if (!str) return '';
@@ -116,90 +94,6 @@ function normalizeKey(str) {
     .toLowerCase();
 }
 
-// Mappa UN genere attraverso l'imdbGenreMap (ritorna array)
-// Se il genere mappa a [] (array vuoto), viene ignorato e non compare nella lista finale
-function mapGenreToInternal(genreName) {
-  if (!genreName || typeof genreName !== "string") return [];
-
-  const normalizedMap = {};
-  Object.entries(IMDB_GENRE_MAP || {}).forEach(([k, v]) => {
-    normalizedMap[normalizeKey(k)] = v || [];
-  });
-
-  const key = genreName.trim();
-  const normKey = normalizeKey(key);
-  const mapped = normalizedMap[normKey];
-
-  // Se il genere è nella mappa, usa il mapping (anche se è array vuoto per ignorare)
-  if (mapped !== undefined) {
-    return mapped;
-  } else {
-    // fallback: usa il genere originale se non mappato
-    return [key];
-  }
-}
-
-// Mappa un array di generi attraverso l'imdbGenreMap (1:N)
-// Filtra anche i generi in OUTPUT che sono marcati come [] nella mappa
-function mapGenresToInternal(genres = []) {
-  const out = [];
-
-  // Crea un Set di generi da escludere (quelli con array vuoto)
-  const excludedGenres = new Set();
-  Object.entries(IMDB_GENRE_MAP || {}).forEach(([k, v]) => {
-    if (Array.isArray(v) && v.length === 0) {
-      excludedGenres.add(normalizeKey(k));
-    }
-  });
-
-  for (const genre of genres) {
-    if (!genre) continue;
-    const mappedGenres = mapGenreToInternal(genre);
-
-    // Filtra i generi generati che sono nell'elenco di esclusione
-    for (const mappedGenre of mappedGenres) {
-      const normMapped = normalizeKey(mappedGenre);
-      if (!excludedGenres.has(normMapped)) {
-        out.push(mappedGenre);
-      }
-    }
-  }
-
-  return sanitizeGenres(out);
-}
-
-const LEADING_ARTICLE_REGEX =
-  /^(?:l['’]|il|lo|la|i|gli|le|un|uno|una|the|a|an)(?:[\s\u00A0'’\-]+|$)/i;
-
-function removeArticles(rawTitle = '') {
-  if (typeof rawTitle !== 'string') return '';
-
-  // Gestisce "L'" con apostrofo attaccato (L'era -> era)
-  const apostropheTest = rawTitle.match(/^l[\u0027\u2019](\w+)/i);
-  if (apostropheTest) {
-    return apostropheTest[1];
-  }
-
-  const sanitized = (rawTitle.normalize ? rawTitle.normalize('NFC') : rawTitle)
-    .replace(/^[\s\u00A0\u00AD\u1680\u180E\u2000-\u200F\u2028-\u202F\u205F\u3000\uFEFF\u2060\u3164\u2800"'“”‘’«»]+/, '')
-    .trimStart();
-
-  if (!sanitized) return '';
-
-  const match = sanitized.match(LEADING_ARTICLE_REGEX);
-  if (match) {
-    const remainder = sanitized
-      .slice(match[0].length)
-      .replace(/^[\-\s\u00A0'’]+/, '')
-      .trim();
-    if (remainder) {
-      return remainder;
-    }
-  }
-
-  return sanitized;
-}
-
 function stripParens(str) {
   if (!str) return '';
   return str.replace(/\s*\([^)]*\)/g, '').trim();
@@ -219,7 +113,25 @@ function sanitizeGenres(list = []) {
 }
 
 function sortGenresAlphabetically(genres = []) {
-  return [...genres].sort((a, b) => a.localeCompare(b, 'it', { sensitivity: 'base' }));
+  return [...genres].sort((a, b) => compareText(a, b, { sensitivity: 'base' }));
+}
+
+// Unisce generi AI ai generi del film (e a quelli mostrati insieme alla collezione)
+function mergeAiGenres(view, genres) {
+  const movieSpecificGenres = sanitizeGenres([
+    ...new Set([...(view.movieSpecificGenres || []), ...genres]),
+  ]);
+  const allGenresSorted = sanitizeGenres([
+    ...new Set([...(view.collectionGenres || []), ...movieSpecificGenres]),
+  ]).sort(compareText);
+
+  return {
+    ...view,
+    generiAi: sanitizeGenres([...new Set([...(view.generiAi || []), ...genres])]),
+    movieSpecificGenres,
+    allGenresSorted,
+    generiBase: allGenresSorted,
+  };
 }
 
 async function copyToClipboard(text, setCopyState, key) {
@@ -248,166 +160,179 @@ async function copyToClipboard(text, setCopyState, key) {
   }
 }
 
-// ====== GOOGLE AI: generazione generi con timeout + retry (solo on demand) ======
-async function getAiGenres(title, overview, genres, existingCollectionGenres) {
-  if (!GOOGLE_API_KEY || GOOGLE_API_KEY === 'LA_TUA_CHIAVE_API_GEMINI_QUI') {
-    console.warn('Chiave API Google non impostata. Salto i generi AI.');
-    return [];
-  }
-
-  const existingGenresString =
-    existingCollectionGenres && existingCollectionGenres.length > 0
-      ? existingCollectionGenres.join(', ')
-      : 'Nessuno';
-
-  const prompt = `
-Procedi per step e verifica bene prima di darmi la risposta che tutto sia in linea con ogni elemento della presente specifica.
-Sei un catalogatore di film per Plex. Il tuo compito è generare 5-8 sotto-generi MOLTO specifici.
-
-DATI DEL FILM:
-- Titolo: ${title}
-- Trama: ${overview}
-- Generi generici da ignorare: ${genres.join(', ')}
-
----
-COMPITO 1: VALIDAZIONE
-Generi già identificati in questa collezione: [${existingGenresString}]
-Analizza il film e decidi quali (se presenti) di questi generi della collezione si applicano ANCHE a questo film specifico.
----
-COMPITO 2: GENERAZIONE
-Genera 2-4 nuovi generi di nicchia SPECIFICI per questo film, che non siano già nella lista della collezione o nei generi generici.
-
----
-REGOLE ASSOLUTE:
-1.  **FORMATO:** Restituisci SOLO un elenco di generi di nicchia, separati da virgola.
-2.  **NON USARE GENERI GENERICI:** Il tuo output NON DEVE contenere generi di base come "Azione", "Commedia", "Dramma", "Animazione", "Fantasy", "Avventura", "Famiglia", "Romantico".
-3.  **LINGUA ITALIANA:** Usa la traduzione italiana. (Esempio: Se pensi a "Coming-of-Age", DEVI usare "Formazione").
-4.  **SEPARAZIONE (IMPORTANTE):** Se un genere è composto da "e" (es. "Cappa e Spada" o "Spade e Stregoneria"), DEVI splittarlo in due generi separati. (Esempio: "Cappa e Spada" -> "Cappa, Spada").
-5.  **QUALITÀ (NON FRASI):** Usa generi REALI. (Esempio: "Fiaba" va bene. "Musical" va bene). NON usare frasi descrittive. (Esempio: "Fiaba di Desideri" è SBAGLIATO. "Intrighi di palazzo" è SBAGLIATO, "Storia di Vendetta" è sbagliato. Non devono essere tag devono essere GENERI CINEMATOGRAFICI). Verifica e ricontrolla sempre se un genere identificato si addice veramente al film oggetto di analisi.
-    -   **SÌ (Generi):** Heist Movie, Slasher, Cyberpunk, Body Horror, Legal Thriller, Found Footage, Commedia Nera, Biografico, Gangster Movie, Musicale, Arti Marziali, Mockumentary, Fantapolitica, Dramma giudiziario, Formazione, Fiaba, Cappa, Spada, Animali, Vendetta, Desideri, Intrighi.
-    -   **NO (Frasi/Temi):** Animali parlanti, Intrighi di palazzo, Storia di Vendetta, Fiaba di Desideri.
-
-Restituisci SOLO l'elenco dei nuovi generi, attinenti al film analizzato, dopo aver verificato che i generi generati siano effettivamente dei validi generi cinematografici. Se non si tratta di generi cinematografici validi non hai svolto correttamente il compito e devi rifare l'attività fino a quando non avrai generato una risposta valida.
-`;
-
-  const googleUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${GOOGLE_API_KEY}`;
-  const apiUrl = CORS_PROXY + encodeURIComponent(googleUrl);
-
-  try {
-    const response = await fetchWithTimeoutAndRetry(
-      apiUrl,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [
-            {
-              parts: [{ text: prompt }],
-            },
-          ],
-        }),
-      },
-      {
-        timeoutMs: 15000,
-        retries: 2,
-        backoffMs: 2000,
-        logPrefix: '[GoogleAI] ',
-      }
-    );
-
-    const data = await response.json();
-
-    if (
-      !data.candidates ||
-      !data.candidates[0] ||
-      !data.candidates[0].content ||
-      !data.candidates[0].content.parts ||
-      !data.candidates[0].content.parts[0]
-    ) {
-      console.error('Risposta AI in formato inatteso:', data);
-      throw new Error('Formato risposta AI non valido.');
+// ====== GENERI AI (via backend): provider e prompt configurati sul backend ======
+// Risposta: { validated, new, review, genres, template, provider, model, runId }
+// (vedi POST /api/ai/genres); templateId vuoto = template attivo
+async function getAiGenres({ tmdbId, title, overview, year, cast, genres, collectionGenres, templateId }) {
+  const response = await fetchWithTimeoutAndRetry(
+    `${IMDB_SCRAPER_BASE_URL}/api/ai/genres`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        id: tmdbId,
+        title,
+        overview,
+        year,
+        cast,
+        genres,
+        collectionGenres: collectionGenres || [],
+        templateId: templateId || undefined,
+      }),
+    },
+    {
+      // i modelli locali possono essere lenti: il timeout vero è AI_TIMEOUT_MS sul backend
+      timeoutMs: 125000,
+      retries: 1,
+      backoffMs: 2000,
+      logPrefix: '[AI] ',
     }
+  );
 
-    const aiText = data.candidates[0].content.parts[0].text || '';
-
-    return aiText
-      .replace(/\n/g, '')
-      .split(',')
-      .map((g) => g.trim())
-      .filter((g) => g);
-  } catch (error) {
-    console.error('Errore durante la chiamata a Google AI:', error);
-    return [];
-  }
+  return response.json();
 }
 
-// ====== IMDb SCRAPER (usa il backend HTML) ======
-async function fetchImdbScraped(imdbId) {
-  if (!imdbId) {
-    throw new Error('IMDb ID mancante');
-  }
-
-  const url = `${IMDB_SCRAPER_BASE_URL}/api/imdb/${encodeURIComponent(
-    imdbId
-  )}`;
-
+async function fetchAiJson(path, options = {}) {
   const res = await fetchWithTimeoutAndRetry(
-    url,
-    { method: 'GET' },
-    { timeoutMs: 15000, retries: 1, backoffMs: 2000, logPrefix: '[IMDbScraper] ' }
+    `${IMDB_SCRAPER_BASE_URL}/api/ai${path}`,
+    {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    },
+    { timeoutMs: 15000, retries: 0, logPrefix: '[AI] ' }
   );
-
-  const data = await res.json();
-  if (data.error) {
-    throw new Error(data.error);
-  }
-  return data; // { imdbId, chips, directors, writers }
+  return res.json();
 }
 
-// ====== COMPONENTE: ImdbScraper ======
-function ImdbScraper({ imdbId, onData }) {
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [result, setResult] = useState(null);
+function formatConfidence(confidence) {
+  return confidence == null ? '' : `${Math.round(confidence * 100)}%`;
+}
 
-  useEffect(() => {
-  let cancelled = false;
+// ====== COMPONENTE: AiGenresResult ======
+// Esito dell'analisi AI: generi della collezione confermati, nuovi generi del
+// vocabolario (già uniti al film) e generi sconosciuti da approvare a mano
+function AiGenresResult({ result, onApprove, onDiscard }) {
+  const renderAccepted = (items) =>
+    items.map((item, i) => (
+      <span key={item.genre}>
+        {i > 0 && ', '}
+        <span title={item.reason || undefined}>
+          {item.genres.join(' / ')}
+          {normalizeKey(item.genre) !== normalizeKey(item.genres.join(' / ')) && (
+            <span style={{ color: '#888' }}> ({item.genre})</span>
+          )}
+          {item.confidence != null && (
+            <span style={{ color: '#888' }}> {formatConfidence(item.confidence)}</span>
+          )}
+        </span>
+      </span>
+    ));
 
-  async function run() {
-    if (!imdbId) return;
-    setError('');
-    setLoading(true);
-    try {
-      const data = await fetchImdbScraped(imdbId);
-      if (cancelled) return;
-      const sanitizedData = {
-        ...data,
-        chips: sanitizeGenres(data.chips || []),
-      };
-      setResult(sanitizedData);
-      // onData NON entra più nelle dipendenze, ma viene comunque chiamato qui
-      onData && onData(sanitizedData);
-    } catch (err) {
-      if (cancelled) return;
-      console.error(err);
-      setError(err.message || 'Errore nel recupero dati IMDb');
-    } finally {
-      if (!cancelled) setLoading(false);
-    }
-  }
+  return (
+    <div style={{ marginTop: 10, fontSize: '0.9em', color: '#444' }}>
+      {result.template && (
+        <div className="genre-help">
+          Prompt "{result.template.name}" v{result.template.version}
+          {result.model && ` · ${result.model}`}
+        </div>
+      )}
+      <div>
+        <strong>Confermati dalla collezione:</strong>{' '}
+        {result.validated.length > 0 ? renderAccepted(result.validated) : 'nessuno'}
+      </div>
+      <div>
+        <strong>Nuovi generi:</strong>{' '}
+        {result.new.length > 0 ? renderAccepted(result.new) : 'nessuno'}
+      </div>
+      {result.review.length > 0 && (
+        <div style={{ marginTop: 6 }}>
+          <strong>Da revisionare</strong>{' '}
+          <span className="genre-help">
+            (fuori dalla mappa generi: non aggiunti, li trovi anche in "📥 Da mappare")
+          </span>
+          <table className="match-table">
+            <thead>
+              <tr>
+                <th>Genere</th>
+                <th>Confidenza</th>
+                <th>Motivazione</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.review.map((item) => (
+                <tr key={item.genre}>
+                  <td>{item.genre}</td>
+                  <td>{formatConfidence(item.confidence) || '—'}</td>
+                  <td>{item.reason}</td>
+                  <td style={{ whiteSpace: 'nowrap' }}>
+                    <button className="copy-button" onClick={() => onApprove(item.genre)} title="Aggiungi al film">
+                      ✅
+                    </button>
+                    <button className="copy-button" onClick={() => onDiscard(item.genre)} title="Scarta">
+                      ✖
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
 
-  run();
+// ====== COMPONENTE: TranslationBadge ======
+// Esito della traduzione di un testo (campo `traduzioni` dei view model del backend)
+function TranslationBadge({ info }) {
+  if (!info) return null;
+  const lang = info.sourceLang ? info.sourceLang.toUpperCase() : '?';
 
-  return () => {
-    cancelled = true;
-  };
-}, [imdbId]);
+  if (info.error) {
+    return (
+      <span className="genre-help" style={{ color: '#C62828', marginLeft: 8 }} title={info.error}>
+        ⚠️ traduzione non riuscita, testo originale ({lang})
+      </span>
+    );
+  }
+  if (info.translated) {
+    return (
+      <span className="genre-help" style={{ marginLeft: 8 }}>
+        🌐 tradotto da {lang}
+        {info.provider && ` (${info.provider})`}
+      </span>
+    );
+  }
+  if (info.sourceLang === appLocale.code) {
+    return (
+      <span className="genre-help" style={{ marginLeft: 8 }}>
+        {info.sourceLang === 'it' ? '🇮🇹 originale italiano' : `✅ originale (${lang})`}
+      </span>
+    );
+  }
+  return (
+    <span className="genre-help" style={{ marginLeft: 8 }}>
+      non tradotto ({lang})
+    </span>
+  );
+}
 
+// etichette delle fonti riportate da /api/movie/:tmdbId
+const SOURCE_LABELS = {
+  tmdbIt: 'TMDB (lingua principale)',
+  tmdbEn: 'TMDB (lingua di ripiego)',
+  imdb: 'IMDb',
+  imdbKeywords: 'Parole chiave IMDb',
+};
 
+// ====== COMPONENTE: ImdbScraper ======
+// Mostra i dati dello scraping IMDb, già raccolti dal backend con /api/movie/:tmdbId
+function ImdbScraper({ imdbId, data: result, error }) {
   return (
     <div className="genre-editor" style={{ marginTop: 20 }}>
       <div className="genre-editor-label">
-        🎬 Dati aggiuntivi da IMDb (scraper HTML)
+        🎬 Dati aggiuntivi da IMDb
       </div>
 
       {imdbId ? (
@@ -418,23 +343,49 @@ function ImdbScraper({ imdbId, onData }) {
         <div className="genre-help">Nessun IMDb ID disponibile da TMDB.</div>
       )}
 
-      {loading && (
-        <div className="genre-help">Scraping IMDb in corso...</div>
-      )}
-
-      {error && <div className="error">{error}</div>}
+      {error && imdbId && <div className="error">{error}</div>}
 
       {result && (
         <div style={{ marginTop: 10, fontSize: '0.9em', color: '#444' }}>
           <div>
             <strong>IMDb ID:</strong> {result.imdbId}
+            {result.sources?.length > 0 && (
+              <span style={{ color: '#888' }}> ({result.sources.join(' + ')})</span>
+            )}
+          </div>
+          {result.rating != null && (
+            <div>
+              <strong>Voto IMDb:</strong> {result.rating}/10
+              {result.voteCount != null &&
+                ` (${result.voteCount.toLocaleString('it-IT')} voti)`}
+            </div>
+          )}
+          {(result.runtimeMinutes || result.releaseDate || result.certificate) && (
+            <div>
+              <strong>Durata / Uscita / Certificato:</strong>{' '}
+              {[
+                result.runtimeMinutes && `${result.runtimeMinutes} min`,
+                result.releaseDate,
+                result.certificate,
+              ]
+                .filter(Boolean)
+                .join(' · ')}
+            </div>
+          )}
+          <div>
+            <strong>Generi IMDb:</strong> {result.genres?.join(', ') || 'N/A'}
           </div>
           <div>
             <strong>Chip IMDb (interessi):</strong>{' '}
-            {result.chips && result.chips.length > 0
-              ? result.chips.join(', ')
-              : 'N/A'}
+            {result.interests && result.interests.length > 0
+              ? result.interests.join(', ')
+              : result.chips?.join(', ') || 'N/A'}
           </div>
+          {result.keywords?.length > 0 && (
+            <div>
+              <strong>Parole chiave IMDb:</strong> {result.keywords.join(', ')}
+            </div>
+          )}
           <div>
             <strong>Registi IMDb (scraper):</strong>{' '}
             {result.directors?.join(', ') || 'N/A'}
@@ -443,384 +394,2822 @@ function ImdbScraper({ imdbId, onData }) {
             <strong>Autori IMDb (scraper):</strong>{' '}
             {result.writers?.join(', ') || 'N/A'}
           </div>
+          {result.cast?.length > 0 && (
+            <div>
+              <strong>Cast IMDb:</strong>{' '}
+              {result.cast
+                .map((c) => (c.character ? `${c.name} (${c.character})` : c.name))
+                .join(', ')}
+            </div>
+          )}
+          {result.countries?.length > 0 && (
+            <div>
+              <strong>Paesi IMDb:</strong> {result.countries.join(', ')}
+            </div>
+          )}
+          {result.languages?.length > 0 && (
+            <div>
+              <strong>Lingue IMDb:</strong> {result.languages.join(', ')}
+            </div>
+          )}
+          {result.companies?.length > 0 && (
+            <div>
+              <strong>Case di produzione IMDb:</strong> {result.companies.join(', ')}
+            </div>
+          )}
         </div>
       )}
     </div>
   );
 }
 
-// ====== COMPONENTE PRINCIPALE ======
-export default function App() {
-  const [type, setType] = useState(''); // 'collection' | 'movie'
-  const [query, setQuery] = useState('');
-  const [results, setResults] = useState([]);
-  const [resultsVisible, setResultsVisible] = useState(false);
-
-  const [loading, setLoading] = useState(false);
-  const [loadingText, setLoadingText] = useState('Caricamento in corso...');
-  const [error, setError] = useState('');
-
-  const [currentCollection, setCurrentCollection] = useState(null);
-  const [collectionGenres, setCollectionGenres] = useState([]);
-  const [collectionGenresInput, setCollectionGenresInput] = useState('');
-  const [copyState, setCopyState] = useState({});
+// ====== CAST ======
+// Cast nel formato del payload: nome, personaggio, ordine e foto (TMDB + IMDb)
+function castForPayload(view) {
+  return (view.castMerged || view.cast || []).map((actor, i) => ({
+    name: actor.name,
+    character: actor.character || '',
+    order: i,
+    thumb: actor.profileUrl || '',
+  }));
+}
 
-  const [collectionDetailsView, setCollectionDetailsView] = useState(null);
-  const [movieDetailsView, setMovieDetailsView] = useState(null);
+// Cast come testo "Attore (Personaggio)", uno per riga
+function castToText(cast = []) {
+  return cast
+    .map((a) => (a.character ? `${a.name} (${a.character})` : a.name))
+    .join('\n');
+}
 
-  const [aiLoading, setAiLoading] = useState(false);
-  const [aiError, setAiError] = useState('');
-  
-  const [collectionCycleIndex, setCollectionCycleIndex] = useState(0);
-  const [movieCycleIndex, setMovieCycleIndex] = useState(0);
+// ====== PLEX: invio diretto dei metadati ======
+// Converte il view model del film nel payload atteso da PUT /api/plex/metadata/:ratingKey
+function buildPlexPayload(view) {
+  const directorsArr = view.directorsMerged || view.directors.map((d) => d.name);
+  const writersArr = view.writersMerged || view.writers.map((w) => w.name);
+  const genres =
+    view.allGenresSorted && view.allGenresSorted.length > 0
+      ? view.allGenresSorted
+      : view.generiBase || [];
+
+  return {
+    titolo: view.titolo,
+    titoloOrdinamento: view.titoloOrdinamento,
+    titoloOriginale: view.titoloOriginale,
+    dataUscita: view.dataUscita,
+    // "Non disponibile" è solo un'etichetta per la UI, non va scritta su Plex
+    contentRating: view.contentRating === 'Non disponibile' ? '' : view.contentRating,
+    studio: view.studio,
+    tagline: view.tagline,
+    riassunto: view.riassunto,
+    generi: genres,
+    registi: directorsArr.map(stripParens).filter(Boolean),
+    autori: writersArr.map(stripParens).filter(Boolean),
+    produttori: view.producers.map((p) => stripParens(p.name)).filter(Boolean),
+    paesi: view.paesi,
+    attori: castForPayload(view),
+  };
+}
 
-  const hasTmdbConfig = !!TMDB_BEARER_TOKEN;
+async function fetchPlexJson(path, options = {}, { timeoutMs = 20000 } = {}) {
+  const res = await fetchWithTimeoutAndRetry(
+    `${IMDB_SCRAPER_BASE_URL}/api/plex/${path}`,
+    {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    },
+    { timeoutMs, retries: 0, logPrefix: '[Plex] ' }
+  );
+  return res.json();
+}
 
-  const handleSelectType = (newType) => {
-    setType(newType);
-    setCurrentCollection(null);
-    setCollectionGenres([]);
-    setCollectionGenresInput('');
-    setResults([]);
-    setResultsVisible(false);
-    setCollectionDetailsView(null);
-    setMovieDetailsView(null);
-    setQuery('');
-    setError('');
-    setAiError('');
+// ====== EXPORT NFO / KOMETA ======
+// Film nel formato di /api/export: payload Plex + id e blocco <set> della collezione
+function buildExportMovie(view, collectionView = null) {
+  return {
+    ...buildPlexPayload(view),
+    tmdbId: view.tmdbId,
+    imdbId: view.imdbId || null,
+    collection: collectionView
+      ? { titolo: collectionView.titolo, riassunto: collectionView.riassunto }
+      : null,
   };
+}
 
-  // ====== RICERCA TMDB ======
-  const handleSearch = async () => {
-    if (!query.trim()) {
-      setError('Inserisci un termine di ricerca');
-      return;
-    }
-    if (!type) {
-      setError('Seleziona prima "Collezione" o "Film"');
-      return;
-    }
-    if (!hasTmdbConfig) {
-      setError(
-        'Configura la chiave TMDB (VITE_TMDB_BEARER_TOKEN) prima di usare la ricerca.'
-      );
-      return;
-    }
+// Scarica il file generato dal backend (movie.nfo, zip della collezione, YAML Kometa)
+async function downloadExport(path, body, filename) {
+  const res = await fetchWithTimeoutAndRetry(
+    `${IMDB_SCRAPER_BASE_URL}/api/export/${path}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    },
+    { timeoutMs: 30000, retries: 0, logPrefix: '[Export] ' }
+  );
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ====== COMPONENTE: PlexPush ======
+function PlexPush({ movieView, onStatusChange }) {
+  const [query, setQuery] = useState(movieView.titoloOriginale || '');
+  const [results, setResults] = useState([]);
+  const [ratingKey, setRatingKey] = useState(movieView.plexRatingKey || '');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [outcome, setOutcome] = useState(null);
 
+  const handlePlexSearch = async () => {
+    if (!query.trim()) return;
     setError('');
     setLoading(true);
-    setLoadingText('Caricamento in corso...');
-    setResultsVisible(false);
-    setResults([]);
-
     try {
-      const endpoint = type === 'collection' ? 'search/collection' : 'search/movie';
-
-      const res = await fetch(
-        `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/${endpoint}?query=${encodeURIComponent(query)}&include_adult=true&language=it-IT&page=1`,
-        {
-          headers: {
-            Authorization: `Bearer ${TMDB_BEARER_TOKEN}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      if (!res.ok) {
-        const text = await res.text();
-        console.error('Errore dettagliato ricerca:', text);
-        throw new Error('Errore nella ricerca TMDB');
-      }
-
-      const data = await res.json();
+      const data = await fetchPlexJson(`search?query=${encodeURIComponent(query)}`);
       setResults(data.results || []);
-      setResultsVisible(true);
+      if (!data.results || data.results.length === 0) {
+        setError('Nessun film trovato in Plex');
+      }
     } catch (err) {
       console.error(err);
-      setError(
-        'Errore durante la ricerca: ' +
-          (err.message || 'vedi console per maggiori dettagli')
-      );
+      setError(err.message || 'Errore ricerca Plex');
     } finally {
       setLoading(false);
     }
   };
 
-  // ====== DETTAGLI COLLEZIONE ======
-  const loadCollectionDetails = async (id) => {
-    if (!hasTmdbConfig) return;
-
-    setLoading(true);
-    setLoadingText('Caricamento dettagli collezione...');
+  const handlePush = async () => {
+    if (!ratingKey.trim()) {
+      setError('Seleziona un elemento Plex o inserisci il ratingKey');
+      return;
+    }
     setError('');
-    setMovieDetailsView(null);
-
+    setOutcome(null);
+    setLoading(true);
     try {
-      const resIT = await fetch(
-        `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/collection/${id}?language=it-IT`,
+      // con tmdbId il backend segna il film "completato" con i metadati inviati
+      const data = await fetchPlexJson(
+        `metadata/${encodeURIComponent(ratingKey.trim())}?tmdbId=${encodeURIComponent(movieView.tmdbId)}`,
         {
-          headers: {
-            Authorization: `Bearer ${TMDB_BEARER_TOKEN}`,
-            'Content-Type': 'application/json',
-          },
+          method: 'PUT',
+          body: JSON.stringify(buildPlexPayload(movieView)),
         }
       );
-      if (!resIT.ok) throw new Error('Errore dettagli collezione (IT)');
-      const dataIT = await resIT.json();
-
-      if (!dataIT.overview || !dataIT.overview.trim()) {
-        const resEN = await fetch(
-          `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/collection/${id}?language=en-US`,
-          {
-            headers: {
-              Authorization: `Bearer ${TMDB_BEARER_TOKEN}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-        if (resEN.ok) {
-          const dataEN = await resEN.json();
-          if (dataEN.overview && dataEN.overview.trim()) {
-            dataIT.overview = dataEN.overview;
-          }
-        }
-      }
-
-      setCurrentCollection(dataIT);
-      setCollectionGenres([]);
-      setCollectionGenresInput('');
-      const collectionView = await buildCollectionView(dataIT, []);
-      setCollectionDetailsView(collectionView);
+      setOutcome(data);
+      if (data.titleStatus && onStatusChange) onStatusChange(data.titleStatus.id, data.titleStatus);
     } catch (err) {
       console.error(err);
-      setError(
-        'Errore nel recupero dei dettagli della collezione: ' +
-          (err.message || '')
-      );
+      setError(err.message || 'Errore invio a Plex');
     } finally {
       setLoading(false);
     }
   };
 
-  async function buildCollectionView(collection, genres) {
-    const numeroFilm = collection.parts ? collection.parts.length : 0;
-    let titolo = collection.name
-      ? collection.name.replace(/Collection|Collezione/gi, 'Raccolta')
-      : 'Titolo non disponibile';
-    const titoloOrdinamento = removeArticles(titolo);
-
-    const overview =
-      collection.overview && collection.overview.trim()
-        ? collection.overview.trim()
-        : '';
-    
-    // Traduci il riassunto se non è vuoto
-    const originalRiassunto = overview || '';
-    let riassunto = originalRiassunto;
-    if (riassunto) {
-      try {
-        const translated = await translateToItalian(riassunto);
-        riassunto = translated || originalRiassunto; // Fallback al testo originale
-      } catch (error) {
-        console.error('Errore traduzione riassunto collezione:', error);
-        riassunto = originalRiassunto; // Mantiene il testo originale in caso di errore
-      }
-    }
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">📤 Invia a Plex</div>
+
+      <div className="search-box">
+        <input
+          type="text"
+          className="genre-input"
+          placeholder="Cerca il film nella libreria Plex"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handlePlexSearch();
+          }}
+        />
+        <button className="search-button" onClick={handlePlexSearch} disabled={loading}>
+          Cerca
+        </button>
+      </div>
 
-    return {
-      titolo,
-      titoloOrdinamento,
-      riassunto,
-      posterPath: collection.poster_path || null,
-      numeroFilm,
-      parts:
-        collection.parts
-          ?.slice()
-          .sort((a, b) => {
-            const dateA = a.release_date || null;
-            const dateB = b.release_date || null;
-            
-            // Se entrambi hanno data, ordina per data
-            if (dateA && dateB) {
-              return new Date(dateA) - new Date(dateB);
-            }
-            
-            // Se solo A non ha data, metti A dopo B
-            if (!dateA && dateB) {
-              return 1;
-            }
-            
-            // Se solo B non ha data, metti B dopo A
-            if (dateA && !dateB) {
-              return -1;
+      {results.length > 0 && (
+        <div className="tags-container" style={{ marginTop: 10 }}>
+          {results.map((item) => (
+            <div
+              className="tag"
+              key={item.ratingKey}
+              style={{
+                cursor: 'pointer',
+                fontWeight: item.ratingKey === ratingKey ? 'bold' : 'normal',
+              }}
+              onClick={() => setRatingKey(String(item.ratingKey))}
+            >
+              <span className="tag-text">
+                {item.title} {item.year ? `(${item.year})` : ''}
+                {item.librarySectionTitle ? ` • ${item.librarySectionTitle}` : ''}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="search-box" style={{ marginTop: 10 }}>
+        <input
+          type="text"
+          className="genre-input"
+          placeholder="ratingKey Plex"
+          value={ratingKey}
+          onChange={(e) => setRatingKey(e.target.value)}
+        />
+        <button className="search-button" onClick={handlePush} disabled={loading}>
+          {loading ? 'Invio...' : 'Invia a Plex'}
+        </button>
+      </div>
+
+      <div className="genre-help">
+        Scrive titolo, ordinamento, titolo originale, data, classificazione,
+        studio, tagline, riassunto, generi, registi, autori, produttori e
+        paesi sull'elemento scelto e blocca i campi.
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {outcome && (
+        <div style={{ marginTop: 10, fontSize: '0.9em', color: '#444' }}>
+          ✅ Aggiornato “{outcome.previousTitle}” (ratingKey {outcome.ratingKey}):{' '}
+          {outcome.updated.join(', ')}
+          {outcome.titleStatus && ' • 📌 film segnato come completato'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ====== PLEX: abbinamento libreria <-> TMDB ======
+// L'abbinamento (guid tmdb://, guid imdb://, ricerca per titolo e anno) avviene sul
+// backend: la UI mostra solo i risultati
+const MATCH_STATUS_LABELS = {
+  pending: '⏳ In attesa',
+  matched: '✅ Abbinato',
+  ambiguous: '⚠️ Ambiguo',
+  unmatched: '❌ Non trovato',
+  error: '❌ Errore',
+};
+
+const PLEX_PAGE_SIZE = 50;
+// una pagina richiede fino a qualche ricerca TMDB per film
+const PLEX_MATCH_TIMEOUT_MS = 120000;
+
+// ====== COMPONENTE: PlexLibraryMatcher ======
+function PlexLibraryMatcher({ onOpenMovie }) {
+  const [libraries, setLibraries] = useState([]);
+  const [sectionId, setSectionId] = useState('');
+  const [rows, setRows] = useState([]);
+  const [offset, setOffset] = useState(0);
+  const [totalSize, setTotalSize] = useState(0);
+  const [filter, setFilter] = useState('all');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchPlexJson('libraries')
+      .then((data) => {
+        const libs = data.libraries || [];
+        setLibraries(libs);
+        if (libs.length > 0) setSectionId(libs[0].key);
+      })
+      .catch((err) => {
+        console.error(err);
+        setError(err.message || 'Errore lettura librerie Plex');
+      });
+  }, []);
+
+  const updateRow = (ratingKey, patch) =>
+    setRows((prev) =>
+      prev.map((r) => (r.item.ratingKey === ratingKey ? { ...r, ...patch } : r))
+    );
+
+  const loadPage = async (pageOffset) => {
+    if (!sectionId) return;
+    setError('');
+    setLoading(true);
+    try {
+      const data = await fetchPlexJson(
+        `libraries/${encodeURIComponent(sectionId)}/matches?offset=${pageOffset}&limit=${PLEX_PAGE_SIZE}`,
+        {},
+        { timeoutMs: PLEX_MATCH_TIMEOUT_MS }
+      );
+      setOffset(pageOffset);
+      setTotalSize(data.totalSize || 0);
+      setRows(data.items || []);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore lettura libreria Plex');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const chooseCandidate = (ratingKey, candidate) => {
+    updateRow(ratingKey, {
+      status: 'matched',
+      match: { ...candidate, via: 'manual', imdbId: null, candidates: [] },
+    });
+  };
+
+  const counts = rows.reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+  const visibleRows = filter === 'all' ? rows : rows.filter((r) => r.status === filter);
+
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">🗂️ Abbinamento libreria Plex ↔ TMDB</div>
+
+      <div className="search-box">
+        <select
+          className="genre-input"
+          value={sectionId}
+          onChange={(e) => setSectionId(e.target.value)}
+        >
+          {libraries.map((lib) => (
+            <option key={lib.key} value={lib.key}>
+              {lib.title}
+            </option>
+          ))}
+        </select>
+        <button
+          className="search-button"
+          onClick={() => loadPage(0)}
+          disabled={loading || !sectionId}
+        >
+          {loading ? 'Abbinamento...' : 'Carica e abbina'}
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="tags-container" style={{ marginTop: 10 }}>
+            {['all', 'matched', 'ambiguous', 'unmatched', 'error'].map((key) => (
+              <button
+                key={key}
+                className={`type-button ${filter === key ? 'active' : ''}`}
+                style={{ padding: '6px 12px', fontSize: '0.85em' }}
+                onClick={() => setFilter(key)}
+              >
+                {key === 'all' ? `Tutti (${rows.length})` : `${MATCH_STATUS_LABELS[key]} (${counts[key] || 0})`}
+              </button>
+            ))}
+          </div>
+
+          <table className="match-table">
+            <thead>
+              <tr>
+                <th>Plex</th>
+                <th>Stato</th>
+                <th>TMDB</th>
+                <th>IMDb</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map(({ item, status, match, error: rowError }) => (
+                <tr key={item.ratingKey}>
+                  <td>
+                    {item.title} {item.year ? `(${item.year})` : ''}
+                    {item.originalTitle && item.originalTitle !== item.title && (
+                      <div className="genre-help">{item.originalTitle}</div>
+                    )}
+                  </td>
+                  <td>
+                    {MATCH_STATUS_LABELS[status]}
+                    {match?.via && status === 'matched' && (
+                      <div className="genre-help">via {match.via}</div>
+                    )}
+                    {rowError && <div className="genre-help">{rowError}</div>}
+                  </td>
+                  <td>
+                    {status === 'matched' && match ? (
+                      <>
+                        {match.tmdbId}
+                        {match.title && (
+                          <div className="genre-help">
+                            {match.title} {match.year ? `(${match.year})` : ''}
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      (match?.candidates || []).map((c) => (
+                        <div key={c.tmdbId}>
+                          <button
+                            className="copy-button"
+                            title="Scegli questo abbinamento"
+                            onClick={() => chooseCandidate(item.ratingKey, c)}
+                          >
+                            ➕
+                          </button>{' '}
+                          {c.title} {c.year ? `(${c.year})` : ''} • {c.tmdbId}
+                        </div>
+                      ))
+                    )}
+                  </td>
+                  <td>{(status === 'matched' && match?.imdbId) || item.imdbId || '—'}</td>
+                  <td>
+                    {status === 'matched' && match && (
+                      <button
+                        className="copy-button"
+                        title="Apri dettagli film"
+                        onClick={() => onOpenMovie(match.tmdbId, item.ratingKey)}
+                      >
+                        📄
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="search-box" style={{ marginTop: 10, alignItems: 'center' }}>
+            <button
+              className="search-button"
+              onClick={() => loadPage(Math.max(offset - PLEX_PAGE_SIZE, 0))}
+              disabled={loading || offset === 0}
+            >
+              ◀
+            </button>
+            <span className="genre-help">
+              {offset + 1}–{offset + rows.length} di {totalSize}
+            </span>
+            <button
+              className="search-button"
+              onClick={() => loadPage(offset + PLEX_PAGE_SIZE)}
+              disabled={loading || offset + PLEX_PAGE_SIZE >= totalSize}
+            >
+              ▶
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ====== ABBINAMENTO NOMI DEI FILE <-> TMDB ======
+// Il backend ricava titolo, anno, edizione e tag di qualità dai nomi dei file
+// (es. "Il.Signore.degli.Anelli.2001.EXTENDED.1080p.BluRay.mkv") e li cerca su TMDB
+async function fetchFilenamesJson(path, body) {
+  const res = await fetchWithTimeoutAndRetry(
+    `${IMDB_SCRAPER_BASE_URL}/api/filenames/${path}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    },
+    { timeoutMs: 120000, retries: 0, logPrefix: '[File] ' }
+  );
+  return res.json();
+}
+
+// nome di file "da scena" o con estensione video, da cercare dopo averlo analizzato
+function looksLikeFilename(text) {
+  const value = text.trim();
+  return /\.(mkv|mp4|m4v|avi|mov|wmv|mpe?g|m2?ts|iso|webm)$/i.test(value) || /^[^\s]+(\.[^\s.]+){3,}$/.test(value);
+}
+
+function confidenceClass(confidence) {
+  if (confidence >= 0.75) return 'confidence-high';
+  if (confidence >= 0.5) return 'confidence-medium';
+  return 'confidence-low';
+}
+
+function formatParsedFile(parsed) {
+  return [
+    parsed.year,
+    parsed.season != null &&
+      `S${String(parsed.season).padStart(2, '0')}${
+        parsed.episode != null ? `E${String(parsed.episode).padStart(2, '0')}` : ''
+      }`,
+    ...(parsed.tags || []),
+  ]
+    .filter(Boolean)
+    .join(' • ');
+}
+
+// ====== COMPONENTE: FilenameMatcher ======
+function FilenameMatcher({ onOpen }) {
+  const [text, setText] = useState('');
+  const [kind, setKind] = useState('auto');
+  const [rows, setRows] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const appendLines = (lines) =>
+    setText((prev) => [prev.trim(), ...lines].filter(Boolean).join('\n'));
+
+  // elenco della cartella salvato su file (ls, dir, find...): le righe vengono ripulite dal backend
+  const handleListingFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      appendLines([await file.text()]);
+    } catch (err) {
+      console.error(err);
+      setError('Impossibile leggere il file: ' + (err.message || ''));
+    }
+  };
+
+  // cartella scelta dal browser: servono solo i nomi, i file non vengono caricati
+  const handleFolder = (e) => {
+    const names = Array.from(e.target.files || []).map((file) => file.name);
+    e.target.value = '';
+    appendLines(names);
+  };
+
+  const handleMatch = async () => {
+    if (!text.trim()) {
+      setError('Incolla almeno un nome di file');
+      return;
+    }
+    setError('');
+    setLoading(true);
+    try {
+      const data = await fetchFilenamesJson('match', { listing: text, kind });
+      setRows(data.items || []);
+      setFilter('all');
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore abbinamento file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const chooseCandidate = (filename, tmdbId) =>
+    setRows((prev) =>
+      prev.map((row) => {
+        if (row.filename !== filename) return row;
+        const best = row.candidates.find((c) => c.tmdbId === tmdbId);
+        return best ? { ...row, best, status: 'matched', confidence: best.confidence, manual: true } : row;
+      })
+    );
+
+  const copyMatches = () => {
+    const lines = rows
+      .filter((row) => row.status === 'matched' && row.best)
+      .map((row) => [row.filename, row.best.kind, row.best.tmdbId, row.best.title, row.best.year || ''].join('\t'));
+    navigator.clipboard.writeText(lines.join('\n')).catch((err) => console.error(err));
+  };
+
+  const counts = rows.reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+  const visibleRows = filter === 'all' ? rows : rows.filter((r) => r.status === filter);
+
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">🎞️ Abbinamento nomi dei file ↔ TMDB</div>
+      <textarea
+        className="genre-input"
+        rows={8}
+        style={{ fontFamily: 'monospace', fontSize: '0.85em' }}
+        placeholder={'Un nome di file per riga, es.\nIl.Signore.degli.Anelli.2001.EXTENDED.1080p.BluRay.mkv'}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <div className="search-box" style={{ marginTop: 10, alignItems: 'center' }}>
+        <select className="search-input" value={kind} onChange={(e) => setKind(e.target.value)}>
+          <option value="auto">Film o serie (dal nome)</option>
+          <option value="movie">Solo film</option>
+          <option value="tv">Solo serie TV</option>
+        </select>
+        <label className="copy-button" title="Elenco dei file di una cartella (ls, dir...)">
+          📄 Carica elenco
+          <input type="file" accept=".txt,.csv,.lst,text/plain" hidden onChange={handleListingFile} />
+        </label>
+        <label className="copy-button" title="Legge solo i nomi dei file della cartella">
+          📁 Scegli cartella
+          <input type="file" webkitdirectory="" multiple hidden onChange={handleFolder} />
+        </label>
+        <button className="search-button" onClick={handleMatch} disabled={loading}>
+          {loading ? 'Ricerca...' : 'Cerca su TMDB'}
+        </button>
+      </div>
+      <div className="genre-help">
+        Si possono incollare anche righe di ls -l, dir o find: percorsi, sottotitoli,
+        immagini e sample vengono ignorati (al massimo 200 file per ricerca).
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="tags-container" style={{ marginTop: 10 }}>
+            {['all', 'matched', 'ambiguous', 'unmatched', 'error'].map((key) => (
+              <button
+                key={key}
+                className={`type-button ${filter === key ? 'active' : ''}`}
+                style={{ padding: '6px 12px', fontSize: '0.85em' }}
+                onClick={() => setFilter(key)}
+              >
+                {key === 'all' ? `Tutti (${rows.length})` : `${MATCH_STATUS_LABELS[key]} (${counts[key] || 0})`}
+              </button>
+            ))}
+            <button className="copy-button" onClick={copyMatches} title="Copia file e id TMDB abbinati (TSV)">
+              📋 Copia abbinati
+            </button>
+          </div>
+
+          <table className="match-table">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Stato</th>
+                <th>TMDB</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row) => (
+                <tr key={row.filename}>
+                  <td>
+                    <div className="genre-help">{row.filename}</div>
+                    <strong>{row.parsed.title}</strong>
+                    <div className="genre-help">{formatParsedFile(row.parsed)}</div>
+                  </td>
+                  <td>
+                    {MATCH_STATUS_LABELS[row.status]}
+                    {row.best && (
+                      <span className={`status-badge ${confidenceClass(row.confidence)}`}>
+                        {Math.round(row.confidence * 100)}%
+                      </span>
+                    )}
+                    {row.manual && <div className="genre-help">scelto a mano</div>}
+                    {row.error && <div className="genre-help">{row.error}</div>}
+                  </td>
+                  <td>
+                    {row.best && (
+                      <>
+                        {SESSION_KIND_LABELS[row.best.kind]} {row.best.title}{' '}
+                        {row.best.year ? `(${row.best.year})` : ''} • {row.best.tmdbId}
+                      </>
+                    )}
+                    {row.candidates.length > 1 && (
+                      <div>
+                        <select
+                          value={row.best?.tmdbId || ''}
+                          onChange={(e) => chooseCandidate(row.filename, e.target.value)}
+                        >
+                          {row.candidates.map((c) => (
+                            <option key={c.tmdbId} value={c.tmdbId}>
+                              {c.title} {c.year ? `(${c.year})` : ''} • {Math.round(c.confidence * 100)}%
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    {row.best && (
+                      <button
+                        className="copy-button"
+                        title="Apri dettagli"
+                        onClick={() => onOpen(row.best.kind, row.best.tmdbId)}
+                      >
+                        📄
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ====== COMPONENTE: GenreMapEditor ======
+async function fetchGenreMapJson(path = '', options = {}) {
+  const res = await fetchWithTimeoutAndRetry(
+    `${IMDB_SCRAPER_BASE_URL}/api/genre-map${path}`,
+    {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    },
+    { timeoutMs: 15000, retries: 0, logPrefix: '[GenreMap] ' }
+  );
+  return res.status === 204 ? null : res.json();
+}
+
+// righe mostrate al massimo: la mappa ha centinaia di voci
+const GENRE_MAP_VISIBLE_ROWS = 100;
+
+const EMPTY_GENRE_FORM = { originalKey: null, key: '', genres: '' };
+
+const UNMAPPED_SOURCE_LABELS = {
+  tmdb: 'TMDB',
+  imdb: 'IMDb',
+  ai: 'AI',
+};
+
+// titoli mostrati per ogni token della coda "da mappare"
+const UNMAPPED_VISIBLE_TITLES = 3;
+
+function GenreMapEditor({ genreMap, onGenreMapChange }) {
+  const [filter, setFilter] = useState('');
+  const [form, setForm] = useState(EMPTY_GENRE_FORM);
+  const [importMode, setImportMode] = useState('merge');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  // coda "da mappare" e generi scritti per ogni token
+  const [queue, setQueue] = useState([]);
+  const [queueInputs, setQueueInputs] = useState({});
+
+  const loadQueue = () =>
+    fetchGenreMapJson('/unmapped')
+      .then((data) => setQueue(data.items || []))
+      .catch((err) => {
+        console.error(err);
+        setError(err.message || 'Errore lettura generi non mappati');
+      });
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  const entries = Object.entries(genreMap || {}).sort(([a], [b]) =>
+    compareText(a, b, { sensitivity: 'base' })
+  );
+  const needle = normalizeKey(filter);
+  const filtered = needle
+    ? entries.filter(
+        ([key, genres]) =>
+          normalizeKey(key).includes(needle) ||
+          genres.some((g) => normalizeKey(g).includes(needle))
+      )
+    : entries;
+
+  // esegue una modifica e ricarica la mappa dal backend
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+      const data = await fetchGenreMapJson();
+      onGenreMapChange(data.map || {});
+      await loadQueue();
+      setMessage(successMessage);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore aggiornamento mappa generi');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveEntry = async (key, genres, originalKey = key) => {
+    const ok = await run(
+      () =>
+        fetchGenreMapJson(`/${encodeURIComponent(originalKey)}`, {
+          method: 'PUT',
+          body: JSON.stringify({ key, genres }),
+        }),
+      genres.length > 0 ? `"${key}" salvato` : `"${key}" ora viene ignorato`
+    );
+    if (ok) setForm(EMPTY_GENRE_FORM);
+  };
+
+  const handleSubmit = (ignore = false) => {
+    const key = form.key.trim();
+    if (!key) {
+      setError('Inserisci il genere da mappare');
+      return;
+    }
+    const genres = ignore ? [] : sanitizeGenres(form.genres.split(','));
+    saveEntry(key, genres, form.originalKey || key);
+  };
+
+  const handleDelete = (key) => {
+    if (!window.confirm(`Eliminare la voce "${key}"?`)) return;
+    run(
+      () => fetchGenreMapJson(`/${encodeURIComponent(key)}`, { method: 'DELETE' }),
+      `"${key}" eliminato`
+    );
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    let map;
+    try {
+      map = JSON.parse(await file.text());
+    } catch (err) {
+      setError(`File JSON non valido: ${err.message}`);
+      return;
+    }
+    if (
+      importMode === 'replace' &&
+      !window.confirm('Sostituire tutta la mappa generi con quella del file?')
+    ) {
+      return;
+    }
+    run(
+      () =>
+        fetchGenreMapJson('/import', {
+          method: 'POST',
+          body: JSON.stringify({ map, mode: importMode }),
+        }),
+      `Importate ${Object.keys(map).length} voci (${importMode === 'replace' ? 'sostituzione' : 'unione'})`
+    );
+  };
+
+  const mapQueuedToken = (token) => {
+    const genres = sanitizeGenres((queueInputs[token] || '').split(','));
+    if (genres.length === 0) {
+      setError(`Scrivi i generi interni per "${token}" oppure usa 🚫 per ignorarlo`);
+      return;
+    }
+    saveEntry(token, genres);
+  };
+
+  const dismissQueuedToken = (token) =>
+    run(
+      () => fetchGenreMapJson(`/unmapped/${encodeURIComponent(token)}`, { method: 'DELETE' }),
+      `"${token}" tolto dalla coda`
+    );
+
+  const handleReset = () => {
+    if (!window.confirm('Ripristinare la mappa generi originale (imdbGenreMap.json)?')) return;
+    run(() => fetchGenreMapJson('/reset', { method: 'POST' }), 'Mappa generi ripristinata');
+  };
+
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">🏷️ Mappa generi ({entries.length} voci)</div>
+      <div className="genre-help">
+        Ogni voce trasforma un genere (TMDB, IMDb, parole chiave, AI) in uno o più generi
+        interni. Una voce senza generi viene ignorata. Le modifiche valgono subito.
+      </div>
+
+      <div className="search-box" style={{ marginTop: 10 }}>
+        <input
+          type="text"
+          className="genre-input"
+          placeholder="Genere di origine (es. Heist)"
+          value={form.key}
+          onChange={(e) => setForm((prev) => ({ ...prev, key: e.target.value }))}
+        />
+        <input
+          type="text"
+          className="genre-input"
+          placeholder="Generi interni separati da virgola (es. Colpo Grosso, Crimine)"
+          value={form.genres}
+          onChange={(e) => setForm((prev) => ({ ...prev, genres: e.target.value }))}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSubmit();
+          }}
+        />
+        <button className="search-button" onClick={() => handleSubmit()} disabled={busy}>
+          {form.originalKey ? 'Salva' : 'Aggiungi'}
+        </button>
+        <button
+          className="search-button"
+          onClick={() => handleSubmit(true)}
+          disabled={busy}
+          title="Salva la voce come [] (genere ignorato)"
+        >
+          🚫 Ignora
+        </button>
+        {form.originalKey && (
+          <button
+            className="search-button"
+            onClick={() => setForm(EMPTY_GENRE_FORM)}
+            disabled={busy}
+          >
+            Annulla
+          </button>
+        )}
+      </div>
+
+      <div className="search-box" style={{ marginTop: 10, alignItems: 'center' }}>
+        <input
+          type="text"
+          className="genre-input"
+          placeholder="Cerca nella mappa..."
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+        <a
+          className="search-button"
+          style={{ textDecoration: 'none' }}
+          href={`${IMDB_SCRAPER_BASE_URL}/api/genre-map/export`}
+        >
+          ⬇️ Esporta JSON
+        </a>
+        <select
+          className="genre-input"
+          style={{ maxWidth: 160 }}
+          value={importMode}
+          onChange={(e) => setImportMode(e.target.value)}
+        >
+          <option value="merge">Import: unisci</option>
+          <option value="replace">Import: sostituisci</option>
+        </select>
+        <label className="search-button">
+          ⬆️ Importa JSON
+          <input
+            type="file"
+            accept="application/json,.json"
+            style={{ display: 'none' }}
+            disabled={busy}
+            onChange={(e) => {
+              handleImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <button className="search-button" onClick={handleReset} disabled={busy}>
+          ↺ Ripristina
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {message && <div className="genre-help">✅ {message}</div>}
+
+      <div className="genre-editor-label" style={{ marginTop: 20 }}>
+        📥 Da mappare ({queue.length})
+      </div>
+      {queue.length === 0 ? (
+        <div className="genre-help">Nessun genere non mappato incontrato finora.</div>
+      ) : (
+        <table className="match-table">
+          <thead>
+            <tr>
+              <th>Token</th>
+              <th>Visto</th>
+              <th>Titoli</th>
+              <th>Generi interni</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {queue.map((item) => (
+              <tr key={item.token}>
+                <td>{item.token}</td>
+                <td>
+                  {item.count}×
+                  <div className="genre-help">
+                    {Object.entries(item.sources)
+                      .map(([source, n]) => `${UNMAPPED_SOURCE_LABELS[source] || source} ${n}`)
+                      .join(' · ')}
+                  </div>
+                </td>
+                <td>
+                  {item.titles.slice(0, UNMAPPED_VISIBLE_TITLES).map((t) => (
+                    <div key={`${t.kind}:${t.id}`}>{t.title || t.id}</div>
+                  ))}
+                  {item.titles.length > UNMAPPED_VISIBLE_TITLES && (
+                    <div className="genre-help">
+                      +{item.titles.length - UNMAPPED_VISIBLE_TITLES} altri
+                    </div>
+                  )}
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    className="genre-input"
+                    placeholder="es. Dramma, Storico"
+                    value={queueInputs[item.token] || ''}
+                    onChange={(e) =>
+                      setQueueInputs((prev) => ({ ...prev, [item.token]: e.target.value }))
+                    }
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') mapQueuedToken(item.token);
+                    }}
+                  />
+                </td>
+                <td style={{ whiteSpace: 'nowrap' }}>
+                  <button
+                    className="copy-button"
+                    title="Aggiungi alla mappa generi"
+                    disabled={busy}
+                    onClick={() => mapQueuedToken(item.token)}
+                  >
+                    ✅
+                  </button>
+                  <button
+                    className="copy-button"
+                    title="Ignora questo genere (voce [])"
+                    disabled={busy}
+                    onClick={() => saveEntry(item.token, [])}
+                  >
+                    🚫
+                  </button>
+                  <button
+                    className="copy-button"
+                    title="Togli dalla coda senza mappare"
+                    disabled={busy}
+                    onClick={() => dismissQueuedToken(item.token)}
+                  >
+                    ✖
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="genre-editor-label" style={{ marginTop: 20 }}>
+        📖 Voci della mappa
+      </div>
+      <table className="match-table">
+        <thead>
+          <tr>
+            <th>Genere di origine</th>
+            <th>Generi interni</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {filtered.slice(0, GENRE_MAP_VISIBLE_ROWS).map(([key, genres]) => (
+            <tr key={key}>
+              <td>{key}</td>
+              <td>
+                {genres.length > 0 ? (
+                  genres.join(', ')
+                ) : (
+                  <span className="collection-genre">ignorato</span>
+                )}
+              </td>
+              <td style={{ whiteSpace: 'nowrap' }}>
+                <button
+                  className="copy-button"
+                  title="Modifica"
+                  onClick={() =>
+                    setForm({ originalKey: key, key, genres: genres.join(', ') })
+                  }
+                >
+                  ✏️
+                </button>
+                {genres.length > 0 && (
+                  <button
+                    className="copy-button"
+                    title="Ignora questo genere"
+                    disabled={busy}
+                    onClick={() => saveEntry(key, [])}
+                  >
+                    🚫
+                  </button>
+                )}
+                <button
+                  className="copy-button"
+                  title="Elimina"
+                  disabled={busy}
+                  onClick={() => handleDelete(key)}
+                >
+                  🗑️
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {filtered.length > GENRE_MAP_VISIBLE_ROWS && (
+        <div className="genre-help">
+          Mostrate {GENRE_MAP_VISIBLE_ROWS} di {filtered.length} voci: affina la ricerca.
+        </div>
+      )}
+      {filtered.length === 0 && <div className="genre-help">Nessuna voce trovata.</div>}
+    </div>
+  );
+}
+
+// ====== COMPONENTE: GenreRulesEditor ======
+const EMPTY_RULE_CONDITION = { field: 'genres', op: 'includes', value: '' };
+const EMPTY_RULE_ACTION = { type: 'add', genre: '' };
+
+// operatori con più valori (separati da virgola) o senza valore
+const RULE_LIST_OPS = ['includesAll', 'includesAny', 'in'];
+const RULE_VALUELESS_OPS = ['exists', 'notExists'];
+
+async function fetchGenreRulesJson(path = '', options = {}) {
+  const res = await fetchWithTimeoutAndRetry(
+    `${IMDB_SCRAPER_BASE_URL}/api/genre-rules${path}`,
+    {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    },
+    { timeoutMs: 15000, retries: 0, logPrefix: '[GenreRules] ' }
+  );
+  return res.json();
+}
+
+// valori delle condizioni come testo nei campi di input
+function ruleValueToText(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function GenreRulesEditor() {
+  const [rules, setRules] = useState([]);
+  const [schema, setSchema] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const applyResponse = (data) => {
+    // i valori restano testo finché si modifica: è il backend a validarli
+    setRules(
+      (data.rules || []).map((rule) => ({
+        ...rule,
+        conditions: rule.conditions.map((c) => ({ ...c, value: ruleValueToText(c.value) })),
+      }))
+    );
+    setDirty(false);
+  };
+
+  useEffect(() => {
+    fetchGenreRulesJson()
+      .then((data) => {
+        setSchema({ fields: data.fields, operators: data.operators, actions: data.actions });
+        applyResponse(data);
+      })
+      .catch((err) => {
+        console.error(err);
+        setError(err.message || 'Errore lettura regole generi');
+      });
+  }, []);
+
+  const updateRule = (index, patch) => {
+    setRules((prev) => prev.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+    setDirty(true);
+  };
+
+  const updateItem = (index, listKey, itemIndex, patch) => {
+    const rule = rules[index];
+    updateRule(index, {
+      [listKey]: rule[listKey].map((item, i) => (i === itemIndex ? { ...item, ...patch } : item)),
+    });
+  };
+
+  const removeItem = (index, listKey, itemIndex) =>
+    updateRule(index, { [listKey]: rules[index][listKey].filter((_, i) => i !== itemIndex) });
+
+  const moveRule = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= rules.length) return;
+    setRules((prev) => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+    setDirty(true);
+  };
+
+  const addRule = () => {
+    setRules((prev) => [
+      ...prev,
+      {
+        id: '',
+        name: `Nuova regola ${prev.length + 1}`,
+        enabled: true,
+        match: 'all',
+        conditions: [{ ...EMPTY_RULE_CONDITION }],
+        actions: [{ ...EMPTY_RULE_ACTION }],
+      },
+    ]);
+    setDirty(true);
+  };
+
+  const send = async (request, successMessage) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      applyResponse(await request());
+      setMessage(successMessage);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore salvataggio regole generi');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () =>
+    send(
+      () =>
+        fetchGenreRulesJson('', {
+          method: 'PUT',
+          body: JSON.stringify({
+            rules: rules.map((rule) => ({
+              ...rule,
+              conditions: rule.conditions.map((c) =>
+                RULE_LIST_OPS.includes(c.op) ? { ...c, value: c.value.split(',') } : c
+              ),
+            })),
+          }),
+        }),
+      'Regole salvate: valgono dal prossimo film caricato'
+    );
+
+  const handleReset = () => {
+    if (!window.confirm('Ripristinare le regole predefinite?')) return;
+    send(() => fetchGenreRulesJson('/reset', { method: 'POST' }), 'Regole predefinite ripristinate');
+  };
+
+  if (!schema) {
+    return (
+      <div className="genre-editor" style={{ marginTop: 20 }}>
+        <div className="genre-editor-label">🧮 Regole generi</div>
+        {error ? <div className="error">{error}</div> : <div className="genre-help">Caricamento...</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">🧮 Regole generi ({rules.length})</div>
+      <div className="genre-help">
+        Valutate in ordine per ogni film e serie, dopo la mappa generi: ogni regola vede i
+        generi prodotti da quelle precedenti.
+      </div>
+
+      {rules.map((rule, index) => (
+        <div key={index} className="rule-card">
+          <div className="search-box" style={{ alignItems: 'center' }}>
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              title="Regola attiva"
+              onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+            />
+            <input
+              type="text"
+              className="genre-input"
+              value={rule.name}
+              onChange={(e) => updateRule(index, { name: e.target.value })}
+            />
+            <select
+              className="genre-input"
+              style={{ maxWidth: 220 }}
+              value={rule.match}
+              onChange={(e) => updateRule(index, { match: e.target.value })}
+            >
+              <option value="all">tutte le condizioni</option>
+              <option value="any">almeno una condizione</option>
+            </select>
+            <button className="copy-button" title="Su" onClick={() => moveRule(index, -1)}>
+              ⬆️
+            </button>
+            <button className="copy-button" title="Giù" onClick={() => moveRule(index, 1)}>
+              ⬇️
+            </button>
+            <button
+              className="copy-button"
+              title="Elimina regola"
+              onClick={() => {
+                setRules((prev) => prev.filter((_, i) => i !== index));
+                setDirty(true);
+              }}
+            >
+              🗑️
+            </button>
+          </div>
+
+          <div className="genre-help">Se</div>
+          {rule.conditions.map((condition, ci) => {
+            const ops = schema.fields[condition.field]?.ops || [];
+            return (
+              <div key={ci} className="search-box rule-row">
+                <select
+                  className="genre-input"
+                  value={condition.field}
+                  onChange={(e) => {
+                    const field = e.target.value;
+                    updateItem(index, 'conditions', ci, {
+                      field,
+                      op: schema.fields[field].ops[0],
+                    });
+                  }}
+                >
+                  {Object.entries(schema.fields).map(([key, spec]) => (
+                    <option key={key} value={key}>
+                      {spec.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  className="genre-input"
+                  value={condition.op}
+                  onChange={(e) => updateItem(index, 'conditions', ci, { op: e.target.value })}
+                >
+                  {ops.map((op) => (
+                    <option key={op} value={op}>
+                      {schema.operators[op]}
+                    </option>
+                  ))}
+                </select>
+                {!RULE_VALUELESS_OPS.includes(condition.op) && (
+                  <input
+                    type="text"
+                    className="genre-input"
+                    placeholder={RULE_LIST_OPS.includes(condition.op) ? 'valori separati da virgola' : 'valore'}
+                    value={condition.value || ''}
+                    onChange={(e) => updateItem(index, 'conditions', ci, { value: e.target.value })}
+                  />
+                )}
+                <button
+                  className="copy-button"
+                  title="Rimuovi condizione"
+                  onClick={() => removeItem(index, 'conditions', ci)}
+                >
+                  ✖
+                </button>
+              </div>
+            );
+          })}
+          <button
+            className="copy-button"
+            onClick={() =>
+              updateRule(index, { conditions: [...rule.conditions, { ...EMPTY_RULE_CONDITION }] })
             }
-            
-            // Se entrambi non hanno data, ordina alfabeticamente per titolo
-            const titleA = (a.title || '').toLowerCase();
-            const titleB = (b.title || '').toLowerCase();
-            return titleA.localeCompare(titleB, 'it');
-          }) || [],
-      collectionGenres: genres,
-    };
+          >
+            ➕ condizione
+          </button>
+
+          <div className="genre-help">Allora</div>
+          {rule.actions.map((action, ai) => (
+            <div key={ai} className="search-box rule-row">
+              <select
+                className="genre-input"
+                value={action.type}
+                onChange={(e) => updateItem(index, 'actions', ai, { type: e.target.value })}
+              >
+                {Object.entries(schema.actions).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                className="genre-input"
+                placeholder="genere"
+                value={action.genre || ''}
+                onChange={(e) => updateItem(index, 'actions', ai, { genre: e.target.value })}
+              />
+              {action.type === 'replace' && (
+                <input
+                  type="text"
+                  className="genre-input"
+                  placeholder="con il genere"
+                  value={action.with || ''}
+                  onChange={(e) => updateItem(index, 'actions', ai, { with: e.target.value })}
+                />
+              )}
+              <button
+                className="copy-button"
+                title="Rimuovi azione"
+                onClick={() => removeItem(index, 'actions', ai)}
+              >
+                ✖
+              </button>
+            </div>
+          ))}
+          <button
+            className="copy-button"
+            onClick={() => updateRule(index, { actions: [...rule.actions, { ...EMPTY_RULE_ACTION }] })}
+          >
+            ➕ azione
+          </button>
+        </div>
+      ))}
+
+      <div className="search-box" style={{ marginTop: 10 }}>
+        <button className="search-button" onClick={addRule} disabled={busy}>
+          ➕ Nuova regola
+        </button>
+        <button className="search-button" onClick={handleSave} disabled={busy || !dirty}>
+          💾 Salva regole
+        </button>
+        <button className="search-button" onClick={handleReset} disabled={busy}>
+          ↺ Ripristina
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {message && <div className="genre-help">✅ {message}</div>}
+    </div>
+  );
+}
+
+// ====== COMPONENTE: AiPromptEditor ======
+// Template dei prompt AI: ogni salvataggio crea una nuova versione, e il
+// registro delle esecuzioni mostra quale versione ha prodotto quali generi
+const AI_RUNS_VISIBLE = 30;
+
+function AiPromptEditor({ prompts, onPromptsChange }) {
+  const [selectedId, setSelectedId] = useState('');
+  const [viewVersion, setViewVersion] = useState(null);
+  const [text, setText] = useState('');
+  const [name, setName] = useState('');
+  const [note, setNote] = useState('');
+  const [runs, setRuns] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const templates = prompts?.templates || [];
+  const selected = templates.find((t) => t.id === selectedId) || templates[0] || null;
+  const latest = selected ? selected.versions[selected.versions.length - 1] : null;
+  const shownVersion =
+    (selected && selected.versions.find((v) => v.version === viewVersion)) || latest;
+  const isLatest = shownVersion === latest;
+
+  // testo e nome ripartono dalla versione mostrata quando si cambia template o versione
+  useEffect(() => {
+    setText(shownVersion?.text || '');
+    setName(selected?.name || '');
+    setNote('');
+  }, [selected?.id, shownVersion?.version]);
+
+  const loadRuns = () => {
+    if (!selected) return;
+    fetchAiJson(`/runs?templateId=${encodeURIComponent(selected.id)}&limit=${AI_RUNS_VISIBLE}`)
+      .then((data) => setRuns(data.runs || []))
+      .catch((err) => console.error('Errore lettura registro AI:', err));
+  };
+
+  useEffect(loadRuns, [selected?.id]);
+
+  const send = async (request, successMessage) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await request();
+      onPromptsChange(await fetchAiJson('/prompts'));
+      setMessage(successMessage);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore salvataggio template prompt');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveVersion = () =>
+    send(async () => {
+      const updated = await fetchAiJson(`/prompts/${encodeURIComponent(selected.id)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ text, name, note }),
+      });
+      setViewVersion(null);
+      return updated;
+    }, 'Template salvato');
+
+  const handleCreate = () => {
+    const newName = window.prompt('Nome del nuovo template (parte dal testo mostrato):');
+    if (!newName) return;
+    send(async () => {
+      const created = await fetchAiJson('/prompts', {
+        method: 'POST',
+        body: JSON.stringify({ name: newName, text, note }),
+      });
+      setSelectedId(created.id);
+      setViewVersion(null);
+    }, `Template "${newName}" creato`);
+  };
+
+  const handleActivate = () =>
+    send(
+      () => fetchAiJson(`/prompts/${encodeURIComponent(selected.id)}/activate`, { method: 'POST' }),
+      `"${selected.name}" è ora il prompt predefinito`
+    );
+
+  const handleDelete = () => {
+    if (!window.confirm(`Eliminare "${selected.name}" con tutte le sue versioni?`)) return;
+    send(async () => {
+      await fetchAiJson(`/prompts/${encodeURIComponent(selected.id)}`, { method: 'DELETE' });
+      setSelectedId('');
+      setViewVersion(null);
+    }, 'Template eliminato');
+  };
+
+  if (!prompts) {
+    return (
+      <div className="genre-editor" style={{ marginTop: 20 }}>
+        <div className="genre-editor-label">🤖 Prompt AI</div>
+        <div className="genre-help">Caricamento...</div>
+      </div>
+    );
   }
 
-  const handleCollectionGenresChange = (value) => {
-    setCollectionGenresInput(value);
-    const arr = sortGenresAlphabetically(
-      Array.from(
-        new Set(
-          sanitizeGenres(
-            value
-              .split(',')
-              .map((g) => g.trim())
-              .filter((g) => g.length > 0)
-          )
-        )
-      )
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">🤖 Prompt AI ({templates.length})</div>
+      <div className="genre-help">
+        Segnaposto:{' '}
+        {Object.entries(prompts.placeholders || {})
+          .map(([key, label]) => `{{${key}}} = ${label}`)
+          .join(' · ')}
+        . La risposta deve restare il JSON con "generiCollezioneValidati" e "nuoviGeneri".
+      </div>
+
+      <div className="search-box" style={{ marginTop: 10, alignItems: 'center' }}>
+        <select
+          className="genre-input"
+          value={selected?.id || ''}
+          onChange={(e) => {
+            setSelectedId(e.target.value);
+            setViewVersion(null);
+          }}
+        >
+          {templates.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+              {t.id === prompts.activeId ? ' (attivo)' : ''}
+            </option>
+          ))}
+        </select>
+        <select
+          className="genre-input"
+          style={{ maxWidth: 260 }}
+          value={shownVersion?.version || ''}
+          onChange={(e) => setViewVersion(Number(e.target.value))}
+        >
+          {[...(selected?.versions || [])].reverse().map((v) => (
+            <option key={v.version} value={v.version}>
+              v{v.version}
+              {v.createdAt ? ` · ${new Date(v.createdAt).toLocaleDateString('it-IT')}` : ''}
+              {v.note ? ` · ${v.note}` : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <input
+        type="text"
+        className="genre-input"
+        placeholder="Nome del template"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <textarea
+        className="genre-input"
+        rows={18}
+        style={{ fontFamily: 'monospace', fontSize: '0.85em' }}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      {!isLatest && (
+        <div className="genre-help">
+          Stai guardando la v{shownVersion.version}: salvando, il testo diventa la v
+          {latest.version + 1}.
+        </div>
+      )}
+      <input
+        type="text"
+        className="genre-input"
+        placeholder="Nota della nuova versione (cosa è cambiato)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+
+      <div className="search-box">
+        <button className="search-button" onClick={handleSaveVersion} disabled={busy || !selected}>
+          💾 Salva nuova versione
+        </button>
+        <button className="search-button" onClick={handleCreate} disabled={busy}>
+          ➕ Nuovo template
+        </button>
+        <button
+          className="search-button"
+          onClick={handleActivate}
+          disabled={busy || !selected || selected.id === prompts.activeId}
+        >
+          ⭐ Usa come predefinito
+        </button>
+        <button
+          className="search-button"
+          onClick={handleDelete}
+          disabled={busy || templates.length < 2}
+        >
+          🗑️ Elimina
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {message && <div className="genre-help">✅ {message}</div>}
+
+      <div className="genre-editor-label" style={{ marginTop: 20 }}>
+        📜 Esecuzioni recenti
+        <button className="copy-button" onClick={loadRuns} title="Aggiorna">
+          🔄
+        </button>
+      </div>
+      {runs.length === 0 ? (
+        <div className="genre-help">Nessuna analisi AI con questo template.</div>
+      ) : (
+        <table className="match-table">
+          <thead>
+            <tr>
+              <th>Data</th>
+              <th>Film</th>
+              <th>Versione</th>
+              <th>Modello</th>
+              <th>Generi</th>
+              <th>Da revisionare</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map((run) => (
+              <tr key={run.id}>
+                <td>{new Date(run.at).toLocaleString('it-IT')}</td>
+                <td>{run.title || run.tmdbId}</td>
+                <td>v{run.template?.version}</td>
+                <td>
+                  {run.model}
+                  <div className="genre-help">{run.provider}</div>
+                </td>
+                <td>
+                  {run.error ? (
+                    <span className="error">{run.error}</span>
+                  ) : (
+                    (run.genres || []).join(', ') || '—'
+                  )}
+                </td>
+                <td>{(run.review || []).map((item) => item.genre).join(', ') || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// ====== STATO DEI TITOLI ======
+// Stato di lavorazione per titolo TMDB (id "movie:<tmdbId>", "tv:..." o "collection:..."),
+// condiviso sul backend: badge nei risultati e nei film della collezione, lista "Da fare"
+const TITLE_STATUS_BADGES = {
+  todo: '⚪ Da fare',
+  'in-progress': '🟡 In corso',
+  done: '✅ Completato',
+  review: '🟠 Da rivedere',
+};
+
+// stati della lista "Da fare": tutto tranne i completati
+const OPEN_TITLE_STATUSES = ['todo', 'in-progress', 'review'];
+
+async function fetchTitleStatusJson(path = '', options = {}) {
+  const res = await fetchWithTimeoutAndRetry(
+    `${IMDB_SCRAPER_BASE_URL}/api/title-status${path}`,
+    {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    },
+    { timeoutMs: 15000, retries: 0, logPrefix: '[Stato titoli] ' }
+  );
+  return res.json();
+}
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('it-IT') : '';
+}
+
+function TitleStatusBadge({ entry }) {
+  if (!entry) return null;
+  const details = [
+    `dal ${formatDateTime(entry.statusChangedAt)}`,
+    entry.assignee && `assegnato a ${entry.assignee}`,
+    entry.appliedAt && `metadati applicati il ${formatDateTime(entry.appliedAt)}`,
+    entry.note,
+  ].filter(Boolean);
+  return (
+    <span className={`status-badge status-${entry.status}`} title={details.join(' • ')}>
+      {TITLE_STATUS_BADGES[entry.status] || entry.status}
+    </span>
+  );
+}
+
+// ====== COMPONENTE: TitleStatusControl ======
+// Stato, assegnatario e nota di un titolo; con "Completato" salva anche i metadati finali
+function TitleStatusControl({ id, title, entry, collectionId = null, metadata = null, onChange }) {
+  const [status, setStatus] = useState(entry?.status || 'in-progress');
+  const [assignee, setAssignee] = useState(entry?.assignee || '');
+  const [note, setNote] = useState(entry?.note || '');
+  const [applied, setApplied] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // i campi ripartono dalla voce salvata quando cambia (es. dopo l'invio a Plex)
+  useEffect(() => {
+    setStatus(entry?.status || 'in-progress');
+    setAssignee(entry?.assignee || '');
+    setNote(entry?.note || '');
+  }, [entry?.updatedAt]);
+
+  const run = async (request) => {
+    setBusy(true);
+    setError('');
+    try {
+      onChange(id, await request());
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore aggiornamento stato');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () =>
+    run(() =>
+      fetchTitleStatusJson(`/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          status,
+          title,
+          assignee,
+          note,
+          ...(collectionId ? { collectionId } : {}),
+          // segnando a mano "completato" si registrano i metadati mostrati
+          ...(status === 'done' && metadata ? { metadata } : {}),
+        }),
+      })
     );
-    setCollectionGenres(arr);
-    if (currentCollection) {
-      buildCollectionView(currentCollection, arr).then(setCollectionDetailsView);
+
+  const handleReset = () =>
+    run(async () => {
+      await fetchTitleStatusJson(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      return null;
+    });
+
+  const toggleApplied = async () => {
+    if (applied) {
+      setApplied(null);
+      return;
+    }
+    try {
+      setApplied((await fetchTitleStatusJson(`/${encodeURIComponent(id)}`)).metadata);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore lettura metadati applicati');
+    }
+  };
+
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">
+        📌 Stato lavorazione
+        {entry ? <TitleStatusBadge entry={entry} /> : <span className="genre-help"> non iniziato</span>}
+      </div>
+      <div className="search-box" style={{ alignItems: 'center' }}>
+        <select className="search-input" value={status} onChange={(e) => setStatus(e.target.value)}>
+          {Object.entries(TITLE_STATUS_BADGES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="genre-input"
+          placeholder="Assegnato a"
+          value={assignee}
+          onChange={(e) => setAssignee(e.target.value)}
+        />
+        <button className="search-button" onClick={handleSave} disabled={busy}>
+          Salva stato
+        </button>
+        {entry && (
+          <button className="search-button" onClick={handleReset} disabled={busy}>
+            ↺ Non iniziato
+          </button>
+        )}
+      </div>
+      <input
+        type="text"
+        className="genre-input"
+        placeholder="Nota (es. manca il poster italiano)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+      {entry && (
+        <div className="genre-help">
+          Aggiornato il {formatDateTime(entry.updatedAt)}
+          {entry.appliedAt && (
+            <>
+              {' '}• metadati applicati il {formatDateTime(entry.appliedAt)}{' '}
+              <button className="copy-button" onClick={toggleApplied} title="Mostra metadati applicati">
+                {applied ? '🔼' : '🔽'}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+      {applied && (
+        <table className="match-table">
+          <tbody>
+            {Object.entries(applied)
+              .filter(([key]) => key !== 'attori')
+              .map(([key, value]) => (
+                <tr key={key}>
+                  <td>{key}</td>
+                  <td>{Array.isArray(value) ? value.join(', ') : String(value ?? '')}</td>
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      )}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+// ====== COMPONENTE: TitleStatusList ======
+// Lista "Da fare" condivisa: filtri per stato, tipo, assegnatario e titolo
+function TitleStatusList({ onOpen, onStatusChange }) {
+  const [items, setItems] = useState(null);
+  const [assignees, setAssignees] = useState([]);
+  const [status, setStatus] = useState(OPEN_TITLE_STATUSES.join(','));
+  const [kind, setKind] = useState('');
+  const [assignee, setAssignee] = useState('');
+  const [filter, setFilter] = useState('');
+  const [error, setError] = useState('');
+
+  const loadItems = () => {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (kind) params.set('kind', kind);
+    if (assignee) params.set('assignee', assignee);
+    if (filter.trim()) params.set('q', filter.trim());
+    setError('');
+    fetchTitleStatusJson(`?${params.toString()}`)
+      .then((data) => {
+        setItems(data.items || []);
+        setAssignees(data.assignees || []);
+      })
+      .catch((err) => {
+        console.error(err);
+        setError(err.message || 'Errore lettura lista');
+      });
+  };
+
+  useEffect(loadItems, [status, kind, assignee]);
+
+  const handleStatus = async (item, nextStatus) => {
+    try {
+      const entry = await fetchTitleStatusJson(`/${encodeURIComponent(item.id)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ status: nextStatus }),
+      });
+      onStatusChange(item.id, entry);
+      loadItems();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore aggiornamento stato');
+    }
+  };
+
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">
+        📋 Da fare
+        <button className="copy-button" onClick={loadItems} title="Aggiorna">
+          🔄
+        </button>
+      </div>
+      <div className="search-box" style={{ alignItems: 'center' }}>
+        <select className="search-input" value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value={OPEN_TITLE_STATUSES.join(',')}>Ancora da completare</option>
+          {Object.entries(TITLE_STATUS_BADGES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+          <option value="">Tutti</option>
+        </select>
+        <select className="search-input" value={kind} onChange={(e) => setKind(e.target.value)}>
+          <option value="">Tutti i tipi</option>
+          {Object.entries(SESSION_KIND_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select className="search-input" value={assignee} onChange={(e) => setAssignee(e.target.value)}>
+          <option value="">Chiunque</option>
+          <option value="-">Non assegnati</option>
+          {assignees.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="search-box">
+        <input
+          type="text"
+          className="genre-input"
+          placeholder="Filtra per titolo"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') loadItems();
+          }}
+        />
+        <button className="search-button" onClick={loadItems}>
+          Filtra
+        </button>
+      </div>
+      <div className="genre-help">
+        I titoli entrano nella lista da "📌 Stato lavorazione" nei dettagli o, per i film di
+        una collezione, con "➕ Aggiungi alla lista"; l'invio a Plex li segna completati.
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {!items ? (
+        <div className="genre-help">Caricamento...</div>
+      ) : items.length === 0 ? (
+        <div className="genre-help">Nessun titolo con questi filtri.</div>
+      ) : (
+        <table className="match-table">
+          <thead>
+            <tr>
+              <th>Titolo</th>
+              <th>Tipo</th>
+              <th>Stato</th>
+              <th>Assegnato a</th>
+              <th>Aggiornato</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => (
+              <tr key={item.id}>
+                <td>
+                  {item.title}
+                  {item.note && <div className="genre-help">{item.note}</div>}
+                </td>
+                <td>{SESSION_KIND_LABELS[item.kind] || item.kind}</td>
+                <td>
+                  <select value={item.status} onChange={(e) => handleStatus(item, e.target.value)}>
+                    {Object.entries(TITLE_STATUS_BADGES).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td>{item.assignee || '—'}</td>
+                <td>{formatDateTime(item.updatedAt)}</td>
+                <td>
+                  <button className="copy-button" title="Apri" onClick={() => onOpen(item)}>
+                    📂
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// ====== CRONOLOGIA SESSIONI ======
+// Lo stato di lavoro (collezione con generi condivisi e risultati dei film, film o
+// serie TV) viene salvato sul backend mentre si lavora; al ricaricamento della
+// pagina si riapre l'ultima sessione di questo browser.
+const SESSION_SAVE_DELAY_MS = 1500;
+const LAST_SESSION_KEY = 'tmdb2plex.lastSession';
+
+const SESSION_KIND_LABELS = {
+  collection: '📚 Collezione',
+  movie: '🎥 Film',
+  tv: '📺 Serie TV',
+};
+
+async function fetchSessionJson(path = '', options = {}) {
+  const res = await fetchWithTimeoutAndRetry(
+    `${IMDB_SCRAPER_BASE_URL}/api/sessions${path}`,
+    {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    },
+    { timeoutMs: 15000, retries: 0, logPrefix: '[Sessioni] ' }
+  );
+  return res.json();
+}
+
+function formatSessionCounts(counts = {}) {
+  return [
+    counts.movies != null && `${counts.movies} film`,
+    counts.seasons != null && `${counts.seasons} stagioni`,
+    counts.genres != null && `${counts.genres} generi`,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+}
+
+// ====== COMPONENTE: SessionHistory ======
+function SessionHistory({ currentId, onOpen }) {
+  const [sessions, setSessions] = useState(null);
+  const [kind, setKind] = useState('');
+  const [error, setError] = useState('');
+
+  const loadSessions = () => {
+    setError('');
+    fetchSessionJson(kind ? `?kind=${kind}` : '')
+      .then((data) => setSessions(data.sessions || []))
+      .catch((err) => {
+        console.error(err);
+        setError(err.message || 'Errore lettura cronologia');
+      });
+  };
+
+  useEffect(loadSessions, [kind]);
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(`Eliminare la sessione "${session.title}" dalla cronologia?`)) return;
+    try {
+      await fetchSessionJson(`/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+      loadSessions();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore eliminazione sessione');
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Svuotare tutta la cronologia delle sessioni?')) return;
+    try {
+      await fetchSessionJson('', { method: 'DELETE' });
+      loadSessions();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Errore eliminazione cronologia');
+    }
+  };
+
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">
+        🕘 Cronologia
+        <button className="copy-button" onClick={loadSessions} title="Aggiorna">
+          🔄
+        </button>
+      </div>
+      <div className="search-box" style={{ alignItems: 'center' }}>
+        <select className="search-input" value={kind} onChange={(e) => setKind(e.target.value)}>
+          <option value="">Tutti i tipi</option>
+          {Object.entries(SESSION_KIND_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          className="search-button"
+          onClick={handleClear}
+          disabled={!sessions || sessions.length === 0}
+        >
+          🗑️ Svuota cronologia
+        </button>
+      </div>
+      <div className="genre-help">
+        Le sessioni si salvano da sole mentre lavori: riaprendole tornano collezione,
+        generi condivisi e risultati dei film senza rifare le richieste.
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {!sessions ? (
+        <div className="genre-help">Caricamento...</div>
+      ) : sessions.length === 0 ? (
+        <div className="genre-help">Nessuna sessione salvata.</div>
+      ) : (
+        <table className="match-table">
+          <thead>
+            <tr>
+              <th>Ultima modifica</th>
+              <th>Tipo</th>
+              <th>Titolo</th>
+              <th>Contenuto</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map((session) => (
+              <tr key={session.id}>
+                <td>{new Date(session.updatedAt).toLocaleString('it-IT')}</td>
+                <td>{SESSION_KIND_LABELS[session.kind] || session.kind}</td>
+                <td>
+                  {session.title}
+                  {session.id === currentId && <div className="genre-help">sessione attuale</div>}
+                </td>
+                <td>{formatSessionCounts(session.counts) || '—'}</td>
+                <td>
+                  <button className="copy-button" title="Riapri" onClick={() => onOpen(session.id)}>
+                    📂
+                  </button>
+                  <button className="copy-button" title="Elimina" onClick={() => handleDelete(session)}>
+                    🗑️
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// ====== COMPONENTE: CollectionBatch ======
+// Elabora tutti i film di una collezione: view model dal backend (con
+// scraping IMDb), generi condivisi calcolati man mano, una riga per film
+const BATCH_STATUS_LABELS = {
+  pending: '⏳ In attesa',
+  loading: '🔄 In corso',
+  done: '✅ Completato',
+  error: '❌ Errore',
+};
+
+const COLLECTION_BATCH_CONCURRENCY = 2;
+
+// colonne della tabella: campi di buildPlexPayload
+const BATCH_COLUMNS = [
+  { key: 'titolo', label: 'Titolo' },
+  { key: 'titoloOrdinamento', label: 'Titolo Ordinamento' },
+  { key: 'titoloOriginale', label: 'Titolo Originale' },
+  { key: 'dataUscita', label: 'Data Uscita' },
+  { key: 'contentRating', label: 'Classificazione' },
+  { key: 'studio', label: 'Studio' },
+  { key: 'tagline', label: 'Tagline' },
+  { key: 'riassunto', label: 'Riassunto' },
+  { key: 'registi', label: 'Registi' },
+  { key: 'paesi', label: 'Paesi' },
+  { key: 'generi', label: 'Generi' },
+  { key: 'autori', label: 'Autori' },
+  { key: 'produttori', label: 'Produttori' },
+];
+
+function CollectionBatch({
+  collection,
+  parts,
+  sharedGenres,
+  initialRows = [],
+  onRowsChange,
+  onMovieGenres,
+  onOpenMovie,
+}) {
+  const [rows, setRows] = useState(initialRows);
+  const [running, setRunning] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const collectionId = collection.tmdbId;
+
+  // righe complete salvate nella sessione a fine elaborazione
+  useEffect(() => {
+    if (!running && onRowsChange) onRowsChange(rows);
+  }, [rows, running]);
+
+  const updateRow = (movieId, patch) =>
+    setRows((prev) => prev.map((r) => (r.part.id === movieId ? { ...r, ...patch } : r)));
+
+  const runBatch = async () => {
+    setRunning(true);
+    setRows(parts.map((part) => ({ part, status: 'pending', vm: null, error: '' })));
+
+    const queue = [...parts];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const part = queue.shift();
+        updateRow(part.id, { status: 'loading' });
+        try {
+          const res = await fetchWithTimeoutAndRetry(
+            `${IMDB_SCRAPER_BASE_URL}/api/plex-metadata/movie/${encodeURIComponent(part.id)}?collectionId=${encodeURIComponent(collectionId)}`,
+            { method: 'GET' },
+            { timeoutMs: 30000, retries: 1, backoffMs: 1500, logPrefix: `[Batch ${part.id}] ` }
+          );
+          const vm = await res.json();
+          const warnings = Object.entries(vm.sources || {})
+            .filter(([name, source]) => !source.ok && (name !== 'imdb' || vm.imdbId))
+            .map(([name]) => SOURCE_LABELS[name] || name);
+
+          // come aprendo il film: i generi TMDB e IMDb vanno nei generi condivisi
+          onMovieGenres([...(vm.generiTmdb || []), ...(vm.generiImdb || [])]);
+          updateRow(part.id, { status: 'done', vm, warnings });
+        } catch (err) {
+          console.error(err);
+          updateRow(part.id, { status: 'error', error: err.message || 'Errore sconosciuto' });
+        }
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: COLLECTION_BATCH_CONCURRENCY }, worker));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // generi finali del film: generi condivisi attuali + generi propri del film
+  const payloadFor = (vm) =>
+    buildPlexPayload({
+      ...vm,
+      allGenresSorted: sortGenresAlphabetically(
+        sanitizeGenres([...new Set([...sharedGenres, ...(vm.movieSpecificGenres || [])])])
+      ),
+    });
+
+  // film elaborati con i generi condivisi attuali
+  const exportMovies = () =>
+    rows
+      .filter((r) => r.vm)
+      .map((r) => buildExportMovie({ ...r.vm, allGenresSorted: payloadFor(r.vm).generi }, collection));
+
+  // zip con un movie.nfo per ogni film elaborato
+  const exportNfoZip = async () => {
+    setExportError('');
+    try {
+      await downloadExport('nfo/collection', {
+        collection: { titolo: collection.titolo, riassunto: collection.riassunto },
+        movies: exportMovies(),
+      }, `${collection.titolo || 'collezione'}.zip`);
+    } catch (err) {
+      console.error(err);
+      setExportError(err.message || 'Errore export NFO');
     }
   };
 
-  const appendGenresToCollection = (newGenres) => {
-    if (!currentCollection || !newGenres || newGenres.length === 0) return;
+  // un unico YAML Kometa: collections + metadata di tutti i film
+  const exportKometa = async () => {
+    setExportError('');
+    try {
+      await downloadExport('kometa/collection', {
+        collection,
+        movies: exportMovies(),
+      }, `${collection.titolo || 'collezione'}.yml`);
+    } catch (err) {
+      console.error(err);
+      setExportError(err.message || 'Errore export Kometa');
+    }
+  };
+
+  const completed = rows.filter((r) => r.status === 'done' || r.status === 'error').length;
+  const failed = rows.filter((r) => r.status === 'error').length;
+
+  return (
+    <div className="genre-editor" style={{ marginTop: 20 }}>
+      <div className="genre-editor-label">⚙️ Elabora intera collezione</div>
+      <div className="search-box" style={{ alignItems: 'center' }}>
+        <button
+          className="search-button"
+          onClick={runBatch}
+          disabled={running || parts.length === 0}
+        >
+          {running ? 'Elaborazione...' : `Elabora tutti i film (${parts.length})`}
+        </button>
+        {rows.length > 0 && (
+          <span className="genre-help">
+            {completed}/{rows.length} elaborati{failed > 0 ? ` • ${failed} con errori` : ''}
+          </span>
+        )}
+        {!running && rows.some((r) => r.vm) && (
+          <>
+            <button className="search-button" onClick={exportNfoZip}>
+              ⬇️ NFO (zip)
+            </button>
+            <button className="search-button" onClick={exportKometa}>
+              ⬇️ Kometa (YAML)
+            </button>
+          </>
+        )}
+      </div>
+      {exportError && <div className="error">{exportError}</div>}
+      {rows.length > 0 && (
+        <progress className="batch-progress" value={completed} max={rows.length} />
+      )}
+
+      {rows.length > 0 && (
+        <div className="batch-table-wrapper">
+          <table className="match-table batch-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Stato</th>
+                {BATCH_COLUMNS.map((col) => (
+                  <th key={col.key}>{col.label}</th>
+                ))}
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ part, status, vm, error, warnings = [] }, index) => {
+                const payload = vm ? payloadFor(vm) : null;
+                return (
+                  <tr key={part.id}>
+                    <td>{index + 1}</td>
+                    <td>
+                      {BATCH_STATUS_LABELS[status]}
+                      {error && <div className="genre-help">{error}</div>}
+                      {warnings.length > 0 && (
+                        <div className="genre-help">⚠️ {warnings.join(', ')} non disponibile</div>
+                      )}
+                    </td>
+                    {BATCH_COLUMNS.map((col) => {
+                      if (!payload) {
+                        return (
+                          <td key={col.key}>{col.key === 'titolo' ? part.title : ''}</td>
+                        );
+                      }
+                      const value = payload[col.key];
+                      const text = Array.isArray(value) ? value.join(', ') : value || '';
+                      return (
+                        <td key={col.key} className={col.key === 'riassunto' ? 'batch-long' : ''} title={text}>
+                          {text}
+                        </td>
+                      );
+                    })}
+                    <td>
+                      {vm && (
+                        <button
+                          className="copy-button"
+                          title="Apri dettagli film"
+                          onClick={() => onOpenMovie(part.id)}
+                        >
+                          📄
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// endpoint TMDB di ricerca per tipo selezionato
+const SEARCH_ENDPOINTS = {
+  collection: 'search/collection',
+  movie: 'search/movie',
+  tv: 'search/tv',
+};
+
+// ====== COMPONENTE PRINCIPALE ======
+export default function App() {
+  const [type, setType] = useState(''); // 'collection' | 'movie' | 'tv' | 'plex' | 'genre-map' | 'genre-rules' | 'ai-prompts' | 'history' | 'todo' | 'files'
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [resultsVisible, setResultsVisible] = useState(false);
+  // nome di file incollato nella ricerca, analizzato dal backend (titolo, anno, tag)
+  const [parsedQuery, setParsedQuery] = useState(null);
+
+  const [loading, setLoading] = useState(false);
+  const [loadingText, setLoadingText] = useState('Caricamento in corso...');
+  const [error, setError] = useState('');
+
+  const [currentCollection, setCurrentCollection] = useState(null);
+  const [collectionGenres, setCollectionGenres] = useState([]);
+  const [collectionGenresInput, setCollectionGenresInput] = useState('');
+  const [copyState, setCopyState] = useState({});
+
+  const [collectionDetailsView, setCollectionDetailsView] = useState(null);
+  const [movieDetailsView, setMovieDetailsView] = useState(null);
+  const [tvDetailsView, setTvDetailsView] = useState(null);
+  // stagioni aperte della serie: { [numero]: { open, loading, data, error } }
+  const [tvSeasons, setTvSeasons] = useState({});
+
+  const [aiLoading, setAiLoading] = useState(false);
+  const [aiError, setAiError] = useState('');
+
+  // sessione salvata sul backend: film aperti della collezione ({ [tmdbId]: view }),
+  // righe dell'elaborazione completa e revisione per ricreare CollectionBatch
+  const [sessionMovies, setSessionMovies] = useState({});
+  const [batchRows, setBatchRows] = useState([]);
+  const [sessionRevision, setSessionRevision] = useState(0);
+  const [sessionSavedAt, setSessionSavedAt] = useState(null);
+  const lastSavedSessionRef = useRef('');
+  
+  const [collectionCycleIndex, setCollectionCycleIndex] = useState(0);
+  const [movieCycleIndex, setMovieCycleIndex] = useState(0);
+
+  // stato di lavorazione dei titoli mostrati: { "movie:603": voce } (senza voce = non iniziato)
+  const [titleStatuses, setTitleStatuses] = useState({});
+
+  // servizi configurati sul backend (GET /api/config)
+  const [backendConfig, setBackendConfig] = useState(null);
+
+  useEffect(() => {
+    fetchWithTimeoutAndRetry(
+      `${IMDB_SCRAPER_BASE_URL}/api/config`,
+      { method: 'GET' },
+      { timeoutMs: 10000, retries: 2, logPrefix: '[Config] ' }
+    )
+      .then((res) => res.json())
+      .then((config) => {
+        setAppLocale(config.locale);
+        setBackendConfig(config);
+      })
+      .catch((err) => {
+        console.error('Errore lettura configurazione backend:', err);
+        setBackendConfig({ tmdb: false, ai: false, plex: false });
+      });
+  }, []);
+
+  // mappa generi del backend, modificabile dalla sezione "Mappa generi"
+  const [genreMap, setGenreMap] = useState({});
 
-    const sanitizedNewGenres = sanitizeGenres(newGenres);
-    if (sanitizedNewGenres.length === 0) return;
+  useEffect(() => {
+    fetchGenreMapJson()
+      .then((data) => setGenreMap(data.map || {}))
+      .catch((err) => console.error('Errore lettura mappa generi:', err));
+  }, []);
 
-    setCollectionGenres((prev) => {
-      const set = new Set(prev);
-      sanitizedNewGenres.forEach((g) => {
-        if (g) set.add(g);
+  // template dei prompt AI (sezione "Prompt AI") e quello scelto per la prossima analisi
+  const [aiPrompts, setAiPrompts] = useState(null);
+  const [aiTemplateId, setAiTemplateId] = useState('');
+
+  useEffect(() => {
+    fetchAiJson('/prompts')
+      .then(setAiPrompts)
+      .catch((err) => console.error('Errore lettura template prompt AI:', err));
+  }, []);
+
+  // finché la configurazione non è nota si prova comunque: sarà il backend a rispondere
+  const hasTmdbConfig = !backendConfig || backendConfig.tmdb;
+  const hasAiConfig = !backendConfig || backendConfig.ai;
+  const aiProviderLabel = backendConfig?.aiProvider
+    ? `${backendConfig.aiProvider.label} · ${backendConfig.aiProvider.model}`
+    : '';
+
+  // ====== STATO DEI TITOLI ======
+  const mergeTitleStatus = (id, entry) => {
+    setTitleStatuses((prev) => {
+      const next = { ...prev };
+      if (entry) next[id] = entry;
+      else delete next[id];
+      return next;
+    });
+  };
+
+  const loadTitleStatuses = async (ids) => {
+    if (ids.length === 0) return;
+    try {
+      const data = await fetchTitleStatusJson(`?ids=${encodeURIComponent(ids.join(','))}`);
+      const found = Object.fromEntries((data.items || []).map((entry) => [entry.id, entry]));
+      setTitleStatuses((prev) => {
+        const next = { ...prev };
+        ids.forEach((id) => {
+          if (found[id]) next[id] = found[id];
+          else delete next[id];
+        });
+        return next;
       });
-      const arr = sortGenresAlphabetically([...set]);
+    } catch (err) {
+      console.error('Errore lettura stato titoli:', err);
+    }
+  };
 
-      if (arr.length === prev.length) {
-        return prev;
-      }
+  // Aggiunge alla lista "Da fare" i film della collezione che non hanno ancora uno stato
+  const addCollectionToTodo = async () => {
+    if (!collectionDetailsView) return;
+    const collectionId = collectionDetailsView.tmdbId;
+    try {
+      await fetchTitleStatusJson('/batch', {
+        method: 'POST',
+        body: JSON.stringify({
+          status: 'todo',
+          onlyNew: true,
+          items: (collectionDetailsView.parts || []).map((part) => ({
+            id: `movie:${part.id}`,
+            title: part.title,
+            collectionId,
+          })),
+        }),
+      });
+      await loadTitleStatuses((collectionDetailsView.parts || []).map((part) => `movie:${part.id}`));
+    } catch (err) {
+      console.error(err);
+      setError('Errore aggiornamento lista da fare: ' + (err.message || ''));
+    }
+  };
 
-      buildCollectionView(currentCollection, arr).then(setCollectionDetailsView);
-      setCollectionGenresInput(arr.join(', '));
-      return arr;
-    });
+  const handleSelectType = (newType) => {
+    setType(newType);
+    setCurrentCollection(null);
+    setCollectionGenres([]);
+    setCollectionGenresInput('');
+    setResults([]);
+    setResultsVisible(false);
+    setCollectionDetailsView(null);
+    setMovieDetailsView(null);
+    setTvDetailsView(null);
+    setTvSeasons({});
+    setSessionMovies({});
+    setBatchRows([]);
+    setSessionSavedAt(null);
+    setQuery('');
+    setParsedQuery(null);
+    setError('');
+    setAiError('');
   };
 
-  const removeGenreFromCollection = (genreToRemove) => {
-    if (!currentCollection) return;
-    setCollectionGenres((prev) => {
-      const arr = prev.filter((g) => g !== genreToRemove);
-      buildCollectionView(currentCollection, arr).then(setCollectionDetailsView);
-      setCollectionGenresInput(arr.join(', '));
-      return arr;
-    });
+  // ====== SESSIONI ======
+  // Stato da salvare per la sessione attuale (null se non c'è niente di aperto)
+  const buildSession = () => {
+    if (collectionDetailsView) {
+      return {
+        id: `collection:${collectionDetailsView.tmdbId}`,
+        title: collectionDetailsView.titolo,
+        posterPath: collectionDetailsView.posterPath,
+        counts: {
+          movies: new Set([
+            ...Object.keys(sessionMovies),
+            ...batchRows.filter((r) => r.vm).map((r) => String(r.part.id)),
+          ]).size,
+          genres: collectionGenres.length,
+        },
+        data: {
+          collectionView: collectionDetailsView,
+          collectionGenres,
+          collectionGenresInput,
+          movies: sessionMovies,
+          openMovieId: movieDetailsView?.isInCollection ? movieDetailsView.tmdbId : null,
+          // solo le righe concluse: un'elaborazione interrotta si rilancia
+          batchRows: batchRows.filter((r) => r.status === 'done' || r.status === 'error'),
+        },
+      };
+    }
+    if (movieDetailsView) {
+      return {
+        id: `movie:${movieDetailsView.tmdbId}`,
+        title: movieDetailsView.titolo,
+        posterPath: movieDetailsView.posterPath,
+        counts: { genres: (movieDetailsView.allGenresSorted || []).length },
+        data: { movieView: movieDetailsView },
+      };
+    }
+    if (tvDetailsView) {
+      // stagioni già caricate, da riaprire chiuse
+      const seasons = Object.fromEntries(
+        Object.entries(tvSeasons)
+          .filter(([, season]) => season.data)
+          .map(([number, season]) => [number, { data: season.data }])
+      );
+      return {
+        id: `tv:${tvDetailsView.tmdbId}`,
+        title: tvDetailsView.titolo,
+        posterPath: tvDetailsView.posterPath,
+        counts: {
+          seasons: Object.keys(seasons).length,
+          genres: (tvDetailsView.allGenresSorted || []).length,
+        },
+        data: { tvView: tvDetailsView, seasons },
+      };
+    }
+    return null;
   };
 
+  const currentSession = buildSession();
 
-  // ====== DETTAGLI FILM ======
-  const loadMovieDetails = async (id, isInCollection) => {
-    if (!hasTmdbConfig) return;
+  // salvataggio automatico, raggruppando le modifiche ravvicinate
+  useEffect(() => {
+    if (!currentSession) return undefined;
+    const { id, ...body } = currentSession;
+    const serialized = JSON.stringify(body);
+    if (serialized === lastSavedSessionRef.current) return undefined;
+
+    const timer = setTimeout(() => {
+      fetchSessionJson(`/${encodeURIComponent(id)}`, { method: 'PUT', body: serialized })
+        .then(() => {
+          lastSavedSessionRef.current = serialized;
+          localStorage.setItem(LAST_SESSION_KEY, id);
+          setSessionSavedAt(new Date());
+        })
+        .catch((err) => console.error('Errore salvataggio sessione:', err));
+    }, SESSION_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [
+    collectionDetailsView,
+    collectionGenres,
+    collectionGenresInput,
+    sessionMovies,
+    batchRows,
+    movieDetailsView,
+    tvDetailsView,
+    tvSeasons,
+  ]);
+
+  // i film aperti dalla collezione restano nella sessione (anche dopo l'analisi AI)
+  useEffect(() => {
+    if (!collectionDetailsView || !movieDetailsView?.isInCollection) return;
+    setSessionMovies((prev) =>
+      prev[movieDetailsView.tmdbId] === movieDetailsView
+        ? prev
+        : { ...prev, [movieDetailsView.tmdbId]: movieDetailsView }
+    );
+  }, [movieDetailsView]);
 
+  // Riapre una sessione salvata senza rifare le richieste a TMDB/IMDb/AI
+  const restoreSession = async (id, { quiet = false } = {}) => {
     setLoading(true);
-    setLoadingText('Caricamento dettagli film...');
+    setLoadingText('Apertura sessione...');
+    try {
+      const { kind, data } = await fetchSessionJson(`/${encodeURIComponent(id)}`);
+      handleSelectType(kind);
+      setSessionRevision((n) => n + 1);
+
+      if (kind === 'collection') {
+        const genres = data.collectionGenres || [];
+        setCurrentCollection(data.collectionView);
+        setCollectionDetailsView(data.collectionView);
+        setCollectionGenres(genres);
+        setCollectionGenresInput(data.collectionGenresInput ?? genres.join(', '));
+        setSessionMovies(data.movies || {});
+        setBatchRows(data.batchRows || []);
+        const openMovie = data.openMovieId && (data.movies || {})[data.openMovieId];
+        if (openMovie) setMovieDetailsView(openMovie);
+      } else if (kind === 'movie') {
+        setMovieDetailsView(data.movieView);
+      } else if (kind === 'tv') {
+        setTvDetailsView(data.tvView);
+        setTvSeasons(
+          Object.fromEntries(
+            Object.entries(data.seasons || {}).map(([number, season]) => [
+              number,
+              { open: false, loading: false, data: season.data, error: '' },
+            ])
+          )
+        );
+      }
+      localStorage.setItem(LAST_SESSION_KEY, id);
+    } catch (err) {
+      console.error(err);
+      if (quiet) {
+        // sessione eliminata o backend non raggiungibile: si riparte da zero
+        localStorage.removeItem(LAST_SESSION_KEY);
+      } else {
+        setError('Errore nell\'apertura della sessione: ' + (err.message || ''));
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const lastId = localStorage.getItem(LAST_SESSION_KEY);
+    if (lastId) restoreSession(lastId, { quiet: true });
+  }, []);
+
+  // badge di stato per risultati di ricerca, film della collezione e titolo aperto
+  useEffect(() => {
+    const ids = [
+      ...(SEARCH_ENDPOINTS[type] ? results.map((item) => `${type}:${item.id}`) : []),
+      ...(collectionDetailsView
+        ? [
+            `collection:${collectionDetailsView.tmdbId}`,
+            ...(collectionDetailsView.parts || []).map((part) => `movie:${part.id}`),
+          ]
+        : []),
+      ...(movieDetailsView ? [`movie:${movieDetailsView.tmdbId}`] : []),
+      ...(tvDetailsView ? [`tv:${tvDetailsView.tmdbId}`] : []),
+    ];
+    loadTitleStatuses([...new Set(ids)]);
+  }, [results, collectionDetailsView?.tmdbId, movieDetailsView?.tmdbId, tvDetailsView?.tmdbId]);
+
+  // Apre il risultato TMDB di un file: film e serie qui si alternano
+  const openMatchedFile = (kind, tmdbId) => {
+    if (kind === 'tv') {
+      setMovieDetailsView(null);
+      loadTvDetails(tmdbId);
+    } else {
+      setTvDetailsView(null);
+      setTvSeasons({});
+      loadMovieDetails(tmdbId, false);
+    }
+  };
+
+  // Apre un titolo della lista "Da fare"
+  const openTitle = ({ kind, tmdbId }) => {
+    handleSelectType(kind);
+    if (kind === 'collection') loadCollectionDetails(tmdbId);
+    else if (kind === 'tv') loadTvDetails(tmdbId);
+    else loadMovieDetails(tmdbId, false);
+  };
+
+  // ====== RICERCA TMDB ======
+  const handleSearch = async () => {
+    if (!query.trim()) {
+      setError('Inserisci un termine di ricerca');
+      return;
+    }
+    if (!type) {
+      setError('Seleziona prima "Collezione", "Film" o "Serie TV"');
+      return;
+    }
+    if (!hasTmdbConfig) {
+      setError(
+        'Configura la chiave TMDB (TMDB_BEARER_TOKEN) sul backend prima di usare la ricerca.'
+      );
+      return;
+    }
+
     setError('');
-    setAiError('');
+    setLoading(true);
+    setLoadingText('Caricamento in corso...');
+    setResultsVisible(false);
+    setResults([]);
+    setParsedQuery(null);
 
     try {
-      const movieResponseIT = await fetch(
-        `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/movie/${id}?language=it-IT`,
-        {
-          headers: {
-            Authorization: `Bearer ${TMDB_BEARER_TOKEN}`,
-            'Content-Type': 'application/json',
-          },
+      const endpoint = SEARCH_ENDPOINTS[type];
+
+      // nome di un file: si cercano solo titolo e anno (le collezioni non hanno anno)
+      const params = new URLSearchParams({
+        query,
+        include_adult: 'true',
+        language: appLocale.tmdbLanguage,
+        page: '1',
+      });
+      if (looksLikeFilename(query)) {
+        const { items } = await fetchFilenamesJson('parse', { filenames: [query.trim()] });
+        const parsed = items[0];
+        if (parsed.title) {
+          setParsedQuery(parsed);
+          params.set('query', parsed.title);
+          if (parsed.year && type === 'movie') params.set('year', String(parsed.year));
+          if (parsed.year && type === 'tv') params.set('first_air_date_year', String(parsed.year));
         }
-      );
-      if (!movieResponseIT.ok)
-        throw new Error('Errore nel recupero dei dettagli IT');
-      const movieIT = await movieResponseIT.json();
+      }
 
-      const movieResponseEN = await fetch(
-        `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/movie/${id}?language=en-US`,
+      const res = await fetch(
+        `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/${endpoint}?${params.toString()}`,
         {
           headers: {
-            Authorization: `Bearer ${TMDB_BEARER_TOKEN}`,
             'Content-Type': 'application/json',
           },
         }
       );
-      if (!movieResponseEN.ok)
-        throw new Error('Errore nel recupero dei dettagli EN');
-      const movieEN = await movieResponseEN.json();
 
-      const creditsResponse = await fetch(
-        `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/movie/${id}/credits?language=it-IT`,
-        {
-          headers: {
-            Authorization: `Bearer ${TMDB_BEARER_TOKEN}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-      const credits = creditsResponse.ok
-        ? await creditsResponse.json()
-        : { cast: [], crew: [] };
+      if (!res.ok) {
+        const text = await res.text();
+        console.error('Errore dettagliato ricerca:', text);
+        throw new Error('Errore nella ricerca TMDB');
+      }
 
-      const releasesResponse = await fetch(
-        `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/movie/${id}/release_dates`,
-        {
-          headers: {
-            Authorization: `Bearer ${TMDB_BEARER_TOKEN}`,
-            'Content-Type': 'application/json',
-          },
-        }
+      const data = await res.json();
+      setResults(data.results || []);
+      setResultsVisible(true);
+    } catch (err) {
+      console.error(err);
+      setError(
+        'Errore durante la ricerca: ' +
+          (err.message || 'vedi console per maggiori dettagli')
       );
-      const releases = releasesResponse.ok
-        ? await releasesResponse.json()
-        : { results: [] };
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      const externalIdsResponse = await fetch(
-        `${IMDB_SCRAPER_BASE_URL}/api/tmdb-proxy/movie/${id}/external_ids`,
-        {
-          headers: {
-            Authorization: `Bearer ${TMDB_BEARER_TOKEN}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-      const externalIds = externalIdsResponse.ok
-        ? await externalIdsResponse.json()
-        : {};
-      const imdbId = externalIds.imdb_id || null;
-
-      // Salva snapshot collezione PRIMA di aggiungere i generi del film
-      const collectionGenresSnapshot = [...collectionGenres];
-
-      const vm = await buildMovieViewModel({
-        movieIT,
-        movieEN,
-        credits,
-        releases,
-        currentCollection,
-        collectionGenres: collectionGenresSnapshot,
-        imdbId,
-      });
+  // ====== DETTAGLI SERIE TV ======
+  const loadTvDetails = async (id) => {
+    if (!hasTmdbConfig) return;
 
-      // aggiorna automaticamente i Generi Condivisi della Collezione con i generi TMDB del film
-      if (vm.generiTmdb && vm.generiTmdb.length > 0) {
-        appendGenresToCollection(vm.generiTmdb);
-      }
+    setLoading(true);
+    setLoadingText('Caricamento dettagli serie...');
+    setError('');
+    setTvSeasons({});
 
-      setMovieDetailsView({
-        ...vm,
-        isInCollection,
-        collectionGenresSnapshot, // Salva lo snapshot nel view per il render
-      });
+    try {
+      // campi della serie ed elenco stagioni calcolati dal backend
+      const res = await fetchWithTimeoutAndRetry(
+        `${IMDB_SCRAPER_BASE_URL}/api/plex-metadata/tv/${encodeURIComponent(id)}`,
+        { method: 'GET' },
+        { timeoutMs: 30000, retries: 1, backoffMs: 1500, logPrefix: '[TV] ' }
+      );
+      setTvDetailsView(await res.json());
     } catch (err) {
       console.error(err);
       setError(
-        'Errore nel caricamento dei dettagli del film: ' +
+        'Errore nel caricamento dei dettagli della serie: ' +
           (err.message || '')
       );
     } finally {
@@ -828,346 +3217,238 @@ export default function App() {
     }
   };
 
-  async function buildMovieViewModel({
-    movieIT,
-    movieEN,
-    credits,
-    releases,
-    currentCollection,
-    collectionGenres,
-    imdbId,
-  }) {
-    let titolo = movieIT.title || movieEN.title || "Titolo non disponibile";
-    let titoloOrdinamento = "";
-
-    if (currentCollection && currentCollection.parts) {
-      let collectionName = currentCollection.name
-        .replace(/Collection/gi, "")
-        .replace(/Collezione/gi, "")
-        .replace(/Raccolta/gi, "")
-        .trim();
-      collectionName = collectionName.replace(/[\s-]+$/, "").trim();
-      const firstWord = collectionName.split(" ")[0];
-
-      if (!titolo.startsWith(firstWord)) {
-        titolo = `${collectionName} - ${titolo}`;
-      }
+  // Episodi di una stagione, caricati solo quando la stagione viene aperta
+  const toggleTvSeason = async (seasonNumber) => {
+    const current = tvSeasons[seasonNumber];
+    if (current && (current.data || current.loading)) {
+      setTvSeasons((prev) => ({
+        ...prev,
+        [seasonNumber]: { ...current, open: !current.open },
+      }));
+      return;
+    }
 
-      const sortedParts =
-        currentCollection.parts?.slice().sort((a, b) => {
-          const dateA = a.release_date || null;
-          const dateB = b.release_date || null;
-
-          // Se entrambi hanno data, ordina per data
-          if (dateA && dateB) {
-            return new Date(dateA) - new Date(dateB);
-          }
-
-          // Se solo A non ha data, metti A dopo B
-          if (!dateA && dateB) {
-            return 1;
-          }
-
-          // Se solo B non ha data, metti B dopo A
-          if (dateA && !dateB) {
-            return -1;
-          }
-
-          // Se entrambi non hanno data, ordina alfabeticamente per titolo
-          const titleA = (a.title || "").toLowerCase();
-          const titleB = (b.title || "").toLowerCase();
-          return titleA.localeCompare(titleB, "it");
-        }) || [];
-
-      let movieIndex = sortedParts.findIndex((p) => p.id === movieIT.id) + 1;
-      if (movieIndex <= 0) movieIndex = 1;
-
-      const orderingBase = `${collectionName} ${movieIndex}`.trim();
-      const cleanedOrdering = removeArticles(orderingBase);
-      titoloOrdinamento = cleanedOrdering || orderingBase;
-    } else {
-      const cleanedTitle = removeArticles(titolo);
-      titoloOrdinamento = cleanedTitle || titolo;
+    setTvSeasons((prev) => ({
+      ...prev,
+      [seasonNumber]: { open: true, loading: true, data: null, error: '' },
+    }));
+    try {
+      const res = await fetchWithTimeoutAndRetry(
+        `${IMDB_SCRAPER_BASE_URL}/api/plex-metadata/tv/${encodeURIComponent(tvDetailsView.tmdbId)}/season/${seasonNumber}`,
+        { method: 'GET' },
+        { timeoutMs: 60000, retries: 1, backoffMs: 1500, logPrefix: `[TV S${seasonNumber}] ` }
+      );
+      const data = await res.json();
+      setTvSeasons((prev) => ({
+        ...prev,
+        [seasonNumber]: { ...prev[seasonNumber], loading: false, data },
+      }));
+    } catch (err) {
+      console.error(err);
+      setTvSeasons((prev) => ({
+        ...prev,
+        [seasonNumber]: { ...prev[seasonNumber], loading: false, error: err.message || 'Errore' },
+      }));
     }
+  };
 
-    const titoloOriginale =
-      movieIT.original_title || movieEN.original_title || "";
-
-    // Usa la data principale del film da TMDB (release_date è la data ufficiale)
-    let dataUscita = movieIT.release_date || movieEN.release_date || "";
-
-    // Cerca la release italiana (serve anche per la classificazione)
-    const italianRelease = releases.results.find((r) => r.iso_3166_1 === "IT");
-
-    // Se non c'è data principale, cerca nelle release dates specifiche per paese
-    if (!dataUscita && releases.results && releases.results.length > 0) {
-      // Prova prima con la release italiana
-      if (
-        italianRelease &&
-        italianRelease.release_dates &&
-        italianRelease.release_dates.length > 0
-      ) {
-        const theatricalRelease =
-          italianRelease.release_dates.find((r) => r.type === 3) ||
-          italianRelease.release_dates[0];
-        if (theatricalRelease?.release_date) {
-          dataUscita = theatricalRelease.release_date.split("T")[0];
-        }
-      }
+  // ====== DETTAGLI COLLEZIONE ======
+  const loadCollectionDetails = async (id) => {
+    if (!hasTmdbConfig) return;
 
-      // Se ancora non c'è, cerca in qualsiasi paese con theatrical release
-      if (!dataUscita) {
-        for (const countryRelease of releases.results) {
-          if (
-            countryRelease.release_dates &&
-            countryRelease.release_dates.length > 0
-          ) {
-            const theatrical = countryRelease.release_dates.find(
-              (r) => r.type === 3
-            );
-            if (theatrical?.release_date) {
-              dataUscita = theatrical.release_date.split("T")[0];
-              break;
-            }
-          }
-        }
-      }
-    }
+    setLoading(true);
+    setLoadingText('Caricamento dettagli collezione...');
+    setError('');
+    setMovieDetailsView(null);
 
-    let classificazione = "";
-    if (italianRelease && italianRelease.release_dates) {
-      const releaseWithCert = italianRelease.release_dates.find(
-        (r) => r.certification
+    try {
+      // titolo "Raccolta", ordinamento, riassunto tradotto e film ordinati
+      // vengono calcolati dal backend
+      const res = await fetchWithTimeoutAndRetry(
+        `${IMDB_SCRAPER_BASE_URL}/api/plex-metadata/collection/${encodeURIComponent(id)}`,
+        { method: 'GET' },
+        { timeoutMs: 30000, retries: 1, backoffMs: 1500, logPrefix: '[Collection] ' }
       );
-      if (releaseWithCert?.certification) {
-        classificazione = releaseWithCert.certification;
-      }
-    }
-    if (!classificazione) {
-      const usRelease = releases.results.find((r) => r.iso_3166_1 === "US");
-      if (usRelease && usRelease.release_dates) {
-        const releaseWithCert = usRelease.release_dates.find(
-          (r) => r.certification
-        );
-        if (releaseWithCert?.certification) {
-          classificazione = releaseWithCert.certification;
-        }
-      }
+      const collectionView = await res.json();
+
+      setCurrentCollection(collectionView);
+      setCollectionGenres([]);
+      setCollectionGenresInput('');
+      setSessionMovies({});
+      setBatchRows([]);
+      setSessionRevision((n) => n + 1);
+      setCollectionDetailsView(collectionView);
+    } catch (err) {
+      console.error(err);
+      setError(
+        'Errore nel recupero dei dettagli della collezione: ' +
+          (err.message || '')
+      );
+    } finally {
+      setLoading(false);
     }
-    const contentRating =
-      classificazione || (movieIT.adult ? "R (Adulti)" : "Non disponibile");
-
-    const studio =
-      (movieIT.production_companies && movieIT.production_companies[0]?.name) ||
-      (movieEN.production_companies && movieEN.production_companies[0]?.name) ||
-      "";
-
-    // Traduci la tagline se non è vuota
-    const originalTagline = movieIT.tagline || movieEN.tagline || "";
-    let tagline = originalTagline;
-    if (tagline) {
-      try {
-        const translatedTagline = await translateToItalian(tagline);
-        tagline = translatedTagline || originalTagline; // Fallback al testo originale
-      } catch (error) {
-        console.error("Errore traduzione tagline film:", error);
-        tagline = originalTagline; // Mantiene il testo originale in caso di errore
-      }
+  };
+
+  const updateCollectionViewGenres = (genres) => {
+    setCollectionDetailsView((prev) => prev && { ...prev, collectionGenres: genres });
+  };
+
+  const handleCollectionGenresChange = (value) => {
+    setCollectionGenresInput(value);
+    const arr = sortGenresAlphabetically(
+      Array.from(
+        new Set(
+          sanitizeGenres(
+            value
+              .split(',')
+              .map((g) => g.trim())
+              .filter((g) => g.length > 0)
+          )
+        )
+      )
+    );
+    setCollectionGenres(arr);
+    if (currentCollection) {
+      updateCollectionViewGenres(arr);
     }
+  };
+
+  const appendGenresToCollection = (newGenres) => {
+    if (!currentCollection || !newGenres || newGenres.length === 0) return;
+
+    const sanitizedNewGenres = sanitizeGenres(newGenres);
+    if (sanitizedNewGenres.length === 0) return;
+
+    setCollectionGenres((prev) => {
+      const set = new Set(prev);
+      sanitizedNewGenres.forEach((g) => {
+        if (g) set.add(g);
+      });
+      const arr = sortGenresAlphabetically([...set]);
 
-    // Traduci il riassunto se non è in italiano
-    const originalRiassunto = movieIT.overview || movieEN.overview || "";
-    let riassunto = originalRiassunto;
-    if (riassunto) {
-      try {
-        const translated = await translateToItalian(riassunto);
-        riassunto = translated || originalRiassunto; // Fallback al testo originale
-      } catch (error) {
-        console.error("Errore traduzione riassunto film:", error);
-        riassunto = originalRiassunto; // Mantiene il testo originale in caso di errore
+      if (arr.length === prev.length) {
+        return prev;
       }
-    }
 
-    const directors = credits.crew.filter((c) => c.job === "Director");
-    const writers = credits.crew.filter((c) => c.department === "Writing");
-    const producers = credits.crew.filter(
-      (c) => c.job === "Producer" || c.job === "Executive Producer"
-    );
+      updateCollectionViewGenres(arr);
+      setCollectionGenresInput(arr.join(', '));
+      return arr;
+    });
+  };
 
-    const paesi = (
-      movieIT.production_countries && movieIT.production_countries.length > 0
-        ? movieIT.production_countries
-        : movieEN.production_countries || []
-    ).map((p) => p.name);
+  const removeGenreFromCollection = (genreToRemove) => {
+    if (!currentCollection) return;
+    setCollectionGenres((prev) => {
+      const arr = prev.filter((g) => g !== genreToRemove);
+      updateCollectionViewGenres(arr);
+      setCollectionGenresInput(arr.join(', '));
+      return arr;
+    });
+  };
 
-    const isItalianFilm =
-      movieIT.original_language === "it" || paesi.includes("Italy");
 
-    // generi TMDB mappati attraverso imdbGenreMap
-    const rawTmdbGenres = (
-      movieIT.genres && movieIT.genres.length > 0
-        ? movieIT.genres
-        : movieEN.genres || []
-    )
-      .map((g) => g.name)
-      .filter(Boolean);
-    let generiTmdb = mapGenresToInternal(rawTmdbGenres);
+  // ====== DETTAGLI FILM ======
+  const loadMovieDetails = async (id, isInCollection, plexRatingKey = null, { refresh = false } = {}) => {
+    if (!hasTmdbConfig) return;
 
-    if (generiTmdb.includes("Commedia") && generiTmdb.includes("Romantico")) {
-      generiTmdb.push("Commedia Romantica");
-    }
-    if (isItalianFilm && !generiTmdb.includes("Italiano")) {
-      generiTmdb.push("Italiano");
+    // film già aperto in questa sessione della collezione: niente nuove richieste
+    const saved = !refresh && isInCollection && sessionMovies[id];
+    if (saved) {
+      setError('');
+      setAiError('');
+      setMovieDetailsView(saved);
+      return;
     }
 
-    const generiTmdbSanitized = sanitizeGenres(generiTmdb);
-    // applica il mapping anche ai generi della collezione
-    const mappedCollectionGenres = mapGenresToInternal(collectionGenres);
-    const collectionGenresSanitized = sanitizeGenres(mappedCollectionGenres);
-    const generiAiSanitized = sanitizeGenres([]); // popolati dopo dall'AI
-
-    // generi propri del film (senza quelli della collezione)
-    const movieSpecificGenres = sanitizeGenres([
-      ...new Set([...generiTmdbSanitized, ...generiAiSanitized]),
-    ]);
-
-    // tutti i generi: collezione + film, univoci + ordine alfabetico
-    const allGenresSorted = sanitizeGenres([
-      ...new Set([...collectionGenresSanitized, ...movieSpecificGenres]),
-    ]).sort((a, b) => a.localeCompare(b, "it"));
+    setLoading(true);
+    setLoadingText('Caricamento dettagli film...');
+    setError('');
+    setAiError('');
 
-    return {
-      titolo,
-      titoloOrdinamento,
-      titoloOriginale,
-      dataUscita,
-      contentRating,
-      studio,
-      tagline,
-      riassunto,
-      directors,
-      writers,
-      producers,
-      paesi,
-      posterPath: movieIT.poster_path || movieEN.poster_path || null,
-      movieIT,
-      movieEN,
-
-      // generi originali separati
-      generiTmdb: generiTmdbSanitized,
-      generiImdb: [], // Inizializzato vuoto, popolato dopo da handleImdbData
-      generiAi: generiAiSanitized,
-      collectionGenres: collectionGenresSanitized,
-
-      // generi calcolati
-      movieSpecificGenres,
-      allGenresSorted,
-      generiBase: allGenresSorted,
+    try {
+      // Il view model (titoli, classificazione, traduzioni, generi mappati,
+      // dati IMDb) è calcolato dal backend; i generi condivisi attuali
+      // della collezione vengono passati come snapshot
+      const params = new URLSearchParams();
+      if (isInCollection && currentCollection) {
+        params.set('collectionId', currentCollection.tmdbId);
+      }
+      if (collectionGenres.length > 0) {
+        params.set('collectionGenres', collectionGenres.join(','));
+      }
+      const query = params.toString();
+      const movieResponse = await fetchWithTimeoutAndRetry(
+        `${IMDB_SCRAPER_BASE_URL}/api/plex-metadata/movie/${encodeURIComponent(id)}${query ? `?${query}` : ''}`,
+        { method: 'GET' },
+        { timeoutMs: 30000, retries: 1, backoffMs: 1500, logPrefix: '[Movie] ' }
+      );
+      const { sources = {}, ...vm } = await movieResponse.json();
 
-      imdbData: null,
-      imdbId,
-    };
-  }
+      // fonti secondarie non disponibili (riportate nella UI)
+      const sourceErrors = Object.entries(sources)
+        .filter(([name, source]) => !source.ok && (name !== 'imdb' || vm.imdbId))
+        .map(([name, source]) => ({ name, error: source.error }));
 
-  const handleImdbData = (imdbData) => {
-    const imdbChips = imdbData?.chips || [];
-    const imdbInternalGenres = mapGenresToInternal(imdbChips);
+      // aggiorna automaticamente i Generi Condivisi della Collezione con i generi TMDB e IMDb del film
+      appendGenresToCollection([...(vm.generiTmdb || []), ...(vm.generiImdb || [])]);
 
-    // aggiorna generi condivisi della collezione con i generi interni derivati da IMDb
-    if (imdbInternalGenres.length > 0) {
-      appendGenresToCollection(imdbInternalGenres);
+      setMovieDetailsView({
+        ...vm,
+        isInCollection,
+        plexRatingKey,
+        sourceErrors,
+        imdbError: sources.imdb && !sources.imdb.ok ? sources.imdb.error : '',
+      });
+    } catch (err) {
+      console.error(err);
+      setError(
+        'Errore nel caricamento dei dettagli del film: ' +
+          (err.message || '')
+      );
+    } finally {
+      setLoading(false);
     }
-
-    setMovieDetailsView((prev) => {
-      if (!prev) return prev;
-
-      const imdbDirectors = imdbData.directors || [];
-      const imdbWriters = imdbData.writers || [];
-
-      // generi derivati direttamente dal film (TMDB/IMDb/AI)
-      const updatedMovieSpecific = sanitizeGenres([
-        ...new Set([
-          ...(prev.movieSpecificGenres || []),
-          ...imdbInternalGenres,
-        ]),
-      ]);
-      
-      // Salva generi IMDb separatamente per la colorazione
-      const generiImdbSanitized = sanitizeGenres(imdbInternalGenres);
-
-      // tutti i generi: snapshot collezione + film, univoci + ordine alfabetico
-      const allGenresSorted = sanitizeGenres([
-        ...new Set([...(prev.collectionGenresSnapshot || []), ...updatedMovieSpecific]),
-      ]).sort((a, b) => a.localeCompare(b, 'it'));
-
-      const mergedDirectors = [
-        ...new Set([
-          ...prev.directors.map((d) => d.name || d),
-          ...imdbDirectors,
-        ]),
-      ];
-      const mergedWriters = [
-        ...new Set([
-          ...prev.writers.map((w) => w.name || w),
-          ...imdbWriters,
-        ]),
-      ];
-
-      return {
-        ...prev,
-        imdbData,
-        generiImdb: generiImdbSanitized,
-        movieSpecificGenres: updatedMovieSpecific,
-        allGenresSorted,
-        generiBase: allGenresSorted,
-        directorsMerged: mergedDirectors,
-        writersMerged: mergedWriters,
-      };
-    });
   };
 
   const handleAiAnalyze = async () => {
     if (!movieDetailsView) return;
-    const { titolo, riassunto, generiTmdb } = movieDetailsView;
+    const { tmdbId, titolo, riassunto, dataUscita, generiTmdb } = movieDetailsView;
 
     setAiError('');
     setAiLoading(true);
 
     try {
-      const aiGenresRaw = await getAiGenres(
-        titolo,
-        riassunto,
-        generiTmdb || [],
-        collectionGenres
-      );
-
-      const aiGenres = sanitizeGenres(aiGenresRaw);
+      const aiResult = await getAiGenres({
+        tmdbId,
+        title: titolo,
+        overview: riassunto,
+        year: dataUscita ? dataUscita.slice(0, 4) : null,
+        cast: castForPayload(movieDetailsView).map((actor) => actor.name),
+        genres: generiTmdb || [],
+        collectionGenres,
+        // il template scelto potrebbe essere stato eliminato nel frattempo
+        templateId: aiPrompts?.templates.some((t) => t.id === aiTemplateId) ? aiTemplateId : '',
+      });
 
-      if (!aiGenres || aiGenres.length === 0) {
+      // il backend ha già passato i generi dalla mappa: quelli sconosciuti
+      // restano in aiResult.review (e nella coda "da mappare") finché non si approvano
+      const aiGenres = aiResult.genres || [];
+      if (aiGenres.length === 0 && (aiResult.review || []).length === 0) {
         setAiError('Nessun genere AI generato.');
       }
 
       // aggiorna dettagli film
       setMovieDetailsView((prev) => {
         if (!prev) return prev;
-
-        const updatedMovieSpecific = sanitizeGenres([
-          ...new Set([
-            ...(prev.movieSpecificGenres || []),
-            ...aiGenres,
-          ]),
-        ]);
-
-        const allGenresSorted = sanitizeGenres([
-          ...new Set([...(prev.collectionGenresSnapshot || []), ...updatedMovieSpecific]),
-        ]).sort((a, b) => a.localeCompare(b, 'it'));
-
         return {
-          ...prev,
-          generiAi: aiGenres,
-          movieSpecificGenres: updatedMovieSpecific,
-          allGenresSorted,
-          generiBase: allGenresSorted,
+          ...mergeAiGenres({ ...prev, generiAi: [] }, aiGenres),
+          aiRisultato: {
+            validated: aiResult.validated || [],
+            new: aiResult.new || [],
+            review: aiResult.review || [],
+            template: aiResult.template,
+            model: aiResult.model,
+          },
         };
       });
 
@@ -1183,6 +3464,35 @@ export default function App() {
     }
   };
 
+  // Genere AI fuori vocabolario approvato a mano: entra nel film e nella collezione
+  // (resta nella coda "da mappare" finché non gli si dà una voce nella mappa)
+  const handleApproveAiGenre = (genre) => {
+    setMovieDetailsView((prev) => {
+      if (!prev?.aiRisultato) return prev;
+      return {
+        ...mergeAiGenres(prev, [genre]),
+        aiRisultato: {
+          ...prev.aiRisultato,
+          review: prev.aiRisultato.review.filter((item) => item.genre !== genre),
+        },
+      };
+    });
+    appendGenresToCollection([genre]);
+  };
+
+  const handleDiscardAiGenre = (genre) => {
+    setMovieDetailsView((prev) => {
+      if (!prev?.aiRisultato) return prev;
+      return {
+        ...prev,
+        aiRisultato: {
+          ...prev.aiRisultato,
+          review: prev.aiRisultato.review.filter((item) => item.genre !== genre),
+        },
+      };
+    });
+  };
+
   // ====== RENDER HELPERS ======
   const renderCopyButton = (key, text, syncCyclicIndex) => {
     const state = copyState[key];
@@ -1217,9 +3527,10 @@ export default function App() {
     if (!collectionDetailsView) return;
     const { titolo, titoloOrdinamento, riassunto, numeroFilm, parts } = collectionDetailsView;
     
-    let fullRiassunto = riassunto;
+    // senza riassunto TMDB il testo parte direttamente dall'elenco dei film
+    let fullRiassunto = riassunto || '';
     if (parts && parts.length > 0) {
-      fullRiassunto += '\nNumero di Film: ' + numeroFilm;
+      fullRiassunto += (fullRiassunto ? '\n' : '') + 'Numero di Film: ' + numeroFilm;
       parts.forEach((movie) => {
         const movieTitle = movie.title || 'Titolo non disponibile';
         const releaseYear = movie.release_date
@@ -1232,7 +3543,7 @@ export default function App() {
     
     const items = [
       { label: 'Titolo', value: titolo },
-      { label: 'Titolo Ordinamento', value: removeArticles(titoloOrdinamento) },
+      { label: 'Titolo Ordinamento', value: titoloOrdinamento },
       { label: 'Riassunto', value: fullRiassunto },
     ];
     const current = items[collectionCycleIndex % items.length];
@@ -1256,6 +3567,7 @@ export default function App() {
       'film-generi': 10,
       'film-autori': 11,
       'film-produttori': 12,
+      'film-cast': 13,
     };
     if (fieldKey in fieldMap) {
       setMovieCycleIndex(fieldMap[fieldKey] + 1);
@@ -1289,10 +3601,11 @@ export default function App() {
     const producersString = producers.map((p) => stripParens(p.name)).filter(Boolean).join(', ');
     const paesiString = paesi.join(', ');
     const generiString = (allGenresSorted || []).join(', ');
+    const castString = castToText(castForPayload(movieDetailsView));
 
     const items = [
       { label: 'Titolo', value: titolo },
-      { label: 'Titolo Ordinamento', value: removeArticles(titoloOrdinamento) },
+      { label: 'Titolo Ordinamento', value: titoloOrdinamento },
       { label: 'Titolo Originale', value: titoloOriginale },
       { label: 'Data Uscita', value: dataUscita || '' },
       { label: 'Classificazione', value: contentRating || '' },
@@ -1304,6 +3617,7 @@ export default function App() {
       { label: 'Generi', value: generiString },
       { label: 'Autori', value: writersString },
       { label: 'Produttori', value: producersString },
+      { label: 'Cast', value: castString },
     ].filter((item) => item.value);
 
     const current = items[movieCycleIndex % items.length];
@@ -1318,6 +3632,7 @@ export default function App() {
       titolo,
       titoloOrdinamento,
       riassunto,
+      traduzioni,
       posterPath,
       numeroFilm,
       parts,
@@ -1358,13 +3673,16 @@ export default function App() {
         <div className="detail-section compact">
           <div className="detail-label">🔤 Titolo Ordinamento</div>
           <div className="detail-value">
-            <span className="detail-text">{removeArticles(titoloOrdinamento)}</span>
-            {renderCopyButton('coll-titolo-ord', removeArticles(titoloOrdinamento), () => syncCollectionCycleIndex('coll-titolo-ord'))}
+            <span className="detail-text">{titoloOrdinamento}</span>
+            {renderCopyButton('coll-titolo-ord', titoloOrdinamento, () => syncCollectionCycleIndex('coll-titolo-ord'))}
           </div>
         </div>
 
         <div className="detail-section compact">
-          <div className="detail-label">📝 Riassunto</div>
+          <div className="detail-label">
+            📝 Riassunto
+            {riassunto && <TranslationBadge info={traduzioni?.riassunto} />}
+          </div>
           <div className="detail-value">
             <span className="detail-text">
               {riassunto.split('\n').map((r, i) => (
@@ -1449,6 +3767,13 @@ export default function App() {
           <div className="detail-section" style={{ marginTop: 20 }}>
             <div className="detail-label">
               🎬 Film nella Collezione ({numeroFilm})
+              <button
+                className="copy-button"
+                onClick={addCollectionToTodo}
+                title="Aggiungi alla lista Da fare i film senza stato"
+              >
+                ➕ Aggiungi alla lista
+              </button>
             </div>
             <div className="tags-container">
               {parts.map((movie, index) => {
@@ -1461,6 +3786,7 @@ export default function App() {
                     <span className="tag-text">
                       {index + 1}. {movieTitle}{' '}
                       {releaseYear ? `(${releaseYear})` : ''}
+                      <TitleStatusBadge entry={titleStatuses[`movie:${movie.id}`]} />
                     </span>
                     <button
                       className="copy-button"
@@ -1474,10 +3800,229 @@ export default function App() {
             </div>
           </div>
         )}
+
+        {parts && parts.length > 0 && (
+          <CollectionBatch
+            key={`${collectionDetailsView.tmdbId}:${sessionRevision}`}
+            collection={collectionDetailsView}
+            parts={parts}
+            sharedGenres={collectionGenres}
+            initialRows={batchRows}
+            onRowsChange={setBatchRows}
+            onMovieGenres={appendGenresToCollection}
+            onOpenMovie={(movieId) => loadMovieDetails(movieId, true)}
+          />
+        )}
+
+        <TitleStatusControl
+          key={`collection:${collectionDetailsView.tmdbId}`}
+          id={`collection:${collectionDetailsView.tmdbId}`}
+          title={titolo}
+          entry={titleStatuses[`collection:${collectionDetailsView.tmdbId}`]}
+          metadata={{ titolo, titoloOrdinamento, riassunto, generi: collectionGenres }}
+          onChange={mergeTitleStatus}
+        />
+      </div>
+    );
+  };
+
+  const renderTvDetails = () => {
+    if (!tvDetailsView) return null;
+
+    const {
+      titolo,
+      titoloOrdinamento,
+      titoloOriginale,
+      dataUscita,
+      contentRating,
+      studio,
+      tagline,
+      riassunto,
+      traduzioni,
+      creatori = [],
+      paesi = [],
+      allGenresSorted = [],
+      regoleApplicate = [],
+      stato,
+      numeroStagioni,
+      numeroEpisodi,
+      posterPath,
+      stagioni = [],
+    } = tvDetailsView;
+
+    const renderField = (key, label, value, translation = null) =>
+      value ? (
+        <div className="detail-section compact">
+          <div className="detail-label">
+            {label}
+            <TranslationBadge info={translation} />
+          </div>
+          <div className="detail-value">
+            <span className="detail-text">{value}</span>
+            {renderCopyButton(key, value)}
+          </div>
+        </div>
+      ) : null;
+
+    return (
+      <div className="movie-details">
+        <div className="section-title">
+          <span>📺 Dettagli Serie TV</span>
+        </div>
+
+        {posterPath && (
+          <div className="poster-container">
+            <img
+              src={`https://image.tmdb.org/t/p/w300${posterPath}`}
+              alt={titolo}
+              className="poster-image"
+            />
+          </div>
+        )}
+
+        <div className="two-column">
+          {renderField('tv-titolo', '🎬 Titolo', titolo)}
+          {renderField('tv-titolo-ord', '🔤 Titolo Ordinamento', titoloOrdinamento)}
+        </div>
+        <div className="two-column">
+          {renderField('tv-titolo-orig', '🌍 Titolo Originale', titoloOriginale)}
+          {renderField('tv-data-uscita', '📅 Prima Messa in Onda', dataUscita)}
+        </div>
+        <div className="two-column">
+          {renderField('tv-rating', '⭐ Classificazione Contenuti', contentRating)}
+          {renderField('tv-studio', '📡 Network (Studio)', studio)}
+        </div>
+        {renderField('tv-tagline', '💬 Tagline', tagline, traduzioni?.tagline)}
+        {renderField('tv-riassunto', '📝 Riassunto', riassunto, traduzioni?.riassunto)}
+        <div className="two-column">
+          {renderField('tv-creatori', '✍️ Creatori', creatori.join(', '))}
+          {renderField('tv-paesi', '🌍 Paese', paesi.join(', '))}
+        </div>
+        {renderField('tv-generi', '🏷️ Generi (TMDB + regole)', allGenresSorted.join(', '))}
+        {regoleApplicate.length > 0 && (
+          <div className="genre-help">
+            🧮 Regole applicate:{' '}
+            {regoleApplicate
+              .map((rule) => `${rule.name} (${[...rule.added.map((g) => `+${g}`), ...rule.removed.map((g) => `−${g}`)].join(', ')})`)
+              .join(' • ')}
+          </div>
+        )}
+
+        <div className="detail-section" style={{ marginTop: 20 }}>
+          <div className="detail-label">
+            🗂️ Stagioni ({numeroStagioni}) • {numeroEpisodi} episodi{stato ? ` • ${stato}` : ''}
+          </div>
+          {stagioni.map((season) => {
+            const seasonState = tvSeasons[season.numero];
+            const seasonKey = `tv-s${season.numero}`;
+            return (
+              <div className="tv-season" key={season.numero}>
+                <div className="detail-value">
+                  <span className="detail-text">
+                    <strong>{season.titolo}</strong>
+                    {season.dataUscita ? ` (${season.dataUscita.slice(0, 4)})` : ''} •{' '}
+                    {season.numeroEpisodi} episodi
+                  </span>
+                  {renderCopyButton(`${seasonKey}-titolo`, season.titolo)}
+                  <button
+                    className="copy-button"
+                    title="Mostra episodi"
+                    onClick={() => toggleTvSeason(season.numero)}
+                  >
+                    {seasonState?.open ? '🔼' : '🔽'}
+                  </button>
+                </div>
+                {season.riassunto && (
+                  <div className="detail-value">
+                    <span className="detail-text genre-help">{season.riassunto}</span>
+                    {renderCopyButton(`${seasonKey}-riassunto`, season.riassunto)}
+                  </div>
+                )}
+
+                {seasonState?.open && (
+                  <div className="tv-episodes">
+                    {seasonState.loading && <div className="genre-help">Caricamento episodi...</div>}
+                    {seasonState.error && <div className="error">{seasonState.error}</div>}
+                    {(seasonState.data?.episodi || []).map((episode) => {
+                      const episodeKey = `${seasonKey}-e${episode.numero}`;
+                      return (
+                        <div className="tv-episode" key={episode.numero}>
+                          <div className="detail-value">
+                            <span className="detail-text">
+                              <strong>{episode.numero}. {episode.titolo}</strong>
+                              {episode.dataUscita ? ` • ${episode.dataUscita}` : ''}
+                            </span>
+                            {renderCopyButton(`${episodeKey}-titolo`, episode.titolo)}
+                          </div>
+                          {episode.riassunto && (
+                            <div className="detail-value">
+                              <span className="detail-text">{episode.riassunto}</span>
+                              {renderCopyButton(`${episodeKey}-riassunto`, episode.riassunto)}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <TitleStatusControl
+          key={`tv:${tvDetailsView.tmdbId}`}
+          id={`tv:${tvDetailsView.tmdbId}`}
+          title={titolo}
+          entry={titleStatuses[`tv:${tvDetailsView.tmdbId}`]}
+          metadata={{
+            titolo,
+            titoloOrdinamento,
+            titoloOriginale,
+            dataUscita,
+            contentRating,
+            studio,
+            tagline,
+            riassunto,
+            generi: allGenresSorted,
+          }}
+          onChange={mergeTitleStatus}
+        />
       </div>
     );
   };
 
+  const handleDownloadMovieNfo = async () => {
+    if (!movieDetailsView) return;
+    try {
+      await downloadExport(
+        'nfo/movie',
+        buildExportMovie(
+          movieDetailsView,
+          movieDetailsView.isInCollection ? collectionDetailsView : null
+        ),
+        'movie.nfo'
+      );
+    } catch (err) {
+      console.error(err);
+      setError('Errore export NFO: ' + (err.message || ''));
+    }
+  };
+
+  const handleDownloadMovieKometa = async () => {
+    if (!movieDetailsView) return;
+    try {
+      await downloadExport(
+        'kometa/movie',
+        buildExportMovie(movieDetailsView),
+        `${movieDetailsView.tmdbId}.yml`
+      );
+    } catch (err) {
+      console.error(err);
+      setError('Errore export Kometa: ' + (err.message || ''));
+    }
+  };
+
   const renderMovieDetails = () => {
     if (!movieDetailsView) return null;
 
@@ -1490,6 +4035,7 @@ export default function App() {
       studio,
       tagline,
       riassunto,
+      traduzioni,
       directors,
       writers,
       producers,
@@ -1498,17 +4044,27 @@ export default function App() {
       generiBase,
       generiTmdb = [],
       generiImdb = [],
+      generiKeywords = [],
+      generiRegole = [],
+      regoleApplicate = [],
+      keywordsTmdb = [],
+      keywordsImdb = [],
       generiAi = [],
+      aiRisultato = null,
       movieSpecificGenres = [],
       allGenresSorted = [],
       imdbData,
       directorsMerged,
       writersMerged,
       imdbId,
-      collectionGenresSnapshot = [],
+      imdbError,
+      sourceErrors = [],
+      // generi della collezione al momento del caricamento del film
+      collectionGenres: movieCollectionGenres = [],
     } = movieDetailsView;
 
     const paesiString = paesi.join(', ');
+    const cast = castForPayload(movieDetailsView);
     const genresToShow =
       allGenresSorted && allGenresSorted.length > 0
         ? allGenresSorted
@@ -1519,9 +4075,14 @@ export default function App() {
     const normalizeList = (list = []) =>
       (list || []).map((g) => normalizeKey(g)).filter(Boolean);
     const movieGenreSet = new Set(normalizeList(movieSpecificGenres || []));
-    const collectionGenreSet = new Set(normalizeList(collectionGenresSnapshot));
+    const collectionGenreSet = new Set(normalizeList(movieCollectionGenres));
     const tmdbGenreSet = new Set(normalizeList(generiTmdb || []));
     const imdbGenreSet = new Set(normalizeList(generiImdb || []));
+    const keywordGenreSet = new Set(normalizeList(generiKeywords || []));
+    // genere -> nome della regola che l'ha aggiunto
+    const ruleByGenre = new Map(
+      regoleApplicate.flatMap((rule) => rule.added.map((g) => [normalizeKey(g), rule.name]))
+    );
     const generiString = genresToShow.join(', ');
 
     const directorsArr =
@@ -1542,6 +4103,20 @@ export default function App() {
       <div className="movie-details">
         <div className="section-title" style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
           <span>🎥 Dettagli Film</span>
+          <button
+            className="copy-button"
+            onClick={() =>
+              loadMovieDetails(
+                movieDetailsView.tmdbId,
+                movieDetailsView.isInCollection,
+                movieDetailsView.plexRatingKey,
+                { refresh: true }
+              )
+            }
+            title="Ricarica da TMDB/IMDb (ignora la sessione salvata)"
+          >
+            🔄
+          </button>
           <button
             className="copy-button"
             onClick={handleMovieCyclicCopy}
@@ -1549,8 +4124,31 @@ export default function App() {
           >
             {copyState['movie-cycle'] === 'success' ? '✅' : '📋'}
           </button>
+          <button
+            className="copy-button"
+            onClick={handleDownloadMovieNfo}
+            title="Scarica movie.nfo"
+          >
+            ⬇️
+          </button>
+          <button
+            className="copy-button"
+            onClick={handleDownloadMovieKometa}
+            title="Scarica YAML Kometa"
+          >
+            🧩
+          </button>
         </div>
 
+        {sourceErrors.length > 0 && (
+          <div className="genre-help" style={{ color: '#c62828', marginBottom: 10 }}>
+            ⚠️ Fonti non disponibili:{' '}
+            {sourceErrors
+              .map(({ name, error: sourceError }) => `${SOURCE_LABELS[name] || name} (${sourceError})`)
+              .join(' • ')}
+          </div>
+        )}
+
         {posterPath && (
           <div className="poster-container">
             <img
@@ -1573,8 +4171,8 @@ export default function App() {
           <div className="detail-section compact">
             <div className="detail-label">🔤 Titolo Ordinamento</div>
             <div className="detail-value">
-              <span className="detail-text">{removeArticles(titoloOrdinamento)}</span>
-              {renderCopyButton('film-titolo-ord', removeArticles(titoloOrdinamento), () => syncMovieCycleIndex('film-titolo-ord'))}
+              <span className="detail-text">{titoloOrdinamento}</span>
+              {renderCopyButton('film-titolo-ord', titoloOrdinamento, () => syncMovieCycleIndex('film-titolo-ord'))}
             </div>
           </div>
         </div>
@@ -1625,7 +4223,10 @@ export default function App() {
 
         {tagline && (
           <div className="detail-section compact">
-            <div className="detail-label">💬 Tagline</div>
+            <div className="detail-label">
+              💬 Tagline
+              <TranslationBadge info={traduzioni?.tagline} />
+            </div>
             <div className="detail-value">
               <span className="detail-text">{tagline}</span>
               {renderCopyButton('film-tagline', tagline, () => syncMovieCycleIndex('film-tagline'))}
@@ -1635,7 +4236,10 @@ export default function App() {
 
         {riassunto && (
           <div className="detail-section compact">
-            <div className="detail-label">📝 Riassunto</div>
+            <div className="detail-label">
+              📝 Riassunto
+              <TranslationBadge info={traduzioni?.riassunto} />
+            </div>
             <div className="detail-value">
               <span className="detail-text">{riassunto}</span>
               {renderCopyButton('film-riassunto', riassunto, () => syncMovieCycleIndex('film-riassunto'))}
@@ -1668,7 +4272,7 @@ export default function App() {
         {generiString && (
           <div className="detail-section compact">
             <div className="detail-label">
-              🏷️ Generi (TMDB + Collezione + AI + IMDb chips)
+              🏷️ Generi (TMDB + Collezione + AI + IMDb chips + parole chiave)
             </div>
             <div className="detail-value">
               <span className="detail-text">
@@ -1682,10 +4286,19 @@ export default function App() {
                     !movieGenreSet.has(normalized);
                   const isFromTmdb = tmdbGenreSet.has(normalized);
                   const isFromImdb = imdbGenreSet.has(normalized);
+                  const isFromKeywords = keywordGenreSet.has(normalized);
+                  const ruleName = ruleByGenre.get(normalized);
                   const label =
                     g + (idx < genresToShow.length - 1 ? ', ' : '');
                   
-                  // Priorità: TMDB > IMDb
+                  // Priorità: regole > TMDB > IMDb > parole chiave
+                  if (ruleName) {
+                    return (
+                      <span key={g} style={{ color: '#4CAF50' }} title={`Regola: ${ruleName}`}>
+                        {label}
+                      </span>
+                    );
+                  }
                   if (isFromTmdb) {
                     return (
                       <span key={g} style={{ color: '#2196F3', fontWeight: 'bold' }}>{label}</span>
@@ -1696,6 +4309,11 @@ export default function App() {
                       <span key={g} style={{ color: '#FF9800' }}>{label}</span>
                     );
                   }
+                  if (isFromKeywords) {
+                    return (
+                      <span key={g} style={{ color: '#9C27B0' }}>{label}</span>
+                    );
+                  }
                   if (isMovieOnly) {
                     return (
                       <strong key={g}>{label}</strong>
@@ -1711,6 +4329,48 @@ export default function App() {
               </span>
               {renderCopyButton('film-generi', generiString, () => syncMovieCycleIndex('film-generi'))}
             </div>
+            <div className="genre-help">
+              <span style={{ color: '#2196F3', fontWeight: 'bold' }}>TMDB</span> ·{' '}
+              <span style={{ color: '#FF9800' }}>IMDb</span> ·{' '}
+              <span style={{ color: '#9C27B0' }}>Parole chiave</span> ·{' '}
+              <span style={{ color: '#4CAF50' }}>Regole</span> ·{' '}
+              <strong>solo film</strong> ·{' '}
+              <span className="collection-genre">solo collezione</span>
+            </div>
+            {regoleApplicate.length > 0 && (
+              <div className="genre-help">
+                🧮 Regole applicate:{' '}
+                {regoleApplicate
+                  .map((rule) =>
+                    [
+                      rule.name,
+                      rule.added.length > 0 && `+${rule.added.join(', +')}`,
+                      rule.removed.length > 0 && `−${rule.removed.join(', −')}`,
+                    ]
+                      .filter(Boolean)
+                      .join(' ')
+                  )
+                  .join(' • ')}
+              </div>
+            )}
+            {(keywordsTmdb.length > 0 || keywordsImdb.length > 0) && (
+              <details className="genre-help">
+                <summary>
+                  Parole chiave ({keywordsTmdb.length} TMDB, {keywordsImdb.length} IMDb): usate
+                  come generi solo se presenti nella mappa generi
+                </summary>
+                {keywordsTmdb.length > 0 && (
+                  <div>
+                    <strong>TMDB:</strong> {keywordsTmdb.join(', ')}
+                  </div>
+                )}
+                {keywordsImdb.length > 0 && (
+                  <div>
+                    <strong>IMDb:</strong> {keywordsImdb.join(', ')}
+                  </div>
+                )}
+              </details>
+            )}
           </div>
         )}
 
@@ -1736,25 +4396,97 @@ export default function App() {
           )}
         </div>
 
+        {cast.length > 0 && (
+          <div className="detail-section compact">
+            <div className="detail-label">🎭 Cast (TMDB + IMDb)</div>
+            <div className="detail-value">
+              <div className="cast-list">
+                {cast.map((actor) => (
+                  <div className="cast-item" key={`${actor.name}-${actor.order}`}>
+                    {actor.thumb ? (
+                      <a href={actor.thumb.replace('/w185/', '/original/')} target="_blank" rel="noreferrer">
+                        <img src={actor.thumb} alt={actor.name} className="cast-photo" />
+                      </a>
+                    ) : (
+                      <div className="cast-photo cast-photo-empty">👤</div>
+                    )}
+                    <div>
+                      <div className="cast-name">{actor.name}</div>
+                      {actor.character && <div className="genre-help">{actor.character}</div>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {renderCopyButton('film-cast', castToText(cast), () => syncMovieCycleIndex('film-cast'))}
+            </div>
+          </div>
+        )}
+
         {/* Bottone AI on-demand */}
         <div className="detail-section compact" style={{ marginTop: 10 }}>
           <button
             className="search-button"
             style={{ padding: '10px 20px', fontSize: '0.95em' }}
             onClick={handleAiAnalyze}
-            disabled={aiLoading}
+            disabled={aiLoading || !hasAiConfig}
+            title={hasAiConfig ? aiProviderLabel : 'Nessun provider AI configurato sul backend'}
           >
             {aiLoading ? 'Analisi AI in corso...' : 'Analizza generi con AI'}
           </button>
+          {aiPrompts?.templates.length > 1 && (
+            <select
+              className="genre-input"
+              style={{ maxWidth: 260, marginLeft: 10, width: 'auto' }}
+              value={aiTemplateId}
+              onChange={(e) => setAiTemplateId(e.target.value)}
+              title="Template del prompt"
+            >
+              <option value="">Prompt attivo</option>
+              {aiPrompts.templates.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.name} (v{t.versions[t.versions.length - 1].version})
+                </option>
+              ))}
+            </select>
+          )}
+          {aiProviderLabel && (
+            <span className="genre-help" style={{ marginLeft: 10 }}>
+              {hasAiConfig ? aiProviderLabel : `${aiProviderLabel} (non configurato)`}
+            </span>
+          )}
           {aiError && (
             <div className="error" style={{ marginTop: 8 }}>
               {aiError}
             </div>
           )}
+          {aiRisultato && (
+            <AiGenresResult
+              result={aiRisultato}
+              onApprove={handleApproveAiGenre}
+              onDiscard={handleDiscardAiGenre}
+            />
+          )}
         </div>
 
         {/* Scraper IMDb automatico */}
-        <ImdbScraper imdbId={imdbId} onData={handleImdbData} />
+        <ImdbScraper imdbId={imdbId} data={imdbData} error={imdbError} />
+
+        <TitleStatusControl
+          key={`movie:${movieDetailsView.tmdbId}`}
+          id={`movie:${movieDetailsView.tmdbId}`}
+          title={titolo}
+          entry={titleStatuses[`movie:${movieDetailsView.tmdbId}`]}
+          collectionId={movieDetailsView.isInCollection ? currentCollection?.tmdbId : null}
+          metadata={buildPlexPayload(movieDetailsView)}
+          onChange={mergeTitleStatus}
+        />
+
+        {/* Invio diretto a Plex Media Server */}
+        <PlexPush
+          key={movieDetailsView.tmdbId}
+          movieView={movieDetailsView}
+          onStatusChange={mergeTitleStatus}
+        />
 
         {imdbLinkId && (
           <div style={{ marginTop: 10, fontSize: '0.9em', color: '#555' }}>
@@ -1777,6 +4509,11 @@ export default function App() {
       <div className="header">
         <h1>🎬 TMDB to Plex Manager (React)</h1>
         <p>Recupera informazioni da TMDB per Film e Collezioni</p>
+        {backendConfig?.locale && (
+          <p style={{ fontSize: '0.9em', opacity: 0.8 }}>
+            Lingua dei metadati: {backendConfig.locale.label} ({backendConfig.locale.tmdbLanguage})
+          </p>
+        )}
         <p
           style={{
             fontSize: '0.9em',
@@ -1803,9 +4540,85 @@ export default function App() {
           >
             🎥 Film
           </button>
+          <button
+            className={`type-button ${type === 'tv' ? 'active' : ''}`}
+            onClick={() => handleSelectType('tv')}
+          >
+            📺 Serie TV
+          </button>
+          <button
+            className={`type-button ${type === 'plex' ? 'active' : ''}`}
+            onClick={() => handleSelectType('plex')}
+          >
+            🗂️ Libreria Plex
+          </button>
+          <button
+            className={`type-button ${type === 'files' ? 'active' : ''}`}
+            onClick={() => handleSelectType('files')}
+          >
+            🎞️ Da file
+          </button>
+          <button
+            className={`type-button ${type === 'genre-map' ? 'active' : ''}`}
+            onClick={() => handleSelectType('genre-map')}
+          >
+            🏷️ Mappa generi
+          </button>
+          <button
+            className={`type-button ${type === 'genre-rules' ? 'active' : ''}`}
+            onClick={() => handleSelectType('genre-rules')}
+          >
+            🧮 Regole generi
+          </button>
+          <button
+            className={`type-button ${type === 'ai-prompts' ? 'active' : ''}`}
+            onClick={() => handleSelectType('ai-prompts')}
+          >
+            🤖 Prompt AI
+          </button>
+          <button
+            className={`type-button ${type === 'history' ? 'active' : ''}`}
+            onClick={() => handleSelectType('history')}
+          >
+            🕘 Cronologia
+          </button>
+          <button
+            className={`type-button ${type === 'todo' ? 'active' : ''}`}
+            onClick={() => handleSelectType('todo')}
+          >
+            📋 Da fare
+          </button>
         </div>
 
-        {type && (
+        {type === 'todo' && (
+          <TitleStatusList onOpen={openTitle} onStatusChange={mergeTitleStatus} />
+        )}
+
+        {type === 'history' && (
+          <SessionHistory currentId={currentSession?.id} onOpen={(id) => restoreSession(id)} />
+        )}
+
+        {type === 'genre-rules' && <GenreRulesEditor />}
+
+        {type === 'ai-prompts' && (
+          <AiPromptEditor prompts={aiPrompts} onPromptsChange={setAiPrompts} />
+        )}
+
+        {type === 'genre-map' && (
+          <GenreMapEditor genreMap={genreMap} onGenreMapChange={setGenreMap} />
+        )}
+
+        {type === 'plex' && (
+          <PlexLibraryMatcher
+            onOpenMovie={(tmdbId, ratingKey) => loadMovieDetails(tmdbId, false, ratingKey)}
+          />
+        )}
+
+        {type === 'files' && (
+          <FilenameMatcher onOpen={openMatchedFile} />
+        )}
+
+        {(type === 'collection' || type === 'movie' || type === 'tv') && (
           <div className="search-container active" id="searchContainer">
             <div className="search-box">
               <input
@@ -1814,6 +4627,8 @@ export default function App() {
                 placeholder={
                   type === 'collection'
                     ? 'Cerca una collezione (es. Aladdin, Harry Potter...)'
+                    : type === 'tv'
+                    ? 'Cerca una serie TV (es. Il Trono di Spade, Dark...)'
                     : 'Cerca un film (es. Avatar, Inception...)'
                 }
                 value={query}
@@ -1830,6 +4645,11 @@ export default function App() {
                 Cerca
               </button>
             </div>
+            {parsedQuery && (
+              <div className="genre-help">
+                🎞️ Dal nome del file: “{parsedQuery.title}” {formatParsedFile(parsedQuery)}
+              </div>
+            )}
 
             <div
               className={`results-list ${
@@ -1841,15 +4661,15 @@ export default function App() {
                 <div className="result-item">Nessun risultato</div>
               ) : (
                 results.map((item) => {
-                  const title =
-                    type === 'collection' ? item.name : item.title;
+                  // collezioni e serie usano name/original_name, i film title/original_title
+                  const title = type === 'movie' ? item.title : item.name;
                   const originalTitle =
-                    type === 'collection'
-                      ? item.original_name
-                      : item.original_title;
+                    type === 'movie' ? item.original_title : item.original_name;
                   const releaseDate =
                     type === 'movie'
                       ? item.release_date || 'Data sconosciuta'
+                      : type === 'tv'
+                      ? item.first_air_date || 'Data sconosciuta'
                       : '';
                   return (
                     <div
@@ -1858,11 +4678,14 @@ export default function App() {
                       onClick={() =>
                         type === 'collection'
                           ? loadCollectionDetails(item.id)
+                          : type === 'tv'
+                          ? loadTvDetails(item.id)
                           : loadMovieDetails(item.id, false)
                       }
                     >
                       <div className="result-title">
                         {title || 'Titolo non disponibile'}
+                        <TitleStatusBadge entry={titleStatuses[`${type}:${item.id}`]} />
                       </div>
                       <div className="result-info">
                         {originalTitle ? `Titolo originale: ${originalTitle}` : ''}
@@ -1878,12 +4701,18 @@ export default function App() {
 
         <div
           className={`details-container ${
-            collectionDetailsView || movieDetailsView ? 'active' : ''
+            collectionDetailsView || movieDetailsView || tvDetailsView ? 'active' : ''
           }`}
           id="detailsContainer"
         >
+          {sessionSavedAt && (
+            <div className="genre-help">
+              💾 Sessione salvata alle {sessionSavedAt.toLocaleTimeString('it-IT')}
+            </div>
+          )}
           {renderCollectionDetails()}
           {renderMovieDetails()}
+          {renderTvDetails()}
         </div>
 
         {loading && (
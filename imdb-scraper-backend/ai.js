@@ -0,0 +1,148 @@
+import axios from 'axios';
+
+// ====== CONFIG ======
+// Provider: gemini (Google AI Studio), openai (qualsiasi endpoint compatibile
+// con /chat/completions: OpenAI, OpenRouter, LM Studio, vLLM...) oppure ollama
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || '';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const OLLAMA_URL = (process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '');
+
+const AI_PROVIDER = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+const AI_TEMPERATURE = process.env.AI_TEMPERATURE !== undefined && process.env.AI_TEMPERATURE !== ''
+  ? Number(process.env.AI_TEMPERATURE)
+  : null; // null = default del provider
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS, 10) || 30000;
+
+function aiError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ====== PROVIDER ======
+// Ogni provider: { label, defaultModel, isConfigured(), generate(prompt, settings) -> testo }
+// settings.json = true chiede al modello una risposta JSON (modalità nativa del provider)
+const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    defaultModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    isConfigured: () => !!GOOGLE_API_KEY,
+    missingConfig: 'Chiave Google AI non configurata sul backend (GOOGLE_API_KEY)',
+    async generate(prompt, { model, temperature, timeoutMs, json }) {
+      const generationConfig = {
+        ...(temperature !== null ? { temperature } : {}),
+        ...(json ? { responseMimeType: 'application/json' } : {}),
+      };
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+        {
+          contents: [{ parts: [{ text: prompt }] }],
+          ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {}),
+        },
+        {
+          headers: { 'Content-Type': 'application/json', 'x-goog-api-key': GOOGLE_API_KEY },
+          timeout: timeoutMs,
+        }
+      );
+      return response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    },
+  },
+
+  openai: {
+    label: 'OpenAI compatibile',
+    defaultModel: 'gpt-4o-mini',
+    // i server locali compatibili spesso non richiedono chiave
+    isConfigured: () => !!OPENAI_API_KEY || !!process.env.OPENAI_BASE_URL,
+    missingConfig: 'Endpoint OpenAI non configurato sul backend (OPENAI_API_KEY e/o OPENAI_BASE_URL)',
+    async generate(prompt, { model, temperature, timeoutMs, json }) {
+      const response = await axios.post(
+        `${OPENAI_BASE_URL}/chat/completions`,
+        {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          ...(temperature !== null ? { temperature } : {}),
+          ...(json ? { response_format: { type: 'json_object' } } : {}),
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {}),
+          },
+          timeout: timeoutMs,
+        }
+      );
+      return response.data?.choices?.[0]?.message?.content;
+    },
+  },
+
+  ollama: {
+    label: 'Ollama (locale)',
+    defaultModel: 'llama3.1',
+    isConfigured: () => true,
+    missingConfig: '',
+    async generate(prompt, { model, temperature, timeoutMs, json }) {
+      const response = await axios.post(
+        `${OLLAMA_URL}/api/generate`,
+        {
+          model,
+          prompt,
+          stream: false,
+          ...(temperature !== null ? { options: { temperature } } : {}),
+          ...(json ? { format: 'json' } : {}),
+        },
+        { headers: { 'Content-Type': 'application/json' }, timeout: timeoutMs }
+      );
+      return response.data?.response;
+    },
+  },
+};
+
+/**
+ * Provider, modello, temperatura e timeout in uso (nessun segreto).
+ */
+export function getAiSettings() {
+  const provider = PROVIDERS[AI_PROVIDER] ? AI_PROVIDER : 'gemini';
+  return {
+    provider,
+    label: PROVIDERS[provider].label,
+    model: process.env.AI_MODEL || PROVIDERS[provider].defaultModel,
+    temperature: Number.isFinite(AI_TEMPERATURE) ? AI_TEMPERATURE : null,
+    timeoutMs: AI_TIMEOUT_MS,
+  };
+}
+
+export function isAiConfigured() {
+  return PROVIDERS[getAiSettings().provider].isConfigured();
+}
+
+/**
+ * Invia il prompt al provider configurato (AI_PROVIDER) e ritorna il testo generato.
+ * options.json: chiede una risposta JSON (il testo va comunque validato dal chiamante).
+ */
+export async function generateText(prompt, { json = false } = {}) {
+  const settings = { ...getAiSettings(), json };
+  const provider = PROVIDERS[settings.provider];
+  if (!provider.isConfigured()) {
+    throw aiError(provider.missingConfig, 503);
+  }
+
+  let text;
+  try {
+    text = await provider.generate(prompt, settings);
+  } catch (err) {
+    if (err.code === 'ECONNABORTED') {
+      throw aiError(`${provider.label}: nessuna risposta entro ${settings.timeoutMs} ms`, 504);
+    }
+    if (err.code === 'ECONNREFUSED') {
+      throw aiError(`${provider.label} non raggiungibile (${err.message})`, 502);
+    }
+    throw err;
+  }
+
+  if (typeof text !== 'string') {
+    console.error(`Risposta ${provider.label} in formato inatteso`);
+    throw aiError('Formato risposta AI non valido.', 502);
+  }
+  return text;
+}
@@ -0,0 +1,193 @@
+import { generateText, getAiSettings } from './ai.js';
+import {
+  findVocabularyGenre,
+  getGenreVocabulary,
+  isMappedGenre,
+  mapGenresToInternal,
+  normalizeKey,
+  sanitizeGenres,
+} from './genreMap.js';
+import { recordUnmappedGenres } from './unmappedGenres.js';
+import { renderPrompt, resolvePrompt } from './aiPrompts.js';
+import { recordAiRun } from './aiRuns.js';
+
+// ====== GENERI AI ======
+// Il prompt vive sul backend (template in aiPrompts.js): il frontend invia solo i dati del film.
+// Il modello risponde in JSON con due elenchi (COMPITO 1 e COMPITO 2); ogni genere
+// viene confrontato con la mappa generi: quelli sconosciuti non vengono uniti
+// ma restano "da revisionare" (e finiscono nella coda "da mappare").
+const MAX_REASON_LENGTH = 200;
+const PROMPT_CAST_LIMIT = 8;
+
+function aiFormatError(message) {
+  const err = new Error(message);
+  err.status = 502;
+  return err;
+}
+
+// Estrae l'oggetto JSON dalla risposta: alcuni modelli aggiungono comunque
+// un preambolo o un blocco ```json nonostante la modalità JSON
+function parseJsonResponse(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw aiFormatError('La risposta AI non contiene un oggetto JSON');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (err) {
+    throw aiFormatError(`Risposta AI non in formato JSON: ${err.message}`);
+  }
+}
+
+// 0..1; accetta anche percentuali (85 -> 0.85)
+function parseConfidence(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) return null;
+  return Math.min(n > 1 ? n / 100 : n, 1);
+}
+
+// Voci del modello -> [{ genre, reason, confidence }] (accetta anche stringhe semplici)
+function parseItems(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((item) => {
+      if (typeof item === 'string') return { genre: item.trim(), reason: '', confidence: null };
+      const genre = typeof item?.genere === 'string' ? item.genere.trim() : '';
+      const reason = typeof item?.motivazione === 'string' ? item.motivazione.trim() : '';
+      return {
+        genre,
+        reason: reason.slice(0, MAX_REASON_LENGTH),
+        confidence: parseConfidence(item?.confidenza),
+      };
+    })
+    .filter((item) => sanitizeGenres([item.genre]).length > 0);
+}
+
+/**
+ * Confronta un genere AI con la mappa generi.
+ * Ritorna { status: 'accepted', genres } | { status: 'ignored' } | { status: 'review' }
+ */
+function checkAgainstVocabulary(genre) {
+  if (isMappedGenre(genre)) {
+    const genres = mapGenresToInternal([genre]);
+    return genres.length > 0 ? { status: 'accepted', genres } : { status: 'ignored' };
+  }
+  const known = findVocabularyGenre(genre);
+  return known ? { status: 'accepted', genres: [known] } : { status: 'review' };
+}
+
+// Il registro serve solo al confronto dei prompt: un suo errore finisce nel log
+// e non cambia l'esito dell'analisi. Ritorna l'id dell'esecuzione (null se non salvata).
+async function logAiRun(run) {
+  try {
+    return (await recordAiRun(run)).id;
+  } catch (err) {
+    console.error('Errore registrazione esecuzione AI:', err.message);
+    return null;
+  }
+}
+
+function asStringList(value) {
+  return Array.isArray(value) ? value.filter((v) => typeof v === 'string' && v.trim()) : [];
+}
+
+/**
+ * Genera i sotto-generi di un film con il provider AI configurato.
+ * id (tmdbId) e title servono alla coda "da mappare" e al registro delle esecuzioni;
+ * templateId/templateVersion scelgono il prompt (default: template attivo, ultima versione).
+ * Ritorna {
+ *   validated: [{ genre, genres, reason, confidence }],  // COMPITO 1, generi della collezione
+ *   new: [...],                                          // COMPITO 2, già nel vocabolario
+ *   review: [{ genre, reason, confidence, list }],       // sconosciuti: non uniti
+ *   genres,                                              // generi interni accettati
+ *   template: { id, name, version }, provider, model,
+ *   runId                                                // null se il registro non è stato salvato
+ * }
+ */
+export async function generateAiGenres({
+  title,
+  overview,
+  genres,
+  collectionGenres,
+  year = null,
+  cast = [],
+  id = null,
+  templateId,
+  templateVersion,
+} = {}) {
+  const collection = asStringList(collectionGenres);
+  const template = resolvePrompt(templateId, templateVersion);
+  const prompt = renderPrompt(template.text, {
+    title: String(title || '').trim(),
+    overview: String(overview || '').trim(),
+    year: year || 'sconosciuto',
+    cast: asStringList(cast).slice(0, PROMPT_CAST_LIMIT).join(', ') || 'non disponibile',
+    tmdbGenres: asStringList(genres).join(', '),
+    collectionGenres: collection.length > 0 ? collection.join(', ') : 'Nessuno',
+    vocabulary: getGenreVocabulary().join(', '),
+  });
+
+  const { provider, model } = getAiSettings();
+  const templateRef = { id: template.id, name: template.name, version: template.version };
+  const runBase = { tmdbId: id, title: String(title || ''), template: templateRef, provider, model };
+  const startedAt = Date.now();
+
+  let data;
+  try {
+    data = parseJsonResponse(await generateText(prompt, { json: true }));
+  } catch (err) {
+    await logAiRun({ ...runBase, durationMs: Date.now() - startedAt, error: err.message });
+    throw err;
+  }
+
+  // un genere "validato" che non è nella collezione viene trattato come nuovo
+  const collectionByKey = new Map(collection.map((g) => [normalizeKey(g), g.trim()]));
+  const validatedItems = [];
+  const newItems = [];
+  for (const item of parseItems(data.generiCollezioneValidati)) {
+    (collectionByKey.has(normalizeKey(item.genre)) ? validatedItems : newItems).push(item);
+  }
+  newItems.push(...parseItems(data.nuoviGeneri));
+
+  const result = { validated: [], new: [], review: [] };
+  const seen = new Set();
+  for (const [list, items] of [['validated', validatedItems], ['new', newItems]]) {
+    for (const item of items) {
+      const key = normalizeKey(item.genre);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // i generi della collezione fanno già parte del vocabolario
+      const check = list === 'validated'
+        ? { status: 'accepted', genres: [collectionByKey.get(key)] }
+        : checkAgainstVocabulary(item.genre);
+      if (check.status === 'accepted') result[list].push({ ...item, genres: check.genres });
+      if (check.status === 'review') result.review.push({ ...item, list });
+    }
+  }
+
+  recordUnmappedGenres(
+    result.review.map((item) => item.genre),
+    { source: 'ai', kind: 'movie', id, title: String(title || '') }
+  );
+
+  const acceptedGenres = sanitizeGenres([
+    ...new Set([...result.validated, ...result.new].flatMap((item) => item.genres)),
+  ]);
+  const runId = await logAiRun({
+    ...runBase,
+    durationMs: Date.now() - startedAt,
+    ...result,
+    genres: acceptedGenres,
+  });
+
+  return {
+    ...result,
+    genres: acceptedGenres,
+    template: templateRef,
+    provider,
+    model,
+    runId,
+  };
+}
@@ -0,0 +1,225 @@
+import { createJsonStore } from './jsonStore.js';
+
+// ====== TEMPLATE DEI PROMPT AI ======
+// Template con segnaposto {{nome}}, salvati in DATA_DIR/aiPrompts.json:
+// { activeId, templates: [{ id, name, versions: [{ version, text, note, createdAt }] }] }
+// Le versioni non si modificano: ogni salvataggio ne aggiunge una nuova, così il
+// registro delle esecuzioni (aiRuns.js) resta confrontabile nel tempo.
+
+export const PROMPT_PLACEHOLDERS = {
+  title: 'Titolo del film',
+  overview: 'Trama',
+  year: 'Anno di uscita',
+  cast: 'Cast principale (nomi separati da virgola)',
+  tmdbGenres: 'Generi TMDB',
+  collectionGenres: 'Generi già presenti nella collezione ("Nessuno" se vuota)',
+  vocabulary: 'Generi interni della mappa generi',
+};
+
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+const DEFAULT_GENRES_PROMPT = `
+Procedi per step e verifica bene prima di darmi la risposta che tutto sia in linea con ogni elemento della presente specifica.
+Sei un catalogatore di film per Plex. Il tuo compito è generare 5-8 sotto-generi MOLTO specifici.
+
+DATI DEL FILM:
+- Titolo: {{title}}
+- Anno: {{year}}
+- Trama: {{overview}}
+- Cast principale: {{cast}}
+- Generi generici da ignorare: {{tmdbGenres}}
+
+---
+COMPITO 1: VALIDAZIONE
+Generi già identificati in questa collezione: [{{collectionGenres}}]
+Analizza il film e decidi quali (se presenti) di questi generi della collezione si applicano ANCHE a questo film specifico.
+---
+COMPITO 2: GENERAZIONE
+Genera 2-4 nuovi generi di nicchia SPECIFICI per questo film, che non siano già nella lista della collezione o nei generi generici.
+
+---
+REGOLE ASSOLUTE:
+1.  **FORMATO:** Rispondi SOLO con un oggetto JSON valido, senza testo prima o dopo e senza blocchi di codice, con questa struttura:
+    {
+      "generiCollezioneValidati": [{ "genere": "...", "motivazione": "...", "confidenza": 0.8 }],
+      "nuoviGeneri": [{ "genere": "...", "motivazione": "...", "confidenza": 0.6 }]
+    }
+    "generiCollezioneValidati" = risultato del COMPITO 1 (solo generi presi dalla lista della collezione), "nuoviGeneri" = risultato del COMPITO 2.
+    "motivazione" = una frase breve (massimo 20 parole) che spiega perché il genere si applica a QUESTO film; "confidenza" = numero da 0 a 1.
+2.  **NON USARE GENERI GENERICI:** I nuovi generi NON DEVONO essere generi di base come "Azione", "Commedia", "Dramma", "Animazione", "Fantasy", "Avventura", "Famiglia", "Romantico".
+3.  **LINGUA ITALIANA:** Usa la traduzione italiana. (Esempio: Se pensi a "Coming-of-Age", DEVI usare "Formazione").
+4.  **SEPARAZIONE (IMPORTANTE):** Se un genere è composto da "e" (es. "Cappa e Spada" o "Spade e Stregoneria"), DEVI splittarlo in due generi separati. (Esempio: "Cappa e Spada" -> "Cappa", "Spada").
+5.  **QUALITÀ (NON FRASI):** Usa generi REALI. (Esempio: "Fiaba" va bene. "Musical" va bene). NON usare frasi descrittive. (Esempio: "Fiaba di Desideri" è SBAGLIATO. "Intrighi di palazzo" è SBAGLIATO, "Storia di Vendetta" è sbagliato. Non devono essere tag devono essere GENERI CINEMATOGRAFICI). Verifica e ricontrolla sempre se un genere identificato si addice veramente al film oggetto di analisi.
+    -   **SÌ (Generi):** Heist Movie, Slasher, Cyberpunk, Body Horror, Legal Thriller, Found Footage, Commedia Nera, Biografico, Gangster Movie, Musicale, Arti Marziali, Mockumentary, Fantapolitica, Dramma giudiziario, Formazione, Fiaba, Cappa, Spada, Animali, Vendetta, Desideri, Intrighi.
+    -   **NO (Frasi/Temi):** Animali parlanti, Intrighi di palazzo, Storia di Vendetta, Fiaba di Desideri.
+6.  **VOCABOLARIO:** Quando possibile usa ESATTAMENTE uno dei generi del catalogo: [{{vocabulary}}]. Proponi un genere fuori catalogo solo se nessuno di questi descrive bene il film.
+
+Restituisci SOLO il JSON, dopo aver verificato che i generi siano effettivamente dei validi generi cinematografici attinenti al film analizzato.
+`;
+
+export const DEFAULT_PROMPT_ID = 'generi-film';
+
+function defaultPrompts() {
+  return {
+    activeId: DEFAULT_PROMPT_ID,
+    templates: [
+      {
+        id: DEFAULT_PROMPT_ID,
+        name: 'Generi film',
+        versions: [
+          { version: 1, text: DEFAULT_GENRES_PROMPT, note: 'Prompt originale', createdAt: null },
+        ],
+      },
+    ],
+  };
+}
+
+const promptsStore = createJsonStore('aiPrompts', { defaultValue: defaultPrompts });
+
+let prompts;
+try {
+  prompts = await promptsStore.read();
+} catch (err) {
+  console.error('Template prompt AI salvati non validi, uso quello predefinito:', err.message);
+  prompts = defaultPrompts();
+}
+
+function promptError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function slugify(text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function latestVersion(template) {
+  return template.versions[template.versions.length - 1];
+}
+
+// Il testo deve usare solo segnaposto noti e contenere almeno il titolo
+function validateTemplateText(text) {
+  if (typeof text !== 'string' || !text.trim()) throw promptError('Testo del template mancante');
+  const unknown = [...text.matchAll(PLACEHOLDER_RE)]
+    .map((m) => m[1])
+    .filter((name) => !PROMPT_PLACEHOLDERS[name]);
+  if (unknown.length > 0) {
+    throw promptError(`Segnaposto sconosciuti: ${[...new Set(unknown)].map((n) => `{{${n}}}`).join(', ')}`);
+  }
+  if (!/\{\{\s*title\s*\}\}/.test(text)) throw promptError('Il template deve contenere {{title}}');
+  return text;
+}
+
+// prima la copia in memoria, così due salvataggi ravvicinati non perdono versioni
+async function persist(next) {
+  prompts = next;
+  await promptsStore.write(next);
+  return next;
+}
+
+export function getPrompts() {
+  return prompts;
+}
+
+/**
+ * Template e versione da usare per un'esecuzione: quello indicato oppure
+ * quello attivo; senza versione, l'ultima.
+ * Ritorna { id, name, version, text }
+ */
+export function resolvePrompt(templateId, version) {
+  const template = prompts.templates.find((t) => t.id === (templateId || prompts.activeId));
+  if (!template) throw promptError(`Template prompt non trovato: ${templateId}`, 404);
+
+  const chosen = version
+    ? template.versions.find((v) => v.version === Number(version))
+    : latestVersion(template);
+  if (!chosen) throw promptError(`${template.name}: versione ${version} inesistente`, 404);
+
+  return { id: template.id, name: template.name, version: chosen.version, text: chosen.text };
+}
+
+// Sostituisce i segnaposto {{nome}} con i valori (testo vuoto se mancanti)
+export function renderPrompt(text, values = {}) {
+  return text.replace(PLACEHOLDER_RE, (match, name) =>
+    PROMPT_PLACEHOLDERS[name] ? String(values[name] ?? '') : match
+  );
+}
+
+/**
+ * Nuovo template (versione 1). Body: { name, text, note }
+ */
+export async function createPrompt({ name, text, note = '' } = {}) {
+  const cleanName = typeof name === 'string' ? name.trim() : '';
+  if (!cleanName) throw promptError('Nome del template mancante');
+  validateTemplateText(text);
+
+  let id = slugify(cleanName) || 'template';
+  const base = id;
+  for (let n = 2; prompts.templates.some((t) => t.id === id); n++) id = `${base}-${n}`;
+
+  const template = {
+    id,
+    name: cleanName,
+    versions: [{ version: 1, text, note: String(note || '').trim(), createdAt: new Date().toISOString() }],
+  };
+  await persist({ ...prompts, templates: [...prompts.templates, template] });
+  return template;
+}
+
+/**
+ * Nuova versione di un template esistente (le precedenti restano).
+ * Se il testo non cambia si aggiorna solo il nome.
+ */
+export async function savePromptVersion(id, { text, name, note = '' } = {}) {
+  const template = prompts.templates.find((t) => t.id === id);
+  if (!template) throw promptError(`Template prompt non trovato: ${id}`, 404);
+
+  const updated = { ...template };
+  if (typeof name === 'string' && name.trim()) updated.name = name.trim();
+  if (text !== undefined && text !== latestVersion(template).text) {
+    validateTemplateText(text);
+    updated.versions = [
+      ...template.versions,
+      {
+        version: latestVersion(template).version + 1,
+        text,
+        note: String(note || '').trim(),
+        createdAt: new Date().toISOString(),
+      },
+    ];
+  }
+
+  await persist({
+    ...prompts,
+    templates: prompts.templates.map((t) => (t.id === id ? updated : t)),
+  });
+  return updated;
+}
+
+export async function setActivePrompt(id) {
+  if (!prompts.templates.some((t) => t.id === id)) {
+    throw promptError(`Template prompt non trovato: ${id}`, 404);
+  }
+  return persist({ ...prompts, activeId: id });
+}
+
+// Elimina un template con tutte le sue versioni (ne resta sempre almeno uno)
+export async function deletePrompt(id) {
+  if (!prompts.templates.some((t) => t.id === id)) {
+    throw promptError(`Template prompt non trovato: ${id}`, 404);
+  }
+  if (prompts.templates.length === 1) throw promptError("Non si può eliminare l'unico template", 409);
+
+  const templates = prompts.templates.filter((t) => t.id !== id);
+  return persist({
+    activeId: prompts.activeId === id ? templates[0].id : prompts.activeId,
+    templates,
+  });
+}
@@ -0,0 +1,41 @@
+import { randomUUID } from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+
+// ====== REGISTRO ESECUZIONI AI ======
+// Ogni analisi AI registra template e versione del prompt, provider, modello ed
+// esito, per confrontare nel tempo le modifiche ai prompt.
+// Salvato in DATA_DIR/aiRuns.json (le più recenti in fondo).
+const MAX_RUNS = 500;
+
+const runsStore = createJsonStore('aiRuns', { defaultValue: () => [] });
+
+let runs;
+try {
+  runs = await runsStore.read();
+} catch (err) {
+  console.error('Registro esecuzioni AI non valido, riparto da zero:', err.message);
+  runs = [];
+}
+
+/**
+ * Aggiunge un'esecuzione al registro e la salva. Se la scrittura fallisce la
+ * promessa viene rifiutata (la voce resta comunque nel registro in memoria).
+ */
+export async function recordAiRun(run) {
+  const entry = { id: randomUUID(), at: new Date().toISOString(), ...run };
+  runs = [...runs, entry].slice(-MAX_RUNS);
+  await runsStore.write(runs);
+  return entry;
+}
+
+/**
+ * Esecuzioni più recenti prima, filtrabili per film e template (ed eventuale versione).
+ */
+export function listAiRuns({ tmdbId, templateId, version, limit = 100 } = {}) {
+  return runs
+    .filter((r) => !tmdbId || String(r.tmdbId) === String(tmdbId))
+    .filter((r) => !templateId || r.template?.id === templateId)
+    .filter((r) => !version || r.template?.version === Number(version))
+    .slice(-limit)
+    .reverse();
+}
@@ -0,0 +1,218 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// ====== CONFIG ======
+// Cartella dati persistenti del backend (montata come volume in Docker)
+export const DATA_DIR =
+  process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const CACHE_DIR = process.env.CACHE_DIR || path.join(DATA_DIR, 'cache');
+const CACHE_MAX_MEMORY_ENTRIES = parseInt(process.env.CACHE_MAX_MEMORY_ENTRIES, 10) || 500;
+const CACHE_MAX_DISK_ENTRIES = parseInt(process.env.CACHE_MAX_DISK_ENTRIES, 10) || 5000;
+// pulizia del disco al più una volta ogni 10 minuti, alla prima scrittura utile
+const CACHE_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Cache a due livelli: LRU in memoria davanti a un archivio su disco
+ * (un file JSON per chiave in CACHE_DIR/<name>).
+ * Ogni voce ha una scadenza e dei tag, usati per invalidare tutte le
+ * risposte di un titolo (es. 'tmdb:movie:603', 'imdb:tt0133093').
+ * Sul disco restano al massimo maxDiskEntries voci: le scadute e le più
+ * vecchie vengono tolte da sweep(), che parte da solo dopo le scritture.
+ */
+export function createCache(
+  name,
+  { maxEntries = CACHE_MAX_MEMORY_ENTRIES, maxDiskEntries = CACHE_MAX_DISK_ENTRIES } = {}
+) {
+  const dir = path.join(CACHE_DIR, name);
+  const memory = new Map();
+  // caricamenti in corso per chiave: richieste uguali aspettano lo stesso loader
+  const inflight = new Map();
+  let dirReady = null;
+  let sweeping = null;
+  let lastSweep = 0;
+
+  const ensureDir = () => {
+    if (!dirReady) dirReady = fs.mkdir(dir, { recursive: true });
+    return dirReady;
+  };
+
+  const fileFor = (key) => path.join(dir, `${hashKey(key)}.json`);
+
+  function remember(key, entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+    // la Map mantiene l'ordine di inserimento: la prima chiave è la meno usata
+    while (memory.size > maxEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  async function readDisk(key) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Ritorna { value, source: 'memory' | 'disk', storedAt } oppure null se
+   * la chiave non c'è o è scaduta.
+   */
+  async function get(key) {
+    const now = Date.now();
+    const cached = memory.get(key);
+    if (cached) {
+      if (cached.expiresAt > now) {
+        remember(key, cached);
+        return { value: cached.value, source: 'memory', storedAt: cached.storedAt };
+      }
+      memory.delete(key);
+    }
+
+    const entry = await readDisk(key);
+    if (!entry || entry.key !== key) return null;
+    if (entry.expiresAt <= now) {
+      await fs.rm(fileFor(key), { force: true });
+      return null;
+    }
+    remember(key, entry);
+    return { value: entry.value, source: 'disk', storedAt: entry.storedAt };
+  }
+
+  async function set(key, value, { ttlMs, tags = [] }) {
+    const storedAt = Date.now();
+    const entry = { key, value, tags, storedAt, expiresAt: storedAt + ttlMs };
+    remember(key, entry);
+    try {
+      await ensureDir();
+      await fs.writeFile(fileFor(key), JSON.stringify(entry));
+    } catch (err) {
+      // la cache su disco è un'ottimizzazione: non deve far fallire la richiesta
+      console.error(`Errore scrittura cache ${name}:`, err.message);
+    }
+    if (Date.now() - lastSweep >= CACHE_SWEEP_INTERVAL_MS) {
+      sweep().catch((err) => console.error(`Errore pulizia cache ${name}:`, err.message));
+    }
+    return storedAt;
+  }
+
+  async function readAllDiskEntries() {
+    let files = [];
+    try {
+      files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json'));
+    } catch {
+      return [];
+    }
+    const entries = [];
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        entries.push({ file, entry });
+      } catch {
+        entries.push({ file, entry: null });
+      }
+    }
+    return entries;
+  }
+
+  // Elimina tutte le voci con il tag indicato, ritorna quante ne ha rimosse
+  async function purgeTag(tag) {
+    const keys = new Set();
+    for (const [key, entry] of memory) {
+      if (entry.tags?.includes(tag)) keys.add(key);
+    }
+    for (const { file, entry } of await readAllDiskEntries()) {
+      if (entry?.tags?.includes(tag)) {
+        keys.add(entry.key);
+        await fs.rm(path.join(dir, file), { force: true });
+      }
+    }
+    keys.forEach((key) => memory.delete(key));
+    return keys.size;
+  }
+
+  /**
+   * Toglie dal disco le voci scadute o illeggibili e, oltre maxDiskEntries,
+   * quelle salvate da più tempo. Ritorna quante ne ha rimosse.
+   */
+  function sweep() {
+    if (!sweeping) {
+      lastSweep = Date.now();
+      sweeping = (async () => {
+        const now = Date.now();
+        const valid = [];
+        let removed = 0;
+        for (const { file, entry } of await readAllDiskEntries()) {
+          if (entry && entry.expiresAt > now) {
+            valid.push({ file, storedAt: entry.storedAt || 0 });
+            continue;
+          }
+          await fs.rm(path.join(dir, file), { force: true });
+          removed += 1;
+        }
+        valid.sort((a, b) => a.storedAt - b.storedAt);
+        for (const { file } of valid.slice(0, Math.max(0, valid.length - maxDiskEntries))) {
+          await fs.rm(path.join(dir, file), { force: true });
+          removed += 1;
+        }
+        return removed;
+      })().finally(() => {
+        sweeping = null;
+      });
+    }
+    return sweeping;
+  }
+
+  async function clear() {
+    const entries = await readAllDiskEntries();
+    const count = Math.max(entries.length, memory.size);
+    memory.clear();
+    await fs.rm(dir, { recursive: true, force: true });
+    dirReady = null;
+    return count;
+  }
+
+  async function stats() {
+    const entries = await readAllDiskEntries();
+    return { name, memoryEntries: memory.size, diskEntries: entries.length };
+  }
+
+  /**
+   * Legge dalla cache o, se manca, esegue loader() e salva il risultato.
+   * Le richieste della stessa chiave che arrivano durante il caricamento
+   * condividono lo stesso loader (e lo stesso errore).
+   * Ritorna { value, hit, source }.
+   */
+  async function wrap(key, { ttlMs, tags = [] }, loader) {
+    const cached = await get(key);
+    if (cached) {
+      return { value: cached.value, hit: true, source: cached.source, storedAt: cached.storedAt };
+    }
+    if (!inflight.has(key)) {
+      const pending = (async () => {
+        const value = await loader();
+        const storedAt = await set(key, value, { ttlMs, tags });
+        return { value, storedAt };
+      })().finally(() => inflight.delete(key));
+      inflight.set(key, pending);
+    }
+    const { value, storedAt } = await inflight.get(key);
+    return { value, hit: false, source: 'origin', storedAt };
+  }
+
+  return { get, set, wrap, purgeTag, sweep, clear, stats };
+}
+
+// Header di risposta che descrivono l'esito della cache
+export function setCacheHeaders(res, { hit, source, storedAt }) {
+  res.set('X-Cache', hit ? 'HIT' : 'MISS');
+  res.set('X-Cache-Source', source);
+  res.set('X-Cache-Age', String(Math.max(0, Math.round((Date.now() - storedAt) / 1000))));
+}
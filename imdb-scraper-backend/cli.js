@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { stringify as toYaml } from 'yaml';
+import { tmdbGetCached } from './tmdb.js';
+import {
+  loadMovieMetadata,
+  loadCollectionMetadata,
+  movieFields,
+  collectionFields,
+  buildPlexPayload,
+  applySharedGenres,
+} from './plexMetadata.js';
+import { loadTvMetadata, loadSeasonMetadata, tvFields } from './tvMetadata.js';
+import { buildMovieNfo } from './nfo.js';
+import { buildKometaYaml } from './kometa.js';
+import { flushUnmappedGenres } from './unmappedGenres.js';
+import { getLocale } from './locale.js';
+
+// ====== USO ======
+const USAGE = `Uso:
+  tmdbtoplex movie <tmdbId|imdbId> [--collection <id>] [--collection-genres "A,B"]
+  tmdbtoplex collection <id>
+  tmdbtoplex tv <id> [--season <n>]
+  tmdbtoplex search "<query>" [--type movie|collection|tv]
+
+Opzioni:
+  -f, --format text|json|yaml|nfo|kometa
+                           formato di output (default text; nfo solo per movie,
+                           kometa per movie e collection)
+  -h, --help               mostra questo aiuto
+
+Richiede TMDB_BEARER_TOKEN nell'ambiente (stesse variabili del backend).`;
+
+const FORMATS = ['text', 'json', 'yaml', 'nfo', 'kometa'];
+
+function usageError(message) {
+  const err = new Error(`${message}\n\n${USAGE}`);
+  err.exitCode = 2;
+  return err;
+}
+
+// ====== RISOLUZIONE ID ======
+// Accetta un id TMDB numerico oppure un id IMDb (tt...) risolto con /find
+async function resolveMovieId(id) {
+  if (/^\d+$/.test(id)) return id;
+  if (!/^tt\d+$/.test(id)) {
+    throw usageError(`Id film non valido: ${id}`);
+  }
+
+  const { value } = await tmdbGetCached(`find/${id}`, { external_source: 'imdb_id' });
+  const movie = value.movie_results && value.movie_results[0];
+  if (!movie) {
+    throw new Error(`Nessun film TMDB trovato per ${id}`);
+  }
+  return String(movie.id);
+}
+
+function parseGenreList(value) {
+  if (!value) return [];
+  return value
+    .split(',')
+    .map((g) => g.trim())
+    .filter(Boolean);
+}
+
+// ====== COMANDI ======
+async function movieCommand(id, values) {
+  const tmdbId = await resolveMovieId(id);
+  const [vm, collection] = await Promise.all([
+    loadMovieMetadata(tmdbId, {
+      collectionId: values.collection || null,
+      collectionGenres: parseGenreList(values['collection-genres']),
+    }),
+    // blocco <set> dell'NFO
+    values.format === 'nfo' && values.collection
+      ? loadCollectionMetadata(values.collection)
+      : null,
+  ]);
+
+  const warnings = Object.entries(vm.sources || {})
+    .filter(([name, source]) => !source.ok && (name !== 'imdb' || vm.imdbId))
+    .map(([name, source]) => `Fonte ${name} non disponibile: ${source.error}`);
+
+  return {
+    kind: 'movie',
+    id: vm.tmdbId,
+    imdbId: vm.imdbId,
+    fields: movieFields(vm),
+    nfo: {
+      ...buildPlexPayload(vm),
+      tmdbId: vm.tmdbId,
+      imdbId: vm.imdbId,
+      collection: collection && { titolo: collection.titolo, riassunto: collection.riassunto },
+    },
+    kometa: { movies: [{ ...buildPlexPayload(vm), tmdbId: vm.tmdbId }] },
+    warnings,
+  };
+}
+
+async function collectionCommand(id, values) {
+  if (!/^\d+$/.test(id)) {
+    throw usageError(`Id collezione non valido: ${id}`);
+  }
+  const view = await loadCollectionMetadata(id);
+  const output = {
+    kind: 'collection',
+    id: view.tmdbId,
+    fields: collectionFields(view),
+    parts: view.parts.map((p) => ({ id: p.id, title: p.title, releaseDate: p.release_date || '' })),
+    warnings: [],
+  };
+
+  // Kometa: servono anche i metadati di tutti i film, con i generi condivisi
+  if (values.format === 'kometa') {
+    const vms = [];
+    for (const part of view.parts) {
+      try {
+        vms.push(await loadMovieMetadata(part.id, { collectionId: id }));
+      } catch (err) {
+        output.warnings.push(`Film ${part.id} (${part.title}) non elaborato: ${err.message}`);
+      }
+    }
+    output.kometa = {
+      collection: view,
+      movies: applySharedGenres(vms).map((vm) => ({ ...buildPlexPayload(vm), tmdbId: vm.tmdbId })),
+    };
+  }
+  return output;
+}
+
+// Senza --season: campi della serie ed elenco stagioni; con --season: episodi
+async function tvCommand(id, values) {
+  if (!/^\d+$/.test(id)) {
+    throw usageError(`Id serie non valido: ${id}`);
+  }
+
+  if (values.season !== undefined) {
+    if (!/^\d+$/.test(values.season)) {
+      throw usageError(`Numero stagione non valido: ${values.season}`);
+    }
+    const season = await loadSeasonMetadata(id, values.season);
+    return {
+      kind: 'season',
+      id: season.tvId,
+      fields: [
+        { key: 'titolo', label: 'Titolo', value: season.titolo },
+        { key: 'riassunto', label: 'Riassunto', value: season.riassunto },
+      ].filter((f) => f.value),
+      episodes: season.episodi,
+      warnings: [],
+    };
+  }
+
+  const vm = await loadTvMetadata(id);
+  return {
+    kind: 'tv',
+    id: vm.tmdbId,
+    fields: tvFields(vm),
+    seasons: vm.stagioni.map((s) => ({
+      numero: s.numero,
+      titolo: s.titolo,
+      numeroEpisodi: s.numeroEpisodi,
+      riassunto: s.riassunto,
+    })),
+    warnings: [],
+  };
+}
+
+async function searchCommand(query, values) {
+  const type = values.type || 'movie';
+  if (!['movie', 'collection', 'tv'].includes(type)) {
+    throw usageError(`Tipo di ricerca non valido: ${type}`);
+  }
+
+  const { value } = await tmdbGetCached(`search/${type}`, {
+    query,
+    language: getLocale().tmdbLanguage,
+    include_adult: 'false',
+  });
+  const results = (value.results || []).map((r) => ({
+    id: r.id,
+    title: r.title || r.name || '',
+    originalTitle: r.original_title || r.original_name || '',
+    year: (r.release_date || r.first_air_date || '').slice(0, 4),
+  }));
+  return { kind: 'search', type, query, results, warnings: [] };
+}
+
+// ====== OUTPUT ======
+// JSON/YAML: i campi diventano un oggetto chiave -> valore
+function toPlainObject(output) {
+  if (output.kind === 'search') {
+    const { kind, ...rest } = output;
+    return rest;
+  }
+  const { kind, fields, warnings, nfo, kometa, ...rest } = output;
+  return {
+    ...rest,
+    ...Object.fromEntries(fields.map((f) => [f.key, f.value])),
+    ...(warnings.length > 0 ? { warnings } : {}),
+  };
+}
+
+function formatText(output) {
+  if (output.kind === 'search') {
+    if (output.results.length === 0) return 'Nessun risultato trovato.';
+    return output.results
+      .map((r) => {
+        const original = r.originalTitle && r.originalTitle !== r.title ? ` [${r.originalTitle}]` : '';
+        return `${r.id}\t${r.title}${r.year ? ` (${r.year})` : ''}${original}`;
+      })
+      .join('\n');
+  }
+
+  const lines = output.fields.map((f) => `${f.label}: ${f.value}`);
+  if (output.kind === 'tv') {
+    output.seasons.forEach((s) => {
+      lines.push('', `${s.titolo} (${s.numeroEpisodi} episodi)`);
+      if (s.riassunto) lines.push(s.riassunto);
+    });
+  }
+  if (output.kind === 'season') {
+    output.episodes.forEach((e) => {
+      lines.push('', `${e.numero}. ${e.titolo}`);
+      if (e.riassunto) lines.push(e.riassunto);
+    });
+  }
+  return lines.join('\n');
+}
+
+function render(output, format) {
+  if (format === 'nfo') return buildMovieNfo(output.nfo).trimEnd();
+  if (format === 'kometa') return buildKometaYaml(output.kometa).trimEnd();
+  if (format === 'json') return JSON.stringify(toPlainObject(output), null, 2);
+  if (format === 'yaml') return toYaml(toPlainObject(output)).trimEnd();
+  return formatText(output);
+}
+
+// ====== MAIN ======
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'text' },
+      collection: { type: 'string' },
+      'collection-genres': { type: 'string' },
+      type: { type: 'string' },
+      season: { type: 'string', short: 's' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const [command, arg] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw usageError(`Formato non valido: ${values.format}`);
+  }
+  if (!arg) {
+    throw usageError(`Argomento mancante per "${command}"`);
+  }
+  if (values.format === 'nfo' && command !== 'movie') {
+    throw usageError('Il formato nfo è disponibile solo per il comando movie');
+  }
+  if (values.format === 'kometa' && !['movie', 'collection'].includes(command)) {
+    throw usageError('Il formato kometa è disponibile solo per i comandi movie e collection');
+  }
+
+  let output;
+  if (command === 'movie') {
+    output = await movieCommand(arg, values);
+  } else if (command === 'collection') {
+    output = await collectionCommand(arg, values);
+  } else if (command === 'tv') {
+    output = await tvCommand(arg, values);
+  } else if (command === 'search') {
+    output = await searchCommand(positionals.slice(1).join(' '), values);
+  } else {
+    throw usageError(`Comando sconosciuto: ${command}`);
+  }
+
+  // gli avvisi vanno su stderr per non sporcare l'output da copiare
+  if (['text', 'nfo', 'kometa'].includes(values.format)) {
+    output.warnings.forEach((w) => console.error(`⚠️  ${w}`));
+  }
+  console.log(render(output, values.format));
+  // i generi non mappati visti dal comando finiscono nella coda della UI
+  await flushUnmappedGenres();
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(`Errore: ${err.message}`);
+  process.exit(err.exitCode || 1);
+});
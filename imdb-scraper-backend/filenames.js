@@ -0,0 +1,382 @@
+import { tmdbGetCached } from './tmdb.js';
+import { getLocale } from './locale.js';
+import { titleSimilarity } from './titleMatch.js';
+
+// ====== NOMI DEI FILE ======
+// Dai nomi dei file video (es. "Il.Signore.degli.Anelli.2001.EXTENDED.1080p.BluRay.mkv")
+// ricava titolo, anno, edizione e tag di qualità, poi cerca il titolo su TMDB e
+// assegna a ogni risultato una confidenza 0..1 (somiglianza del titolo + anno).
+const VIDEO_EXTENSIONS = [
+  'mkv', 'mp4', 'm4v', 'avi', 'mov', 'wmv', 'mpg', 'mpeg', 'ts', 'm2ts', 'iso', 'webm', 'flv', 'vob', 'divx', 'ogm',
+];
+// file che accompagnano i video negli elenchi delle cartelle: ignorati
+const IGNORED_EXTENSIONS = [
+  'srt', 'sub', 'idx', 'ass', 'ssa', 'vtt', 'nfo', 'txt', 'jpg', 'jpeg', 'png', 'gif', 'sfv', 'nzb', 'par2', 'md5', 'url', 'db', 'ini',
+];
+
+const MAX_FILENAMES = 200;
+const MATCH_CONCURRENCY = 3;
+const MAX_CANDIDATES = 5;
+// sopra questa confidenza il primo risultato è considerato abbinato
+const MATCH_THRESHOLD = 0.75;
+
+// marcatore delimitato da caratteri non alfanumerici (i separatori "_" sono già spazi)
+function tag(pattern) {
+  return new RegExp(`(?<![a-z0-9])(?:${pattern})(?![a-z0-9])`, 'i');
+}
+
+// Ogni tag: [etichetta, pattern, debole]. I tag deboli sono parole che compaiono
+// anche nei titoli ("Charlotte's Web", "The Italian Job"): non chiudono mai il
+// titolo e vengono riconosciuti solo dopo l'anno o un tag forte.
+function tagList(entries) {
+  return entries.map(([label, pattern, weak = false]) => ({ label, re: tag(pattern), weak }));
+}
+
+const EDITIONS = tagList([
+  ['Extended', 'extended(?:[ .-]?(?:cut|edition|version))?'],
+  ["Director's Cut", "director'?s?[ .-]?cut"],
+  ['Theatrical', 'theatrical(?:[ .-]?cut)?', true],
+  ['Unrated', 'unrated'],
+  ['Uncut', 'uncut', true],
+  ['Remastered', 'remaster(?:ed)?'],
+  ['Final Cut', 'final[ .-]?cut', true],
+  ['Ultimate', 'ultimate[ .-]?(?:cut|edition)'],
+  ['Special Edition', 'special[ .-]?edition'],
+  ["Collector's Edition", "collector'?s?[ .-]?edition"],
+  ['Anniversary', '\\d{1,3}(?:th)?[ .-]?anniversary(?:[ .-]?edition)?|anniversary[ .-]?edition'],
+  ['Criterion', 'criterion(?:[ .-]?collection)?'],
+  ['IMAX', 'imax', true],
+  ['Redux', 'redux', true],
+  ['Open Matte', 'open[ .-]?matte'],
+]);
+
+// gruppi di tag di qualità: [campo, tag]; per ogni campo vale il primo trovato
+const QUALITY_TAGS = [
+  ['resolution', tagList([['2160p', '2160p|4k|uhd'], ['1080p', '1080[pi]'], ['720p', '720p'], ['576p', '576[pi]'], ['480p', '480[pi]']])],
+  ['source', tagList([
+    ['Remux', '(?:bd|blu[ .-]?ray[ .-]?)?remux'],
+    ['BluRay', 'blu[ .-]?ray|bdrip|brrip'],
+    ['BluRay', 'bd', true],
+    ['WEB-DL', 'web[ .-]?dl'],
+    ['WEBRip', 'web[ .-]?rip'],
+    ['WEB', 'web', true],
+    ['HDTV', 'hdtv'],
+    ['DVDRip', 'dvd[ .-]?rip'],
+    ['DVD', 'dvd(?:[ .-]?r|9|5)?'],
+    ['HDRip', 'hd[ .-]?rip'],
+    ['CAM', 'hdcam|telesync|hdts'],
+    ['CAM', 'cam', true],
+  ])],
+  ['codec', tagList([['x265', 'x[ .]?265|h[ .]?265|hevc'], ['x264', 'x[ .]?264|h[ .]?264|avc'], ['AV1', 'av1'], ['XviD', 'xvid|divx']])],
+  ['hdr', tagList([['Dolby Vision', 'dolby[ .-]?vision|dovi'], ['Dolby Vision', 'dv', true], ['HDR10+', 'hdr10(?:\\+|plus)'], ['HDR', 'hdr(?:10)?']])],
+  ['audio', tagList([
+    ['Atmos', 'atmos'],
+    ['TrueHD', 'true[ .-]?hd'],
+    ['DTS-HD', 'dts[ .-]?hd(?:[ .-]?ma)?'],
+    ['DTS', 'dts'],
+    ['DD+', 'ddp(?:[ .]?[257][ .]1)?|e[ .-]?ac[ .-]?3'],
+    ['AC3', 'ac[ .-]?3|dd[ .]?[257][ .]1'],
+    ['AAC', 'aac(?:[ .]?[257][ .]1)?'],
+    ['FLAC', 'flac'],
+  ])],
+];
+
+// lingue dell'audio (codice ISO 639-1); i nomi per esteso sono deboli
+const LANGUAGE_TAGS = tagList([
+  ['it', 'ita'],
+  ['it', 'italian', true],
+  ['en', 'eng'],
+  ['en', 'english', true],
+  ['fr', 'fre|fra|vff|truefrench'],
+  ['fr', 'french', true],
+  ['de', 'ger|deu'],
+  ['de', 'german', true],
+  ['es', 'spa|esp'],
+  ['es', 'spanish', true],
+  ['multi', 'multi', true],
+]);
+
+const RELEASE_TAGS = tagList([
+  ['', 'proper|repack|internal|sub[ .-]?ita|multisub'],
+  ['', 'limited|complete|subbed|dubbed', true],
+]);
+
+const YEAR_RE = /(?<![a-z0-9])(19\d{2}|20\d{2})(?![a-z0-9])/gi;
+const EPISODE_RES = [
+  tag('s(\\d{1,2})[ .-]?e(\\d{1,3})'),
+  tag('(\\d{1,2})x(\\d{2,3})'),
+  tag('(?:season|stagione)[ .-]?(\\d{1,2})'),
+  tag('s(\\d{1,2})'),
+];
+
+const STRONG_TAGS = [
+  ...EDITIONS,
+  ...QUALITY_TAGS.flatMap(([, entries]) => entries),
+  ...LANGUAGE_TAGS,
+  ...RELEASE_TAGS,
+].filter((t) => !t.weak);
+
+function splitExtension(name) {
+  const match = /\.([a-z0-9]{2,4})$/i.exec(name);
+  const extension = match ? match[1].toLowerCase() : '';
+  return VIDEO_EXTENSIONS.includes(extension) || IGNORED_EXTENSIONS.includes(extension)
+    ? { base: name.slice(0, -match[0].length), extension }
+    : { base: name, extension: '' };
+}
+
+// Posizione del primo tag dopo l'inizio del nome, oppure fine testo
+function firstTagIndex(text, entries) {
+  return Math.min(
+    text.length,
+    ...entries.map(({ re }) => text.search(re)).filter((index) => index > 0)
+  );
+}
+
+// Etichette dei tag presenti nel testo, senza duplicati
+function labelsIn(text, entries) {
+  return [...new Set(entries.filter(({ re }) => re.test(text)).map(({ label }) => label))];
+}
+
+function cleanTitle(text) {
+  return text
+    .replace(/^\s*[[({][^\])}]*[\])}]\s*/, '') // gruppo di rilascio iniziale: [YTS] Titolo
+    .replace(/[[({]\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–:,]+|[\s\-–:,]+$/g, '')
+    .trim();
+}
+
+/**
+ * Analizza un nome di file (o cartella).
+ * Ritorna { filename, extension, title, year, kind, season, episode, edition,
+ *   quality: { resolution, source, codec, hdr, audio }, languages, group, tags }
+ * kind è 'tv' se il nome contiene una stagione/episodio (S01E02, 1x02, Stagione 1).
+ */
+export function parseMediaFilename(filename) {
+  const name = String(filename || '').trim().split(/[\\/]/).pop();
+  const { base, extension } = splitExtension(name);
+  // nomi "da scena" con i punti come separatori; con gli spazi i punti restano (es. "Dr. Stranamore")
+  const text = (/\s/.test(base) ? base : base.replace(/\./g, ' ')).replace(/_/g, ' ');
+
+  let season = null;
+  let episode = null;
+  let episodeIndex = text.length;
+  for (const re of EPISODE_RES) {
+    const match = re.exec(text);
+    if (match && match.index > 0) {
+      season = parseInt(match[1], 10);
+      episode = match[2] ? parseInt(match[2], 10) : null;
+      episodeIndex = match.index;
+      break;
+    }
+  }
+
+  // il titolo finisce all'anno (l'ultimo prima dei tag, mai all'inizio del nome:
+  // "2001 Odissea nello spazio 1968", "Blade Runner 2049 2017"), altrimenti al primo tag forte
+  const strongStart = Math.min(episodeIndex, firstTagIndex(text, STRONG_TAGS));
+  const yearMatch = [...text.matchAll(YEAR_RE)].filter((m) => m.index > 0 && m.index < strongStart).pop() || null;
+  const titleEnd = yearMatch ? yearMatch.index : strongStart;
+
+  // i tag si leggono solo dopo il titolo
+  const rest = text.slice(titleEnd);
+  const editions = labelsIn(rest, EDITIONS);
+  const quality = Object.fromEntries(
+    QUALITY_TAGS.map(([field, entries]) => {
+      const found = entries
+        .map(({ label, re }) => ({ label, index: rest.search(re) }))
+        .filter(({ index }) => index >= 0)
+        .sort((a, b) => a.index - b.index)[0];
+      return [field, found ? found.label : null];
+    })
+  );
+  const languages = labelsIn(rest, LANGUAGE_TAGS);
+
+  // gruppo di rilascio finale dopo i tag: "...x264-GRUPPO" (text e base hanno le stesse posizioni)
+  const groupMatch = /-([a-z0-9]+)\s*$/i.exec(base);
+  const group = groupMatch && groupMatch.index > titleEnd ? groupMatch[1] : null;
+
+  const title = cleanTitle(text.slice(0, titleEnd)) || cleanTitle(text);
+  const qualityTags = [...new Set(Object.values(quality).filter(Boolean))];
+
+  return {
+    filename: name,
+    extension,
+    title,
+    year: yearMatch ? parseInt(yearMatch[1], 10) : null,
+    kind: season !== null ? 'tv' : 'movie',
+    season,
+    episode,
+    edition: editions.join(', ') || null,
+    quality,
+    languages,
+    group,
+    tags: [...editions, ...qualityTags, ...languages.map((l) => l.toUpperCase())],
+  };
+}
+
+// ====== ELENCHI DI FILE ======
+// righe di "ls -l" e di "dir" (Windows): il nome è dopo dimensione e data
+const LS_LONG_RE = /^[-dlbcps][-rwxsStT]{9}[@+.]?\s+\d+\s+\S+\s+\S+\s+[\d.,]+[KMGTP]?\s+\S+\s+\S+\s+\S+\s+/;
+const DIR_RE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}\s+\d{1,2}[:.]\d{2}(?:\s*[AP]M)?\s+(?:<DIR>|<JUNCTION>|[\d.,]+)\s+/i;
+
+/**
+ * Nomi di file da un elenco incollato o caricato (uno per riga, anche output di
+ * ls, ls -l, dir o find): senza percorsi, duplicati, sottotitoli, immagini e sample.
+ */
+export function parseFileListing(listing) {
+  const seen = new Set();
+  const names = [];
+  for (const rawLine of String(listing || '').split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (!line || /^total\s+\d+/i.test(line) || /:$/.test(line)) continue;
+    if (/^(?:directory of|il volume|volume in|volume serial|numero di serie)/i.test(line)) continue;
+    if (/^\d+\s+(?:file|dir)/i.test(line)) continue; // riepilogo finale di dir
+    if (/<DIR>|<JUNCTION>/i.test(line) && /^\d/.test(line)) {
+      if (/\s\.{1,2}$/.test(line)) continue;
+    }
+    if (/^d[-rwxsStT]{9}/.test(line) && /\s\.{1,2}$/.test(line)) continue;
+    line = line.replace(LS_LONG_RE, '').replace(DIR_RE, '');
+
+    const name = line.split(/[\\/]/).filter(Boolean).pop();
+    if (!name || name === '.' || name === '..') continue;
+    const { extension } = splitExtension(name);
+    if (IGNORED_EXTENSIONS.includes(extension) || /(?<![a-z0-9])sample(?![a-z0-9])/i.test(name)) continue;
+
+    const key = name.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    names.push(name);
+  }
+  return names;
+}
+
+// ====== ABBINAMENTO TMDB ======
+// 1 stesso anno, 0.8 un anno di differenza (uscite diverse per paese), 0 oltre;
+// null se manca uno dei due
+function yearScore(parsedYear, year) {
+  if (!parsedYear || !year) return null;
+  const diff = Math.abs(parsedYear - year);
+  return diff === 0 ? 1 : diff === 1 ? 0.8 : 0;
+}
+
+function toCandidate(result, kind) {
+  const date = kind === 'tv' ? result.first_air_date : result.release_date;
+  return {
+    tmdbId: String(result.id),
+    kind,
+    title: (kind === 'tv' ? result.name : result.title) || '',
+    originalTitle: (kind === 'tv' ? result.original_name : result.original_title) || '',
+    year: date ? parseInt(date.slice(0, 4), 10) || null : null,
+    posterPath: result.poster_path || null,
+  };
+}
+
+// Confidenza 0..1: titolo (il migliore tra localizzato e originale) e anno.
+// Senza anno nel nome del file la confidenza non supera 0.85.
+function scoreCandidate(parsed, candidate) {
+  const title = Math.max(
+    titleSimilarity(parsed.title, candidate.title),
+    titleSimilarity(parsed.title, candidate.originalTitle)
+  );
+  const year = yearScore(parsed.year, candidate.year);
+  const score = year === null ? title * 0.85 : title * 0.7 + year * 0.3;
+  return Math.round(score * 100) / 100;
+}
+
+async function searchTmdb(parsed, kind, withYear, options) {
+  const query = {
+    query: parsed.title,
+    include_adult: 'true',
+    language: getLocale().tmdbLanguage,
+    page: '1',
+  };
+  if (withYear && parsed.year) query[kind === 'tv' ? 'first_air_date_year' : 'year'] = String(parsed.year);
+  const { value } = await tmdbGetCached(`search/${kind}`, query, options);
+  return value.results || [];
+}
+
+/**
+ * Cerca su TMDB il titolo di un file già analizzato.
+ * kind: 'movie' | 'tv' | 'auto' (dal nome del file).
+ * Ritorna { kind, status: 'matched'|'ambiguous'|'unmatched', confidence, best, candidates }:
+ * candidates (al massimo 5, i più probabili prima) hanno anche `confidence`.
+ */
+export async function matchParsedFilename(parsed, { kind = 'auto', clientAuthorization = '' } = {}) {
+  const searchKind = kind === 'movie' || kind === 'tv' ? kind : parsed.kind;
+  if (!parsed.title) {
+    return { kind: searchKind, status: 'unmatched', confidence: 0, best: null, candidates: [] };
+  }
+
+  const options = { clientAuthorization };
+  let results = await searchTmdb(parsed, searchKind, true, options);
+  // l'anno del file può non coincidere con quello di TMDB: riprova senza anno
+  if (results.length === 0 && parsed.year) results = await searchTmdb(parsed, searchKind, false, options);
+
+  // a parità di confidenza resta l'ordine di TMDB (popolarità)
+  const candidates = results
+    .slice(0, 10)
+    .map((result) => toCandidate(result, searchKind))
+    .map((candidate) => ({ ...candidate, confidence: scoreCandidate(parsed, candidate) }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_CANDIDATES);
+
+  const [best = null, second = null] = candidates;
+  if (!best) return { kind: searchKind, status: 'unmatched', confidence: 0, best: null, candidates };
+
+  // due risultati quasi alla pari (es. remake con lo stesso titolo) restano da confermare
+  const close = second && best.confidence - second.confidence < 0.05;
+  const status = best.confidence >= MATCH_THRESHOLD && !close ? 'matched' : 'ambiguous';
+  return { kind: searchKind, status, confidence: best.confidence, best, candidates };
+}
+
+/**
+ * Analizza e abbina più file. filenames: array di nomi; listing: testo di un elenco
+ * (vedi parseFileListing). Ritorna { items: [{ filename, parsed, kind, status,
+ * confidence, best, candidates, error }] } nello stesso ordine dei file.
+ */
+export async function matchFilenames({ filenames = [], listing = '', kind = 'auto', clientAuthorization = '' } = {}) {
+  const names = [
+    ...new Set([
+      ...(Array.isArray(filenames) ? filenames : [])
+        .filter((f) => typeof f === 'string' && f.trim())
+        .map((f) => f.trim()),
+      ...parseFileListing(listing),
+    ]),
+  ];
+  if (names.length === 0) {
+    const err = new Error('Nessun nome di file indicato');
+    err.status = 400;
+    throw err;
+  }
+  if (names.length > MAX_FILENAMES) {
+    const err = new Error(`Troppi file (${names.length}): al massimo ${MAX_FILENAMES} per richiesta`);
+    err.status = 400;
+    throw err;
+  }
+
+  const items = names.map((filename) => ({ filename, parsed: parseMediaFilename(filename) }));
+  // concorrenza limitata per non saturare TMDB
+  const queue = [...items];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      try {
+        Object.assign(item, await matchParsedFilename(item.parsed, { kind, clientAuthorization }), {
+          error: null,
+        });
+      } catch (err) {
+        if (err.status === 503) throw err; // token TMDB mancante: inutile proseguire
+        Object.assign(item, {
+          kind: item.parsed.kind,
+          status: 'error',
+          confidence: 0,
+          best: null,
+          candidates: [],
+          error: err.message,
+        });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: MATCH_CONCURRENCY }, worker));
+  return { items };
+}
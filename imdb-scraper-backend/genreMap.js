@@ -0,0 +1,240 @@
+import { readFileSync } from 'fs';
+import { createJsonStore } from './jsonStore.js';
+import { compareText } from './locale.js';
+
+// ====== MAPPATURA GENERI ======
+// Mappatura universale generi -> generi interni.
+// La chiave è il testo del genere (da qualsiasi fonte), il valore è un array di generi interni.
+// imdbGenreMap.json è solo il punto di partenza: la mappa modificata dalla UI
+// vive in DATA_DIR/genreMap.json e vale subito, senza rebuild.
+const DEFAULT_GENRE_MAP = JSON.parse(
+  readFileSync(new URL('./imdbGenreMap.json', import.meta.url), 'utf8')
+);
+
+const genreMapStore = createJsonStore('genreMap', {
+  defaultValue: () => ({ ...DEFAULT_GENRE_MAP }),
+});
+
+let genreMap;
+try {
+  genreMap = await genreMapStore.read();
+} catch (err) {
+  console.error('Mappa generi salvata non valida, uso imdbGenreMap.json:', err.message);
+  genreMap = { ...DEFAULT_GENRE_MAP };
+}
+
+const IGNORED_GENRE_TOKENS = new Set([
+  'torna all\'inizio',
+  'torna all’inizio',
+  'Torna all\'inizio',
+  'Torna all’inizio',
+]);
+
+// normalizza una stringa per confronto (minuscolo, trim)
+export function normalizeKey(str) {
+  if (!str) return '';
+  return str
+    .toString()
+    .trim()
+    .toLowerCase();
+}
+
+// Nomi che in un oggetto JS non sono semplici chiavi (__proto__ cambia il prototipo)
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+export function isReservedKey(str) {
+  return RESERVED_KEYS.has(normalizeKey(str));
+}
+
+export function sanitizeGenres(list = []) {
+  return list
+    .map((g) => (typeof g === 'string' ? g.trim() : ''))
+    .filter((g) => g && !IGNORED_GENRE_TOKENS.has(g.toLowerCase()));
+}
+
+export function sortGenresAlphabetically(genres = []) {
+  return [...genres].sort((a, b) => compareText(a, b, { sensitivity: 'base' }));
+}
+
+// true se il token ha una voce nella mappa (anche [] per ignorarlo)
+export function isMappedGenre(genreName) {
+  if (!genreName || typeof genreName !== 'string') return false;
+  const normKey = normalizeKey(genreName);
+  return Object.keys(genreMap).some((k) => normalizeKey(k) === normKey);
+}
+
+// Mappa UN genere attraverso l'imdbGenreMap (ritorna array)
+// Se il genere mappa a [] (array vuoto), viene ignorato e non compare nella lista finale
+export function mapGenreToInternal(genreName) {
+  if (!genreName || typeof genreName !== "string") return [];
+
+  const normalizedMap = new Map();
+  Object.entries(genreMap).forEach(([k, v]) => {
+    normalizedMap.set(normalizeKey(k), v || []);
+  });
+
+  const key = genreName.trim();
+  const normKey = normalizeKey(key);
+  const mapped = normalizedMap.get(normKey);
+
+  // Se il genere è nella mappa, usa il mapping (anche se è array vuoto per ignorare)
+  if (mapped !== undefined) {
+    return mapped;
+  } else {
+    // fallback: usa il genere originale se non mappato
+    return [key];
+  }
+}
+
+// Mappa un array di generi attraverso l'imdbGenreMap (1:N)
+// Filtra anche i generi in OUTPUT che sono marcati come [] nella mappa
+export function mapGenresToInternal(genres = []) {
+  const out = [];
+
+  // Crea un Set di generi da escludere (quelli con array vuoto)
+  const excludedGenres = new Set();
+  Object.entries(genreMap).forEach(([k, v]) => {
+    if (Array.isArray(v) && v.length === 0) {
+      excludedGenres.add(normalizeKey(k));
+    }
+  });
+
+  for (const genre of genres) {
+    if (!genre) continue;
+    const mappedGenres = mapGenreToInternal(genre);
+
+    // Filtra i generi generati che sono nell'elenco di esclusione
+    for (const mappedGenre of mappedGenres) {
+      const normMapped = normalizeKey(mappedGenre);
+      if (!excludedGenres.has(normMapped)) {
+        out.push(mappedGenre);
+      }
+    }
+  }
+
+  return sanitizeGenres(out);
+}
+
+// Parole chiave (TMDB/IMDb): diventano generi solo se presenti nella mappa,
+// altrimenti "dystopia", "hacker" ecc. finirebbero tali e quali tra i generi
+export function mapKeywordsToInternal(keywords = []) {
+  return mapGenresToInternal(sanitizeGenres(keywords).filter(isMappedGenre));
+}
+
+export function getGenreMap() {
+  return genreMap;
+}
+
+// Vocabolario dei generi interni: tutti i valori della mappa, senza doppioni
+export function getGenreVocabulary() {
+  const byKey = new Map();
+  for (const genres of Object.values(genreMap)) {
+    for (const genre of sanitizeGenres(genres || [])) {
+      if (!byKey.has(normalizeKey(genre))) byKey.set(normalizeKey(genre), genre);
+    }
+  }
+  return sortGenresAlphabetically([...byKey.values()]);
+}
+
+// Genere interno già esistente (stessa grafia del vocabolario), oppure null
+export function findVocabularyGenre(genreName) {
+  const normKey = normalizeKey(genreName);
+  if (!normKey) return null;
+  return getGenreVocabulary().find((g) => normalizeKey(g) === normKey) || null;
+}
+
+// ====== MODIFICA DELLA MAPPA ======
+function invalidMap(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function cleanMapping(key, genres) {
+  const cleanKey = typeof key === 'string' ? key.trim() : '';
+  if (!cleanKey) throw invalidMap('Chiave vuota');
+  if (isReservedKey(cleanKey)) throw invalidMap(`Chiave riservata: "${cleanKey}"`);
+  if (!Array.isArray(genres) || genres.some((g) => typeof g !== 'string')) {
+    throw invalidMap(`"${cleanKey}": i generi devono essere un array di stringhe ([] per ignorare)`);
+  }
+  return [cleanKey, [...new Set(sanitizeGenres(genres))]];
+}
+
+// Chiave già presente nella mappa con la stessa forma normalizzata
+function findKey(map, key) {
+  const normKey = normalizeKey(key);
+  return Object.keys(map).find((k) => normalizeKey(k) === normKey);
+}
+
+// aggiorna subito la copia in memoria: una modifica che arriva durante la
+// scrittura parte già da questa (le scritture restano in ordine)
+async function saveMap(next) {
+  genreMap = next;
+  await genreMapStore.write(next);
+}
+
+/**
+ * Valida una mappa importata: oggetto { chiave: [generi] }.
+ * Ritorna una copia ripulita (chiavi e generi senza spazi, duplicati rimossi).
+ */
+export function validateGenreMap(map) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    throw invalidMap('La mappa deve essere un oggetto { "genere": ["Genere interno", ...] }');
+  }
+  return Object.fromEntries(Object.entries(map).map(([k, v]) => cleanMapping(k, v)));
+}
+
+/**
+ * Crea o aggiorna una voce. Con `newKey` la voce viene anche rinominata.
+ * Le chiavi sono confrontate senza maiuscole/minuscole come nella mappatura.
+ */
+export async function saveGenreMapping(key, genres, { newKey } = {}) {
+  const next = { ...genreMap };
+  const existing = findKey(next, key || '');
+  // senza newKey la voce esistente mantiene la sua forma (maiuscole comprese)
+  const [cleanKey, cleanGenres] = cleanMapping(newKey ?? existing ?? key, genres);
+
+  if (existing) delete next[existing];
+  const clash = findKey(next, cleanKey);
+  if (clash) {
+    throw invalidMap(`Esiste già una voce "${clash}"`);
+  }
+
+  next[cleanKey] = cleanGenres;
+  await saveMap(next);
+  return { key: cleanKey, genres: cleanGenres, created: !existing };
+}
+
+export async function deleteGenreMapping(key) {
+  const existing = findKey(genreMap, key);
+  if (!existing) return false;
+  const next = { ...genreMap };
+  delete next[existing];
+  await saveMap(next);
+  return true;
+}
+
+/**
+ * Importa una mappa: `merge` aggiorna/aggiunge le voci, `replace` sostituisce tutto.
+ */
+export async function importGenreMap(map, { mode = 'merge' } = {}) {
+  if (!['merge', 'replace'].includes(mode)) {
+    throw invalidMap(`Modalità di import non valida: ${mode}`);
+  }
+  const incoming = validateGenreMap(map);
+
+  const next = mode === 'replace' ? {} : { ...genreMap };
+  for (const [key, genres] of Object.entries(incoming)) {
+    const existing = findKey(next, key);
+    if (existing) delete next[existing];
+    next[key] = genres;
+  }
+  await saveMap(next);
+  return { mode, imported: Object.keys(incoming).length, total: Object.keys(next).length };
+}
+
+// Torna alla mappa di imdbGenreMap.json
+export async function resetGenreMap() {
+  await saveMap({ ...DEFAULT_GENRE_MAP });
+  return { total: Object.keys(genreMap).length };
+}
@@ -0,0 +1,255 @@
+import { createJsonStore } from './jsonStore.js';
+import { normalizeKey, sanitizeGenres } from './genreMap.js';
+
+// ====== REGOLE GENERI DERIVATI ======
+// Regole dichiarative valutate per ogni film/serie dopo la mappatura dei generi:
+// { id, name, enabled, match: 'all' | 'any', conditions: [...], actions: [...] }
+// condizione: { field, op, value }   azione: { type: 'add' | 'remove' | 'replace', genre, with }
+// Salvate in DATA_DIR/genreRules.json, modificabili dalla UI.
+
+// Campi su cui si possono scrivere condizioni, con gli operatori ammessi
+export const RULE_FIELDS = {
+  genres: { label: 'Generi', ops: ['includes', 'excludes', 'includesAll', 'includesAny'] },
+  countries: { label: 'Paesi (nome o codice ISO)', ops: ['includes', 'excludes', 'includesAny'] },
+  language: { label: 'Lingua originale (ISO 639-1)', ops: ['equals', 'notEquals', 'in'] },
+  year: { label: 'Anno', ops: ['equals', 'gte', 'lte'] },
+  runtime: { label: 'Durata (minuti)', ops: ['gte', 'lte'] },
+  certification: { label: 'Classificazione', ops: ['equals', 'notEquals', 'in', 'exists'] },
+  collection: { label: 'Collezione', ops: ['equals', 'exists', 'notExists'] },
+};
+
+export const RULE_OPERATORS = {
+  includes: 'contiene',
+  excludes: 'non contiene',
+  includesAll: 'contiene tutti',
+  includesAny: 'contiene almeno uno',
+  equals: 'è',
+  notEquals: 'non è',
+  in: 'è uno tra',
+  gte: '≥',
+  lte: '≤',
+  exists: 'è presente',
+  notExists: 'è assente',
+};
+
+export const RULE_ACTIONS = {
+  add: 'aggiungi',
+  remove: 'rimuovi',
+  replace: 'sostituisci',
+};
+
+// Operatori che vogliono una lista di valori / un numero / nessun valore
+const LIST_OPS = new Set(['includesAll', 'includesAny', 'in']);
+const NUMBER_OPS = new Set(['gte', 'lte']);
+const VALUELESS_OPS = new Set(['exists', 'notExists']);
+
+// Le due regole che prima erano scritte nel codice
+export const DEFAULT_GENRE_RULES = [
+  {
+    id: 'commedia-romantica',
+    name: 'Commedia Romantica',
+    enabled: true,
+    match: 'all',
+    conditions: [{ field: 'genres', op: 'includesAll', value: ['Commedia', 'Romantico'] }],
+    actions: [{ type: 'add', genre: 'Commedia Romantica' }],
+  },
+  {
+    id: 'italiano',
+    name: 'Film italiano',
+    enabled: true,
+    match: 'any',
+    conditions: [
+      { field: 'language', op: 'equals', value: 'it' },
+      { field: 'countries', op: 'includesAny', value: ['Italy', 'IT'] },
+    ],
+    actions: [{ type: 'add', genre: 'Italiano' }],
+  },
+];
+
+const rulesStore = createJsonStore('genreRules', {
+  defaultValue: () => structuredClone(DEFAULT_GENRE_RULES),
+});
+
+let genreRules;
+try {
+  genreRules = await rulesStore.read();
+} catch (err) {
+  console.error('Regole generi salvate non valide, uso quelle predefinite:', err.message);
+  genreRules = structuredClone(DEFAULT_GENRE_RULES);
+}
+
+export function getGenreRules() {
+  return genreRules;
+}
+
+// ====== VALIDAZIONE ======
+function invalidRule(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function slugify(text) {
+  return normalizeKey(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function cleanCondition(condition, ruleName) {
+  const { field, op } = condition || {};
+  const spec = RULE_FIELDS[field];
+  if (!spec) throw invalidRule(`${ruleName}: campo non valido "${field}"`);
+  if (!spec.ops.includes(op)) {
+    throw invalidRule(`${ruleName}: operatore "${op}" non ammesso per ${field}`);
+  }
+  if (VALUELESS_OPS.has(op)) return { field, op };
+
+  let { value } = condition;
+  if (LIST_OPS.has(op)) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    value = sanitizeGenres(list.map(String));
+    if (value.length === 0) throw invalidRule(`${ruleName}: ${field} ${op} senza valori`);
+  } else if (NUMBER_OPS.has(op) || field === 'year') {
+    value = Number(value);
+    if (!Number.isFinite(value)) throw invalidRule(`${ruleName}: ${field} richiede un numero`);
+  } else {
+    value = String(value ?? '').trim();
+    if (!value) throw invalidRule(`${ruleName}: ${field} ${op} senza valore`);
+  }
+  return { field, op, value };
+}
+
+function cleanAction(action, ruleName) {
+  const type = action?.type;
+  if (!RULE_ACTIONS[type]) throw invalidRule(`${ruleName}: azione non valida "${type}"`);
+  const genre = typeof action.genre === 'string' ? action.genre.trim() : '';
+  if (!genre) throw invalidRule(`${ruleName}: azione "${type}" senza genere`);
+  if (type !== 'replace') return { type, genre };
+
+  const replacement = typeof action.with === 'string' ? action.with.trim() : '';
+  if (!replacement) throw invalidRule(`${ruleName}: "sostituisci" senza genere nuovo`);
+  return { type, genre, with: replacement };
+}
+
+/**
+ * Valida e ripulisce l'elenco completo delle regole (ordine = ordine di valutazione).
+ */
+export function validateGenreRules(rules) {
+  if (!Array.isArray(rules)) throw invalidRule('Le regole devono essere un array');
+
+  const ids = new Set();
+  return rules.map((rule, index) => {
+    const name = typeof rule?.name === 'string' && rule.name.trim() ? rule.name.trim() : '';
+    if (!name) throw invalidRule(`Regola ${index + 1}: nome mancante`);
+    if (!Array.isArray(rule.conditions) || !Array.isArray(rule.actions) || rule.actions.length === 0) {
+      throw invalidRule(`${name}: servono conditions (array) e almeno un'azione`);
+    }
+
+    let id = (typeof rule.id === 'string' && rule.id.trim()) || slugify(name) || `regola-${index + 1}`;
+    while (ids.has(id)) id = `${id}-${index + 1}`;
+    ids.add(id);
+
+    return {
+      id,
+      name,
+      enabled: rule.enabled !== false,
+      match: rule.match === 'any' ? 'any' : 'all',
+      conditions: rule.conditions.map((c) => cleanCondition(c, name)),
+      actions: rule.actions.map((a) => cleanAction(a, name)),
+    };
+  });
+}
+
+// aggiorna subito la copia in memoria: una modifica che arriva durante la
+// scrittura parte già da questa (le scritture restano in ordine)
+export async function saveGenreRules(rules) {
+  const cleaned = validateGenreRules(rules);
+  genreRules = cleaned;
+  await rulesStore.write(cleaned);
+  return cleaned;
+}
+
+export async function resetGenreRules() {
+  return saveGenreRules(structuredClone(DEFAULT_GENRE_RULES));
+}
+
+// ====== VALUTAZIONE ======
+function listHas(list, value) {
+  return list.includes(normalizeKey(value));
+}
+
+function testCondition({ field, op, value }, facts, genres) {
+  if (field === 'genres' || field === 'countries') {
+    const list = (field === 'genres' ? genres : facts.countries || []).map(normalizeKey);
+    if (op === 'includes') return listHas(list, value);
+    if (op === 'excludes') return !listHas(list, value);
+    if (op === 'includesAll') return value.every((v) => listHas(list, v));
+    if (op === 'includesAny') return value.some((v) => listHas(list, v));
+    return false;
+  }
+
+  const fact = facts[field];
+  const present = fact !== null && fact !== undefined && fact !== '';
+  if (op === 'exists') return present;
+  if (op === 'notExists') return !present;
+  if (!present) return false;
+
+  if (op === 'gte') return Number(fact) >= value;
+  if (op === 'lte') return Number(fact) <= value;
+  if (field === 'year') {
+    return op === 'equals' ? Number(fact) === value : Number(fact) !== value;
+  }
+  if (op === 'equals') return normalizeKey(fact) === normalizeKey(value);
+  if (op === 'notEquals') return normalizeKey(fact) !== normalizeKey(value);
+  if (op === 'in') return value.some((v) => normalizeKey(v) === normalizeKey(fact));
+  return false;
+}
+
+/**
+ * Applica le regole attive, in ordine, a un elenco di generi.
+ * facts: { countries, language, year, runtime, certification, collection }
+ * Ritorna { genres, applied: [{ id, name, added, removed }] }: ogni regola vede
+ * i generi prodotti da quelle precedenti.
+ */
+export function evaluateGenreRules(inputGenres = [], facts = {}, rules = genreRules) {
+  let genres = sanitizeGenres(inputGenres);
+  const applied = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const results = rule.conditions.map((c) => testCondition(c, facts, genres));
+    const matched =
+      results.length === 0 || (rule.match === 'any' ? results.some(Boolean) : results.every(Boolean));
+    if (!matched) continue;
+
+    const added = [];
+    const removed = [];
+    const has = (g) => genres.some((x) => normalizeKey(x) === normalizeKey(g));
+    const drop = (g) => {
+      if (!has(g)) return;
+      genres = genres.filter((x) => normalizeKey(x) !== normalizeKey(g));
+      removed.push(g);
+    };
+    const add = (g) => {
+      if (has(g)) return;
+      genres = [...genres, g];
+      added.push(g);
+    };
+
+    for (const action of rule.actions) {
+      if (action.type === 'add') add(action.genre);
+      if (action.type === 'remove') drop(action.genre);
+      if (action.type === 'replace' && has(action.genre)) {
+        drop(action.genre);
+        add(action.with);
+      }
+    }
+    if (added.length > 0 || removed.length > 0) {
+      applied.push({ id: rule.id, name: rule.name, added, removed });
+    }
+  }
+
+  return { genres, applied };
+}
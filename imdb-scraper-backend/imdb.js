@@ -0,0 +1,332 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { createCache } from './cache.js';
+
+// ====== CONFIG ======
+// Le pagine IMDb vengono scaricate al massimo una volta al giorno per titolo
+const IMDB_CACHE_TTL_MS = (parseInt(process.env.IMDB_CACHE_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+export const imdbCache = createCache('imdb');
+
+export function imdbTitleTag(imdbId) {
+  return `imdb:${imdbId}`;
+}
+
+// ====== PARSING DATI STRUTTURATI ======
+function uniq(list) {
+  return [...new Set(list.map((v) => (typeof v === 'string' ? v.trim() : '')).filter(Boolean))];
+}
+
+function edgesText(edges, pick) {
+  return uniq((edges || []).map((e) => pick(e?.node || {})));
+}
+
+// Crediti principali: il vecchio formato ha category.id, il nuovo (V2) solo il testo
+function principalCreditNames(groups = [], matcher) {
+  return uniq(
+    groups
+      .filter((g) => {
+        const label = [g?.category?.id, g?.category?.text, g?.grouping?.text]
+          .filter(Boolean)
+          .join(' ')
+          .toLowerCase();
+        return matcher.test(label);
+      })
+      .flatMap((g) => (g.credits || []).map((c) => c?.name?.nameText?.text))
+  );
+}
+
+const DIRECTOR_LABEL = /director|regia|regista/;
+const WRITER_LABEL = /writer|sceneggiatura|autore|scrittura|creator|creatore|ideatore/;
+
+function formatReleaseDate(date) {
+  if (!date || !date.year) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  if (!date.month) return String(date.year);
+  if (!date.day) return `${date.year}-${pad(date.month)}`;
+  return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+}
+
+/**
+ * Dati da __NEXT_DATA__ (aboveTheFoldData + mainColumnData).
+ * Ritorna null se il blocco manca o non è leggibile.
+ */
+function parseNextData($) {
+  const raw = $('script#__NEXT_DATA__').first().html();
+  if (!raw) return null;
+
+  let json;
+  try {
+    json = JSON.parse(raw);
+  } catch (err) {
+    console.error('IMDb __NEXT_DATA__ non valido:', err.message);
+    return null;
+  }
+
+  const above = json?.props?.pageProps?.aboveTheFoldData;
+  const main = json?.props?.pageProps?.mainColumnData || {};
+  if (!above) return null;
+
+  const principal = above.principalCreditsV2 || above.principalCredits || [];
+  const directorsFromMain = (main.directors || []).flatMap((d) =>
+    (d.credits || []).map((c) => c?.name?.nameText?.text)
+  );
+  const writersFromMain = (main.writers || []).flatMap((w) =>
+    (w.credits || []).map((c) => c?.name?.nameText?.text)
+  );
+
+  return {
+    title: above.titleText?.text || null,
+    originalTitle: above.originalTitleText?.text || null,
+    rating: above.ratingsSummary?.aggregateRating ?? null,
+    voteCount: above.ratingsSummary?.voteCount ?? null,
+    runtimeMinutes: above.runtime?.seconds ? Math.round(above.runtime.seconds / 60) : null,
+    releaseDate: formatReleaseDate(above.releaseDate),
+    certificate: above.certificate?.rating || null,
+    keywords: edgesText(above.keywords?.edges, (n) => n.text),
+    genres: uniq((above.genres?.genres || []).map((g) => g.text)),
+    interests: edgesText(above.interests?.edges, (n) => n.primaryText?.text),
+    directors: uniq([...directorsFromMain, ...principalCreditNames(principal, DIRECTOR_LABEL)]),
+    writers: uniq([...writersFromMain, ...principalCreditNames(principal, WRITER_LABEL)]),
+    cast: (main.cast?.edges || [])
+      .map((e) => ({
+        name: e?.node?.name?.nameText?.text || '',
+        character: (e?.node?.characters || []).map((c) => c.name).filter(Boolean).join(' / '),
+      }))
+      .filter((c) => c.name),
+    countries: uniq(
+      (main.countriesOfOrigin?.countries || above.countriesOfOrigin?.countries || []).map(
+        (c) => c.text
+      )
+    ),
+    languages: uniq((main.spokenLanguages?.spokenLanguages || []).map((l) => l.text)),
+    companies: edgesText(main.production?.edges, (n) => n.company?.companyText?.text),
+  };
+}
+
+// Persone di JSON-LD (oggetto singolo o array, solo @type Person)
+function ldPeople(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return uniq(list.filter((p) => !p['@type'] || p['@type'] === 'Person').map((p) => p.name));
+}
+
+// Durata ISO 8601 (PT2H16M) in minuti
+function isoDurationToMinutes(duration) {
+  const match = /^PT(?:(\d+)H)?(?:(\d+)M)?/.exec(duration || '');
+  if (!match) return null;
+  return (parseInt(match[1] || '0', 10) * 60 + parseInt(match[2] || '0', 10)) || null;
+}
+
+/**
+ * Dati dal blocco JSON-LD (schema.org Movie/TVSeries).
+ */
+function parseJsonLd($) {
+  let data = null;
+  $('script[type="application/ld+json"]').each((_, el) => {
+    if (data) return;
+    try {
+      const json = JSON.parse($(el).html() || '');
+      if (json && json.name) data = json;
+    } catch (err) {
+      console.error('IMDb JSON-LD non valido:', err.message);
+    }
+  });
+  if (!data) return null;
+
+  const genres = Array.isArray(data.genre) ? data.genre : data.genre ? [data.genre] : [];
+  return {
+    title: data.name || null,
+    originalTitle: data.alternateName || null,
+    rating: data.aggregateRating?.ratingValue ?? null,
+    voteCount: data.aggregateRating?.ratingCount ?? null,
+    runtimeMinutes: isoDurationToMinutes(data.duration),
+    releaseDate: data.datePublished || null,
+    certificate: data.contentRating || null,
+    keywords: uniq((data.keywords || '').split(',')),
+    genres: uniq(genres),
+    directors: ldPeople(data.director),
+    writers: ldPeople(data.creator),
+    cast: ldPeople(data.actor).map((name) => ({ name, character: '' })),
+  };
+}
+
+/**
+ * Ultima risorsa: selettori CSS sull'HTML renderizzato.
+ */
+function parseHtml($) {
+  const chips = [];
+  $('.ipc-chip__text').each((_, el) => {
+    const txt = $(el).text().trim();
+    if (txt) chips.push(txt);
+  });
+
+  const directors = [];
+  const writers = [];
+  $('[data-testid="title-pc-principal-credit"]').each((_, el) => {
+    const role = $(el).find('span.ipc-metadata-list-item__label').text().toLowerCase();
+    const names = $(el)
+      .find('a')
+      .map((__, a) => $(a).text().trim())
+      .get()
+      .filter(Boolean);
+
+    if (DIRECTOR_LABEL.test(role)) {
+      directors.push(...names);
+    } else if (WRITER_LABEL.test(role)) {
+      writers.push(...names);
+    }
+  });
+
+  const cast = [];
+  $('[data-testid="title-cast-item"]').each((_, el) => {
+    const name = $(el).find('[data-testid="title-cast-item__actor"]').first().text().trim();
+    const character = $(el)
+      .find('[data-testid="cast-item-characters-link"] span')
+      .first()
+      .text()
+      .trim();
+    if (name) cast.push({ name, character });
+  });
+
+  return { chips: uniq(chips), directors: uniq(directors), writers: uniq(writers), cast };
+}
+
+// Primo valore non vuoto (gli array vuoti contano come mancanti)
+function firstPresent(...values) {
+  return values.find((v) => (Array.isArray(v) ? v.length > 0 : v !== null && v !== undefined && v !== ''));
+}
+
+/**
+ * Scraping della pagina IMDb del titolo.
+ * Legge prima __NEXT_DATA__, poi JSON-LD e solo per i campi ancora
+ * mancanti usa i selettori CSS. Ritorna:
+ * { imdbId, sources, title, originalTitle, rating, voteCount, runtimeMinutes,
+ *   releaseDate, certificate, keywords, genres, interests, chips, directors,
+ *   writers, cast: [{ name, character }], countries, languages, companies }
+ * `chips` (interessi + generi) è quello usato per la mappatura dei generi.
+ */
+export async function scrapeImdb(imdbId) {
+  const url = `https://www.imdb.com/title/${imdbId}/`;
+
+  const response = await axios.get(url, {
+    headers: {
+      // header "umani"
+      'User-Agent':
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+      'Accept-Language': 'it-IT,it;q=0.9,en-US;q=0.8,en;q=0.7',
+    },
+    // se IMDb reindirizza a /it/ ecc, lasciamo fare
+    maxRedirects: 5,
+  });
+
+  const $ = cheerio.load(response.data);
+  const next = parseNextData($) || {};
+  const ld = parseJsonLd($) || {};
+
+  const interests = next.interests || [];
+  const genres = firstPresent(next.genres, ld.genres) || [];
+  const structuredChips = uniq([...interests, ...genres]);
+
+  // selettori CSS solo se i dati strutturati non bastano
+  // (il cast di JSON-LD non ha i personaggi: quello dell'HTML è migliore)
+  const needsHtml =
+    structuredChips.length === 0 ||
+    !firstPresent(next.directors, ld.directors) ||
+    !firstPresent(next.cast);
+  const html = needsHtml ? parseHtml($) : {};
+
+  const sources = [
+    Object.keys(next).length > 0 && 'next-data',
+    Object.keys(ld).length > 0 && 'json-ld',
+    needsHtml && 'html',
+  ].filter(Boolean);
+
+  return {
+    imdbId,
+    sources,
+    title: firstPresent(next.title, ld.title) || null,
+    originalTitle: firstPresent(next.originalTitle, ld.originalTitle) || null,
+    rating: firstPresent(next.rating, ld.rating) ?? null,
+    voteCount: firstPresent(next.voteCount, ld.voteCount) ?? null,
+    runtimeMinutes: firstPresent(next.runtimeMinutes, ld.runtimeMinutes) ?? null,
+    releaseDate: firstPresent(next.releaseDate, ld.releaseDate) || null,
+    certificate: firstPresent(next.certificate, ld.certificate) || null,
+    keywords: firstPresent(next.keywords, ld.keywords) || [],
+    genres,
+    interests,
+    chips: firstPresent(structuredChips, html.chips) || [],
+    directors: firstPresent(next.directors, ld.directors, html.directors) || [],
+    writers: firstPresent(next.writers, ld.writers, html.writers) || [],
+    cast: firstPresent(next.cast, html.cast, ld.cast) || [],
+    countries: next.countries || [],
+    languages: next.languages || [],
+    companies: next.companies || [],
+  };
+}
+
+// ====== PAROLE CHIAVE ======
+// Testi delle parole chiave in __NEXT_DATA__ della pagina /keywords
+// (vecchio formato contentData.section.items, nuovo title.keywords.edges)
+function nextDataKeywords($) {
+  const raw = $('script#__NEXT_DATA__').first().html();
+  if (!raw) return [];
+  try {
+    const pageProps = JSON.parse(raw)?.props?.pageProps || {};
+    const items = pageProps.contentData?.section?.items || [];
+    const edges = pageProps.contentData?.data?.title?.keywords?.edges || [];
+    return uniq([
+      ...items.map((item) => item.rowTitle),
+      ...edges.map((e) => e?.node?.keyword?.text?.text || e?.node?.text),
+    ]);
+  } catch (err) {
+    console.error('IMDb __NEXT_DATA__ (keywords) non valido:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Parole chiave della pagina /title/{id}/keywords (tutte, non solo le
+ * poche mostrate nella pagina principale). Ritorna { imdbId, keywords }.
+ */
+export async function scrapeImdbKeywords(imdbId) {
+  const response = await axios.get(`https://www.imdb.com/title/${imdbId}/keywords/`, {
+    headers: {
+      'User-Agent':
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+      'Accept-Language': 'en-US,en;q=0.9',
+    },
+    maxRedirects: 5,
+  });
+
+  const $ = cheerio.load(response.data);
+  let keywords = nextDataKeywords($);
+  if (keywords.length === 0) {
+    keywords = uniq(
+      $('[data-testid="sub-section"] .ipc-metadata-list-summary-item__t, td.soda a[href*="keywords="]')
+        .map((_, el) => $(el).text())
+        .get()
+    );
+  }
+
+  return { imdbId, keywords };
+}
+
+export function scrapeImdbKeywordsCached(imdbId) {
+  return imdbCache.wrap(
+    `title/${imdbId}/keywords`,
+    { ttlMs: IMDB_CACHE_TTL_MS, tags: [imdbTitleTag(imdbId)] },
+    () => scrapeImdbKeywords(imdbId)
+  );
+}
+
+/**
+ * scrapeImdb passando dalla cache.
+ * Ritorna { value, hit, source, storedAt } (vedi cache.wrap).
+ */
+export function scrapeImdbCached(imdbId) {
+  return imdbCache.wrap(
+    `title/${imdbId}`,
+    { ttlMs: IMDB_CACHE_TTL_MS, tags: [imdbTitleTag(imdbId)] },
+    () => scrapeImdb(imdbId)
+  );
+}
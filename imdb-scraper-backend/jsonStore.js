@@ -0,0 +1,40 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './cache.js';
+
+/**
+ * Documento JSON persistente in DATA_DIR/<name>.json (name può contenere
+ * una sottocartella, es. "sessions/movie-603").
+ * `read` ritorna il valore di default finché il file non esiste;
+ * `write` scrive su un file temporaneo e lo rinomina, così un crash
+ * a metà scrittura non lascia il file troncato. Le scritture sono
+ * serializzate nell'ordine di chiamata.
+ */
+export function createJsonStore(name, { defaultValue = () => null } = {}) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return defaultValue();
+      throw new Error(`${file} non leggibile: ${err.message}`);
+    }
+  }
+
+  function write(value) {
+    const run = async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value, null, 2), 'utf8');
+      await fs.rename(tmp, file);
+    };
+    // una scrittura fallita non blocca quelle successive
+    const result = queue.then(run, run);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return { file, read, write };
+}
@@ -0,0 +1,69 @@
+import { stringify } from 'yaml';
+import { collectionFields } from './plexMetadata.js';
+
+// ====== KOMETA (Plex Meta Manager) ======
+// Il film arriva nel formato di PUT /api/plex/metadata (come per l'export NFO)
+// con in più tmdbId; la collezione è il view model di buildCollectionView.
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return value ? [value] : [];
+}
+
+// Aggiunge la chiave solo se il valore non è vuoto
+function setIfPresent(target, key, value) {
+  if (Array.isArray(value) ? value.length > 0 : value) {
+    target[key] = value;
+  }
+}
+
+/**
+ * Voce `metadata:` di un film, con chiave l'id TMDB.
+ * I generi usano genre.sync: su Plex restano solo quelli indicati.
+ */
+export function buildKometaMovieEntry(movie) {
+  const entry = {};
+  setIfPresent(entry, 'title', movie.titolo);
+  setIfPresent(entry, 'sort_title', movie.titoloOrdinamento);
+  setIfPresent(entry, 'original_title', movie.titoloOriginale);
+  setIfPresent(entry, 'originally_available', movie.dataUscita);
+  setIfPresent(entry, 'content_rating', movie.contentRating);
+  setIfPresent(entry, 'studio', movie.studio);
+  setIfPresent(entry, 'tagline', movie.tagline);
+  setIfPresent(entry, 'summary', movie.riassunto);
+  setIfPresent(entry, 'genre.sync', toList(movie.generi));
+  setIfPresent(entry, 'director', toList(movie.registi));
+  setIfPresent(entry, 'writer', toList(movie.autori));
+  setIfPresent(entry, 'producer', toList(movie.produttori));
+  setIfPresent(entry, 'country', toList(movie.paesi));
+  return entry;
+}
+
+/**
+ * Voce `collections:` della collezione, con chiave il titolo Plex.
+ * Il riassunto è quello della UI (con l'elenco dei film).
+ */
+export function buildKometaCollectionEntry(collection) {
+  const fields = Object.fromEntries(collectionFields(collection).map((f) => [f.key, f.value]));
+  const entry = { tmdb_collection: Number(collection.tmdbId) || collection.tmdbId };
+  setIfPresent(entry, 'sort_title', fields.titoloOrdinamento);
+  setIfPresent(entry, 'summary', fields.riassunto);
+  return { [fields.titolo]: entry };
+}
+
+/**
+ * Documento YAML Kometa: collections (se indicata) e metadata dei film.
+ */
+export function buildKometaYaml({ collection = null, movies = [] }) {
+  const doc = {};
+  if (collection) {
+    doc.collections = buildKometaCollectionEntry(collection);
+  }
+  if (movies.length > 0) {
+    // Map per avere chiavi numeriche: Kometa tratta le chiavi intere come id TMDB
+    doc.metadata = new Map(
+      movies.map((movie) => [Number(movie.tmdbId) || movie.tmdbId, buildKometaMovieEntry(movie)])
+    );
+  }
+  return stringify(doc, { lineWidth: 0 });
+}
@@ -0,0 +1,133 @@
+// ====== LINGUA DEI METADATI ======
+// APP_LOCALE (it, en, fr, de, es) decide lingua TMDB e lingua di ripiego, lingua
+// di destinazione delle traduzioni, articoli ignorati nei titoli di ordinamento,
+// ordinamento alfabetico e nome delle collezioni. Default: it (comportamento storico).
+// I titoli originali sono spesso inglesi: gli articoli inglesi valgono per ogni lingua.
+const ENGLISH_ARTICLES = ['the', 'a', 'an'];
+
+const LOCALES = {
+  it: {
+    label: 'Italiano',
+    languageName: 'italiano',
+    tmdbLanguage: 'it-IT',
+    region: 'IT',
+    fallbackLanguage: 'en-US',
+    deeplTarget: 'IT',
+    articles: ["l'", 'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una'],
+    // parole usate da TMDB nei nomi delle collezioni, sostituite da collectionName
+    collectionWords: ['Collection', 'Collezione'],
+    collectionName: 'Raccolta',
+    seasonLabel: 'Stagione',
+    episodeLabel: 'Episodio',
+  },
+  en: {
+    label: 'English',
+    languageName: 'inglese',
+    tmdbLanguage: 'en-US',
+    region: 'US',
+    fallbackLanguage: 'en-US',
+    deeplTarget: 'EN-US',
+    articles: [],
+    collectionWords: ['Collection'],
+    collectionName: 'Collection',
+    seasonLabel: 'Season',
+    episodeLabel: 'Episode',
+  },
+  fr: {
+    label: 'Français',
+    languageName: 'francese',
+    tmdbLanguage: 'fr-FR',
+    region: 'FR',
+    fallbackLanguage: 'en-US',
+    deeplTarget: 'FR',
+    articles: ["l'", 'le', 'la', 'les', 'un', 'une', 'des'],
+    collectionWords: ['Collection', 'Saga'],
+    collectionName: 'Collection',
+    seasonLabel: 'Saison',
+    episodeLabel: 'Épisode',
+  },
+  de: {
+    label: 'Deutsch',
+    languageName: 'tedesco',
+    tmdbLanguage: 'de-DE',
+    region: 'DE',
+    fallbackLanguage: 'en-US',
+    deeplTarget: 'DE',
+    articles: ['der', 'die', 'das', 'ein', 'eine'],
+    collectionWords: ['Collection', 'Filmreihe', 'Sammlung'],
+    collectionName: 'Filmreihe',
+    seasonLabel: 'Staffel',
+    episodeLabel: 'Folge',
+  },
+  es: {
+    label: 'Español',
+    languageName: 'spagnolo',
+    tmdbLanguage: 'es-ES',
+    region: 'ES',
+    fallbackLanguage: 'en-US',
+    deeplTarget: 'ES',
+    articles: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas'],
+    collectionWords: ['Collection', 'Colección'],
+    collectionName: 'Colección',
+    seasonLabel: 'Temporada',
+    episodeLabel: 'Episodio',
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+const requested = (process.env.APP_LOCALE || 'it').trim().toLowerCase().slice(0, 2);
+if (!LOCALES[requested]) {
+  console.error(`APP_LOCALE non supportata: ${process.env.APP_LOCALE} (uso it)`);
+}
+const code = LOCALES[requested] ? requested : 'it';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildLocale(code) {
+  const definition = LOCALES[code];
+  const articles = [...new Set([...definition.articles, ...ENGLISH_ARTICLES])];
+  // "l'" con apostrofo dritto o tipografico
+  const articlePattern = articles
+    .map((a) => escapeRegExp(a).replace(/'$/, "['’]"))
+    .join('|');
+  const collectionPattern = [...new Set([...definition.collectionWords, definition.collectionName])]
+    .map(escapeRegExp)
+    .join('|');
+
+  return {
+    ...definition,
+    code,
+    // lingua ISO 639-1 della lingua di ripiego (es. "en" da "en-US")
+    fallbackCode: definition.fallbackLanguage.slice(0, 2),
+    elision: articles.some((a) => a.endsWith("'")),
+    leadingArticleRegex: new RegExp(`^(?:${articlePattern})(?:[\\s\\u00A0'’\\-]+|$)`, 'i'),
+    collectionWordsRegex: new RegExp(collectionPattern, 'gi'),
+  };
+}
+
+const locale = buildLocale(code);
+
+export function getLocale() {
+  return locale;
+}
+
+// Confronto alfabetico nella lingua configurata
+export function compareText(a, b, options) {
+  return String(a ?? '').localeCompare(String(b ?? ''), locale.code, options);
+}
+
+// Per /api/config e il frontend
+export function getLocaleSettings() {
+  return {
+    code: locale.code,
+    label: locale.label,
+    tmdbLanguage: locale.tmdbLanguage,
+    fallbackLanguage: locale.fallbackLanguage,
+    region: locale.region,
+    collectionName: locale.collectionName,
+    supported: SUPPORTED_LOCALES,
+  };
+}
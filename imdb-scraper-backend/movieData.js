@@ -0,0 +1,102 @@
+import { tmdbGetCached } from './tmdb.js';
+import { scrapeImdbCached, scrapeImdbKeywordsCached } from './imdb.js';
+import { getLocale } from './locale.js';
+
+// Sotto-risorse TMDB richieste insieme ai dettagli nella lingua configurata
+const APPENDED_RESOURCES = ['credits', 'release_dates', 'external_ids', 'keywords'];
+
+function sourceOk(result) {
+  return { ok: true, cache: result.hit ? 'HIT' : 'MISS' };
+}
+
+function sourceError(err) {
+  return {
+    ok: false,
+    status: err.status || err.response?.status || 500,
+    error: err.message,
+  };
+}
+
+/**
+ * Raccoglie in un'unica risposta tutti i dati di un film:
+ * dettagli nella lingua configurata, es. it-IT (con credits, release_dates,
+ * external_ids, keywords tramite append_to_response), dettagli nella lingua di
+ * ripiego (es. en-US), scraping IMDb e parole chiave IMDb.
+ * I dettagli nella lingua configurata sono obbligatori, le altre fonti possono
+ * fallire singolarmente e vengono riportate in `sources` (tmdbIt/tmdbEn).
+ */
+export async function loadMovieData(tmdbId, { clientAuthorization = '' } = {}) {
+  const options = { clientAuthorization };
+  const { tmdbLanguage, fallbackLanguage } = getLocale();
+
+  const [itResult, enResult] = await Promise.allSettled([
+    tmdbGetCached(
+      `movie/${tmdbId}`,
+      { language: tmdbLanguage, append_to_response: APPENDED_RESOURCES.join(',') },
+      options
+    ),
+    tmdbGetCached(`movie/${tmdbId}`, { language: fallbackLanguage }, options),
+  ]);
+
+  if (itResult.status === 'rejected') {
+    throw itResult.reason;
+  }
+
+  const {
+    credits = { cast: [], crew: [] },
+    release_dates: releases = { results: [] },
+    external_ids: externalIds = {},
+    keywords: { keywords: tmdbKeywordList = [] } = {},
+    ...movieIT
+  } = itResult.value.value;
+
+  const sources = {
+    tmdbIt: sourceOk(itResult.value),
+    tmdbEn:
+      enResult.status === 'fulfilled' ? sourceOk(enResult.value) : sourceError(enResult.reason),
+  };
+  const movieEN = enResult.status === 'fulfilled' ? enResult.value.value : {};
+
+  const imdbId = externalIds.imdb_id || null;
+  let imdbData = null;
+  let imdbKeywords = [];
+  if (imdbId) {
+    const [imdbResult, keywordsResult] = await Promise.allSettled([
+      scrapeImdbCached(imdbId),
+      scrapeImdbKeywordsCached(imdbId),
+    ]);
+    if (imdbResult.status === 'fulfilled') {
+      imdbData = imdbResult.value.value;
+      sources.imdb = sourceOk(imdbResult.value);
+    } else {
+      console.error('Errore scraping IMDb:', imdbResult.reason.message);
+      sources.imdb = sourceError(imdbResult.reason);
+    }
+    if (keywordsResult.status === 'fulfilled') {
+      imdbKeywords = keywordsResult.value.value.keywords || [];
+      sources.imdbKeywords = sourceOk(keywordsResult.value);
+    } else {
+      console.error('Errore parole chiave IMDb:', keywordsResult.reason.message);
+      sources.imdbKeywords = sourceError(keywordsResult.reason);
+    }
+  } else {
+    sources.imdb = { ok: false, status: 404, error: 'Nessun IMDb ID disponibile da TMDB' };
+  }
+
+  return {
+    tmdbId: String(tmdbId),
+    movieIT,
+    movieEN,
+    credits,
+    releases,
+    externalIds,
+    imdbId,
+    imdbData,
+    keywords: {
+      tmdb: tmdbKeywordList.map((k) => k.name).filter(Boolean),
+      // la pagina principale ne mostra solo alcune: si uniscono a quelle di /keywords
+      imdb: [...new Set([...((imdbData && imdbData.keywords) || []), ...imdbKeywords])],
+    },
+    sources,
+  };
+}
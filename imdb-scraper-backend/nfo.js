@@ -0,0 +1,115 @@
+import JSZip from 'jszip';
+
+// ====== NFO (Kodi / Jellyfin / XBMCnfoMoviesImporter) ======
+// Il film arriva nel formato di PUT /api/plex/metadata (titolo, titoloOrdinamento,
+// titoloOriginale, dataUscita, contentRating, studio, tagline, riassunto, generi,
+// registi, autori, paesi, attori) con in più tmdbId, imdbId e l'eventuale collezione.
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return value ? [value] : [];
+}
+
+// Un tag per valore; i valori vuoti vengono omessi
+function xmlTags(name, values, indent = '  ') {
+  return toList(values).map((v) => `${indent}<${name}>${escapeXml(v)}</${name}>`);
+}
+
+/**
+ * movie.nfo di un film. collection: { titolo, riassunto } della collezione
+ * (blocco <set>), opzionale.
+ */
+export function buildMovieNfo(movie) {
+  const year = /^\d{4}/.test(movie.dataUscita || '') ? movie.dataUscita.slice(0, 4) : '';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<movie>',
+    ...xmlTags('title', movie.titolo),
+    ...xmlTags('originaltitle', movie.titoloOriginale),
+    ...xmlTags('sorttitle', movie.titoloOrdinamento),
+  ];
+
+  if (movie.collection && movie.collection.titolo) {
+    lines.push(
+      '  <set>',
+      ...xmlTags('name', movie.collection.titolo, '    '),
+      ...xmlTags('overview', movie.collection.riassunto, '    '),
+      '  </set>'
+    );
+  }
+
+  lines.push(
+    ...xmlTags('plot', movie.riassunto),
+    ...xmlTags('tagline', movie.tagline),
+    ...xmlTags('mpaa', movie.contentRating),
+    ...xmlTags('premiered', movie.dataUscita),
+    ...xmlTags('year', year),
+    ...xmlTags('studio', movie.studio),
+    ...xmlTags('genre', movie.generi),
+    ...xmlTags('country', movie.paesi),
+    ...xmlTags('director', movie.registi),
+    ...xmlTags('credits', movie.autori)
+  );
+
+  toList(movie.attori).forEach((actor, i) => {
+    if (!actor.name) return;
+    lines.push(
+      '  <actor>',
+      ...xmlTags('name', actor.name, '    '),
+      ...xmlTags('role', actor.character, '    '),
+      ...xmlTags('order', String(actor.order ?? i), '    '),
+      ...xmlTags('thumb', actor.thumb, '    '),
+      '  </actor>'
+    );
+  });
+
+  if (movie.tmdbId) {
+    lines.push(`  <uniqueid type="tmdb" default="true">${escapeXml(movie.tmdbId)}</uniqueid>`);
+  }
+  if (movie.imdbId) {
+    lines.push(
+      `  <uniqueid type="imdb"${movie.tmdbId ? '' : ' default="true"'}>${escapeXml(movie.imdbId)}</uniqueid>`
+    );
+  }
+
+  lines.push('</movie>', '');
+  return lines.join('\n');
+}
+
+// Nome cartella secondo le convenzioni Plex: "Titolo (Anno)"
+export function movieFolderName(movie) {
+  const title = (movie.titolo || `tmdb-${movie.tmdbId || 'film'}`)
+    .replace(/[\\/:*?"<>|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const year = /^\d{4}/.test(movie.dataUscita || '') ? ` (${movie.dataUscita.slice(0, 4)})` : '';
+  return `${title}${year}`;
+}
+
+/**
+ * Zip della collezione: una cartella "Titolo (Anno)" con movie.nfo per film,
+ * ognuno con il blocco <set> della collezione.
+ */
+export async function buildCollectionNfoZip({ collection = null, movies = [] }) {
+  const zip = new JSZip();
+  const usedFolders = new Set();
+
+  movies.forEach((movie) => {
+    let folder = movieFolderName(movie);
+    // due film con stesso titolo e anno: si aggiunge l'id TMDB
+    if (usedFolders.has(folder)) folder = `${folder} [tmdb-${movie.tmdbId}]`;
+    usedFolders.add(folder);
+    zip.file(`${folder}/movie.nfo`, buildMovieNfo({ ...movie, collection }));
+  });
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
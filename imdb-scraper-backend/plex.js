@@ -0,0 +1,259 @@
+import axios from 'axios';
+
+// ====== CONFIG ======
+const PLEX_URL = process.env.PLEX_URL || '';
+const PLEX_TOKEN = process.env.PLEX_TOKEN || '';
+
+// Tipi Plex usati dall'endpoint di modifica (/library/sections/:id/all?type=...)
+const PLEX_TYPE_MOVIE = 1;
+
+// Campi testuali del view model -> campi Plex
+const TEXT_FIELDS = [
+  ['titolo', 'title'],
+  ['titoloOrdinamento', 'titleSort'],
+  ['titoloOriginale', 'originalTitle'],
+  ['dataUscita', 'originallyAvailableAt'],
+  ['contentRating', 'contentRating'],
+  ['studio', 'studio'],
+  ['tagline', 'tagline'],
+  ['riassunto', 'summary'],
+];
+
+// Campi multi-valore (tag) del view model -> tag Plex
+// La chiave Plex è quella usata nei parametri (genre[0].tag.tag), la seconda
+// è il nome della proprietà nella risposta JSON di /library/metadata
+const TAG_FIELDS = [
+  ['generi', 'genre', 'Genre'],
+  ['registi', 'director', 'Director'],
+  ['autori', 'writer', 'Writer'],
+  ['produttori', 'producer', 'Producer'],
+  ['paesi', 'country', 'Country'],
+  ['attori', 'actor', 'Role'],
+];
+
+function toTagList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [
+    ...new Set(
+      list
+        .map((v) => (v && typeof v === 'object' ? v.name || v.tag : v))
+        .map((v) => (typeof v === 'string' ? v.trim() : ''))
+        .filter(Boolean)
+    ),
+  ];
+}
+
+// Personaggio e foto degli attori ({ name, character, thumb } nel payload)
+function appendActorDetails(params, actors, tags) {
+  if (!Array.isArray(actors)) return;
+  tags.forEach((tag, i) => {
+    const actor = actors.find((a) => a && typeof a === 'object' && a.name?.trim() === tag);
+    if (!actor) return;
+    if (actor.character) params.append(`actor[${i}].tagging.text`, actor.character);
+    if (actor.thumb) params.append(`actor[${i}].tag.thumb`, actor.thumb);
+  });
+}
+
+/**
+ * Costruisce i parametri della PUT di modifica Plex a partire dall'output di
+ * buildMovieViewModel. I campi vuoti vengono saltati, quelli valorizzati
+ * vengono anche bloccati (<campo>.locked=1) per evitare che un refresh dei
+ * metadati di Plex li sovrascriva.
+ * currentItem (opzionale) serve per rimuovere i tag non più presenti.
+ */
+export function buildPlexEditParams(viewModel = {}, currentItem = null) {
+  const params = new URLSearchParams();
+  const updated = [];
+
+  for (const [vmKey, plexKey] of TEXT_FIELDS) {
+    const value = viewModel[vmKey];
+    if (typeof value !== 'string' || !value.trim()) continue;
+    params.append(`${plexKey}.value`, value.trim());
+    params.append(`${plexKey}.locked`, '1');
+    updated.push(plexKey);
+  }
+
+  for (const [vmKey, plexKey, plexProp] of TAG_FIELDS) {
+    if (viewModel[vmKey] === undefined) continue;
+    const tags = toTagList(viewModel[vmKey]);
+    if (tags.length === 0) continue;
+
+    tags.forEach((tag, i) => params.append(`${plexKey}[${i}].tag.tag`, tag));
+    if (plexKey === 'actor') {
+      appendActorDetails(params, viewModel[vmKey], tags);
+    }
+
+    // Plex aggiunge i tag a quelli esistenti: togliamo quelli non più presenti.
+    // Plex divide l'elenco sulle virgole: ogni tag va codificato (come fa Plex Web)
+    // perché uno con la virgola nel nome non venga spezzato
+    const existing = (currentItem?.[plexProp] || []).map((t) => t.tag).filter(Boolean);
+    const toRemove = existing.filter((t) => !tags.includes(t));
+    if (toRemove.length > 0) {
+      params.append(`${plexKey}[].tag.tag-`, toRemove.map(encodeURIComponent).join(','));
+    }
+
+    params.append(`${plexKey}.locked`, '1');
+    updated.push(plexKey);
+  }
+
+  return { params, updated };
+}
+
+/**
+ * Estrae gli ID TMDB/IMDb di un elemento Plex.
+ * Gestisce sia il nuovo agent Plex (Guid: [{ id: 'tmdb://603' }, { id: 'imdb://tt0133093' }])
+ * sia i vecchi agent (guid: 'com.plexapp.agents.themoviedb://603?lang=it').
+ */
+export function parseGuids(item = {}) {
+  const ids = { tmdbId: null, imdbId: null };
+  const guids = [
+    ...(item.Guid || []).map((g) => g.id),
+    item.guid,
+  ].filter(Boolean);
+
+  for (const guid of guids) {
+    const tmdb = guid.match(/^(?:tmdb|com\.plexapp\.agents\.themoviedb):\/\/(\d+)/);
+    if (tmdb && !ids.tmdbId) ids.tmdbId = tmdb[1];
+    const imdb = guid.match(/^(?:imdb|com\.plexapp\.agents\.imdb):\/\/(tt\d+)/);
+    if (imdb && !ids.imdbId) ids.imdbId = imdb[1];
+  }
+  return ids;
+}
+
+/**
+ * Client minimale per Plex Media Server.
+ * baseUrl e token sono iniettabili per poter puntare a un server Plex finto
+ * in locale (es. http://localhost:32400 di un mock HTTP).
+ */
+export function createPlexClient({ baseUrl = PLEX_URL, token = PLEX_TOKEN } = {}) {
+  const root = (baseUrl || '').replace(/\/+$/, '');
+
+  const http = axios.create({
+    baseURL: root,
+    timeout: 15000,
+    headers: {
+      Accept: 'application/json',
+      'X-Plex-Token': token,
+      'X-Plex-Product': 'TMDB to Plex',
+      'X-Plex-Client-Identifier': 'tmdbtoplex',
+    },
+  });
+
+  function isConfigured() {
+    return !!(root && token);
+  }
+
+  async function getItem(ratingKey) {
+    const { data } = await http.get(`/library/metadata/${encodeURIComponent(ratingKey)}`);
+    const container = data?.MediaContainer || {};
+    const item = container.Metadata?.[0];
+    if (!item) {
+      const err = new Error(`Elemento Plex ${ratingKey} non trovato`);
+      err.status = 404;
+      throw err;
+    }
+    return {
+      ...item,
+      librarySectionID: item.librarySectionID || container.librarySectionID,
+    };
+  }
+
+  async function searchMovies(query) {
+    const { data } = await http.get('/search', { params: { query, type: PLEX_TYPE_MOVIE } });
+    return (data?.MediaContainer?.Metadata || [])
+      .filter((m) => m.type === 'movie')
+      .map((m) => ({
+        ratingKey: m.ratingKey,
+        title: m.title,
+        year: m.year || null,
+        librarySectionID: m.librarySectionID || null,
+        librarySectionTitle: m.librarySectionTitle || '',
+      }));
+  }
+
+  async function getMovieLibraries() {
+    const { data } = await http.get('/library/sections');
+    return (data?.MediaContainer?.Directory || [])
+      .filter((d) => d.type === 'movie')
+      .map((d) => ({ key: String(d.key), title: d.title, agent: d.agent || '' }));
+  }
+
+  /**
+   * Film di una libreria con guid, titoli e anno.
+   * offset/limit usano la paginazione di Plex (X-Plex-Container-*).
+   */
+  async function listMovies(sectionId, { offset = 0, limit = 100 } = {}) {
+    const { data } = await http.get(`/library/sections/${encodeURIComponent(sectionId)}/all`, {
+      params: {
+        type: PLEX_TYPE_MOVIE,
+        includeGuids: 1,
+        'X-Plex-Container-Start': offset,
+        'X-Plex-Container-Size': limit,
+      },
+    });
+    const container = data?.MediaContainer || {};
+    const items = (container.Metadata || []).map((m) => ({
+      ratingKey: String(m.ratingKey),
+      title: m.title || '',
+      originalTitle: m.originalTitle || '',
+      year: m.year || null,
+      guid: m.guid || '',
+      guids: (m.Guid || []).map((g) => g.id),
+      ...parseGuids(m),
+    }));
+    return {
+      items,
+      offset,
+      totalSize: container.totalSize ?? container.size ?? items.length,
+    };
+  }
+
+  /**
+   * Scrive i campi del view model sul film Plex indicato bloccandoli.
+   * Ritorna l'elenco dei campi Plex aggiornati.
+   */
+  async function updateMovieMetadata(ratingKey, viewModel) {
+    const item = await getItem(ratingKey);
+    if (item.type && item.type !== 'movie') {
+      const err = new Error(`L'elemento Plex ${ratingKey} non è un film (${item.type})`);
+      err.status = 400;
+      throw err;
+    }
+    // la modifica passa dalla libreria: senza sezione l'URL non è valido
+    if (!item.librarySectionID) {
+      const err = new Error(`Plex non indica la libreria dell'elemento ${ratingKey}: impossibile aggiornarlo`);
+      err.status = 502;
+      throw err;
+    }
+
+    const { params, updated } = buildPlexEditParams(viewModel, item);
+    if (updated.length === 0) {
+      const err = new Error('Nessun campo da aggiornare');
+      err.status = 400;
+      throw err;
+    }
+
+    params.set('type', String(PLEX_TYPE_MOVIE));
+    params.set('id', String(item.ratingKey || ratingKey));
+    params.set('includeExternalMedia', '1');
+
+    await http.put(`/library/sections/${item.librarySectionID}/all?${params.toString()}`);
+
+    return {
+      ratingKey: String(item.ratingKey || ratingKey),
+      sectionId: String(item.librarySectionID),
+      previousTitle: item.title || '',
+      updated,
+    };
+  }
+
+  return {
+    isConfigured,
+    getItem,
+    searchMovies,
+    getMovieLibraries,
+    listMovies,
+    updateMovieMetadata,
+  };
+}
@@ -0,0 +1,121 @@
+import { tmdbGetCached } from './tmdb.js';
+import { getLocale } from './locale.js';
+import { normalizeTitle } from './titleMatch.js';
+
+// ====== ABBINAMENTO LIBRERIA PLEX <-> TMDB ======
+// Stessa logica per la UI (sezione "Libreria Plex") e per gli script:
+// guid tmdb:// -> guid imdb:// (TMDB /find) -> ricerca per titolo e anno.
+const MATCH_CONCURRENCY = 3;
+const MAX_CANDIDATES = 5;
+
+function yearOf(date) {
+  return date ? parseInt(date.slice(0, 4), 10) || null : null;
+}
+
+function toMatchCandidate(movie) {
+  return {
+    tmdbId: String(movie.id),
+    title: movie.title || '',
+    originalTitle: movie.original_title || '',
+    year: yearOf(movie.release_date),
+  };
+}
+
+/**
+ * Abbina un film Plex (elemento di plex.listMovies) a TMDB.
+ * Ritorna { status: 'matched'|'ambiguous'|'unmatched', via: 'guid'|'imdb'|'search',
+ *   tmdbId, title, originalTitle, year, imdbId, candidates }
+ */
+export async function matchPlexItem(item, { clientAuthorization = '' } = {}) {
+  const options = { clientAuthorization };
+  const language = getLocale().tmdbLanguage;
+
+  if (item.tmdbId) {
+    return { status: 'matched', via: 'guid', tmdbId: item.tmdbId, imdbId: item.imdbId, candidates: [] };
+  }
+
+  if (item.imdbId) {
+    const { value: found } = await tmdbGetCached(
+      `find/${encodeURIComponent(item.imdbId)}`,
+      { external_source: 'imdb_id', language },
+      options
+    );
+    const movie = found.movie_results && found.movie_results[0];
+    if (movie) {
+      return {
+        status: 'matched',
+        via: 'imdb',
+        ...toMatchCandidate(movie),
+        imdbId: item.imdbId,
+        candidates: [],
+      };
+    }
+  }
+
+  const search = async (withYear) => {
+    const query = { query: item.title, include_adult: 'true', language, page: '1' };
+    if (withYear && item.year) query.year = String(item.year);
+    const { value } = await tmdbGetCached('search/movie', query, options);
+    return value.results || [];
+  };
+
+  let results = await search(true);
+  // L'anno su Plex può differire di uno da TMDB: riprova senza anno
+  if (results.length === 0 && item.year) results = await search(false);
+
+  const candidates = results.slice(0, MAX_CANDIDATES).map(toMatchCandidate);
+  if (results.length === 0) {
+    return { status: 'unmatched', via: 'search', candidates };
+  }
+
+  const plexTitles = [item.title, item.originalTitle].map(normalizeTitle).filter(Boolean);
+  const exact = results.filter((r) => {
+    const sameTitle =
+      plexTitles.includes(normalizeTitle(r.title)) ||
+      plexTitles.includes(normalizeTitle(r.original_title));
+    const year = yearOf(r.release_date);
+    const sameYear = !item.year || !year || Math.abs(year - item.year) <= 1;
+    return sameTitle && sameYear;
+  });
+
+  const best = exact.length === 1 ? exact[0] : results.length === 1 ? results[0] : null;
+  if (!best) {
+    return { status: 'ambiguous', via: 'search', candidates };
+  }
+
+  const externalIds = await tmdbGetCached(`movie/${best.id}/external_ids`, {}, options)
+    .then(({ value }) => value)
+    .catch(() => ({}));
+  return {
+    status: 'matched',
+    via: 'search',
+    ...toMatchCandidate(best),
+    imdbId: externalIds.imdb_id || item.imdbId || null,
+    candidates,
+  };
+}
+
+/**
+ * Abbina più film con concorrenza limitata (per non saturare TMDB).
+ * Ritorna [{ item, status, match, error }] nello stesso ordine; un errore TMDB
+ * resta sulla riga (status 'error'), salvo il token TMDB mancante.
+ */
+export async function matchPlexItems(items, options = {}) {
+  const rows = items.map((item) => ({ item, status: 'pending', match: null, error: null }));
+  const queue = [...rows];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const row = queue.shift();
+      try {
+        row.match = await matchPlexItem(row.item, options);
+        row.status = row.match.status;
+      } catch (err) {
+        if (err.status === 503) throw err;
+        row.status = 'error';
+        row.error = err.message;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: MATCH_CONCURRENCY }, worker));
+  return rows;
+}
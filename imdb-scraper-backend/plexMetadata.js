@@ -0,0 +1,725 @@
+import {
+  mapGenresToInternal,
+  mapKeywordsToInternal,
+  normalizeKey,
+  sanitizeGenres,
+} from './genreMap.js';
+import { translateText, translateLines, translationInfo } from './translate.js';
+import { tmdbGetCached } from './tmdb.js';
+import { loadMovieData } from './movieData.js';
+import { mapGenresTracked } from './unmappedGenres.js';
+import { evaluateGenreRules } from './genreRules.js';
+import { compareText, getLocale } from './locale.js';
+
+// Attori principali mostrati (ordine di apparizione TMDB)
+const CAST_LIMIT = 15;
+const TMDB_PROFILE_BASE = 'https://image.tmdb.org/t/p/w185';
+
+// ====== TITOLI ======
+// Articoli della lingua configurata (APP_LOCALE) più quelli inglesi, vedi locale.js
+export function removeArticles(rawTitle = '') {
+  if (typeof rawTitle !== 'string') return '';
+  const { elision, leadingArticleRegex } = getLocale();
+
+  // Gestisce "L'" con apostrofo attaccato (L'era glaciale -> era glaciale, L'Écume -> Écume)
+  const apostropheTest = elision && rawTitle.match(/^l[\u0027\u2019](?=[\p{L}\d])/iu);
+  if (apostropheTest) {
+    return rawTitle.slice(apostropheTest[0].length).trim();
+  }
+
+  const sanitized = (rawTitle.normalize ? rawTitle.normalize('NFC') : rawTitle)
+    .replace(/^[\s\u00A0\u00AD\u1680\u180E\u2000-\u200F\u2028-\u202F\u205F\u3000\uFEFF\u2060\u3164\u2800"'“”‘’«»]+/, '')
+    .trimStart();
+
+  if (!sanitized) return '';
+
+  const match = sanitized.match(leadingArticleRegex);
+  if (match) {
+    const remainder = sanitized
+      .slice(match[0].length)
+      .replace(/^[\-\s\u00A0'’]+/, '')
+      .trim();
+    if (remainder) {
+      return remainder;
+    }
+  }
+
+  return sanitized;
+}
+
+export function stripParens(str) {
+  if (!str) return '';
+  return str.replace(/\s*\([^)]*\)/g, '').trim();
+}
+
+// Ordina i film di una collezione per data di uscita (quelli senza data in fondo)
+export function sortCollectionParts(parts = []) {
+  return parts.slice().sort((a, b) => {
+    const dateA = a.release_date || null;
+    const dateB = b.release_date || null;
+
+    // Se entrambi hanno data, ordina per data
+    if (dateA && dateB) {
+      return new Date(dateA) - new Date(dateB);
+    }
+
+    // Se solo A non ha data, metti A dopo B
+    if (!dateA && dateB) {
+      return 1;
+    }
+
+    // Se solo B non ha data, metti B dopo A
+    if (dateA && !dateB) {
+      return -1;
+    }
+
+    // Se entrambi non hanno data, ordina alfabeticamente per titolo
+    const titleA = (a.title || '').toLowerCase();
+    const titleB = (b.title || '').toLowerCase();
+    return compareText(titleA, titleB);
+  });
+}
+
+// ====== VIEW MODEL COLLEZIONE ======
+export async function buildCollectionView(collection, genres) {
+  const { code, collectionName, collectionWordsRegex } = getLocale();
+  const numeroFilm = collection.parts ? collection.parts.length : 0;
+  // "Collezione"/"Collection" di TMDB diventa il nome scelto per la lingua (it: "Raccolta")
+  let titolo = collection.name
+    ? collection.name.replace(collectionWordsRegex, collectionName)
+    : 'Titolo non disponibile';
+  const titoloOrdinamento = removeArticles(titolo);
+
+  const overview =
+    collection.overview && collection.overview.trim()
+      ? collection.overview.trim()
+      : '';
+
+  // Traduci il riassunto se non è già nella lingua configurata (vedi overviewLanguage in loadCollection)
+  const riassuntoTradotto = await translateText(overview, {
+    hint: collection.overviewLanguage || code,
+  });
+  const riassunto = riassuntoTradotto.text;
+
+  return {
+    tmdbId: collection.id,
+    nome: collection.name || '',
+    titolo,
+    titoloOrdinamento,
+    riassunto,
+    traduzioni: { riassunto: translationInfo(riassuntoTradotto) },
+    posterPath: collection.poster_path || null,
+    numeroFilm,
+    parts: sortCollectionParts(collection.parts || []),
+    collectionGenres: genres,
+  };
+}
+
+// ====== VIEW MODEL FILM ======
+export async function buildMovieViewModel({
+  movieIT,
+  movieEN,
+  credits,
+  releases,
+  currentCollection,
+  collectionGenres,
+  imdbId,
+}) {
+  // movieIT/movieEN: dettagli nella lingua configurata e in quella di ripiego (locale.js)
+  const locale = getLocale();
+  let titolo = movieIT.title || movieEN.title || "Titolo non disponibile";
+  let titoloOrdinamento = "";
+
+  if (currentCollection && currentCollection.parts) {
+    let collectionName = currentCollection.name
+      .replace(locale.collectionWordsRegex, "")
+      .trim();
+    collectionName = collectionName.replace(/[\s-]+$/, "").trim();
+    const firstWord = collectionName.split(" ")[0];
+
+    if (!titolo.startsWith(firstWord)) {
+      titolo = `${collectionName} - ${titolo}`;
+    }
+
+    const sortedParts = sortCollectionParts(currentCollection.parts);
+
+    let movieIndex = sortedParts.findIndex((p) => p.id === movieIT.id) + 1;
+    if (movieIndex <= 0) movieIndex = 1;
+
+    const orderingBase = `${collectionName} ${movieIndex}`.trim();
+    const cleanedOrdering = removeArticles(orderingBase);
+    titoloOrdinamento = cleanedOrdering || orderingBase;
+  } else {
+    const cleanedTitle = removeArticles(titolo);
+    titoloOrdinamento = cleanedTitle || titolo;
+  }
+
+  const titoloOriginale =
+    movieIT.original_title || movieEN.original_title || "";
+
+  const releaseResults = (releases && releases.results) || [];
+
+  // Usa la data principale del film da TMDB (release_date è la data ufficiale)
+  let dataUscita = movieIT.release_date || movieEN.release_date || "";
+
+  // Cerca la release del paese configurato (serve anche per la classificazione)
+  const localRelease = releaseResults.find((r) => r.iso_3166_1 === locale.region);
+
+  // Se non c'è data principale, cerca nelle release dates specifiche per paese
+  if (!dataUscita && releaseResults.length > 0) {
+    // Prova prima con la release del paese configurato
+    if (
+      localRelease &&
+      localRelease.release_dates &&
+      localRelease.release_dates.length > 0
+    ) {
+      const theatricalRelease =
+        localRelease.release_dates.find((r) => r.type === 3) ||
+        localRelease.release_dates[0];
+      if (theatricalRelease?.release_date) {
+        dataUscita = theatricalRelease.release_date.split("T")[0];
+      }
+    }
+
+    // Se ancora non c'è, cerca in qualsiasi paese con theatrical release
+    if (!dataUscita) {
+      for (const countryRelease of releaseResults) {
+        if (
+          countryRelease.release_dates &&
+          countryRelease.release_dates.length > 0
+        ) {
+          const theatrical = countryRelease.release_dates.find(
+            (r) => r.type === 3
+          );
+          if (theatrical?.release_date) {
+            dataUscita = theatrical.release_date.split("T")[0];
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  let classificazione = "";
+  if (localRelease && localRelease.release_dates) {
+    const releaseWithCert = localRelease.release_dates.find(
+      (r) => r.certification
+    );
+    if (releaseWithCert?.certification) {
+      classificazione = releaseWithCert.certification;
+    }
+  }
+  if (!classificazione) {
+    const usRelease = releaseResults.find((r) => r.iso_3166_1 === "US");
+    if (usRelease && usRelease.release_dates) {
+      const releaseWithCert = usRelease.release_dates.find(
+        (r) => r.certification
+      );
+      if (releaseWithCert?.certification) {
+        classificazione = releaseWithCert.certification;
+      }
+    }
+  }
+  const contentRating =
+    classificazione || (movieIT.adult ? "R (Adulti)" : "Non disponibile");
+
+  const studio =
+    (movieIT.production_companies && movieIT.production_companies[0]?.name) ||
+    (movieEN.production_companies && movieEN.production_companies[0]?.name) ||
+    "";
+
+  // Tagline e riassunto nella lingua configurata non vengono ritradotti; quelli di ripiego sì
+  // (in caso di errore resta il testo originale, segnalato in `traduzioni`)
+  const hintFor = (text) => (text ? locale.code : locale.fallbackCode);
+  const [taglineTradotta, riassuntoTradotto] = await Promise.all([
+    translateText(movieIT.tagline || movieEN.tagline || "", { hint: hintFor(movieIT.tagline) }),
+    translateText(movieIT.overview || movieEN.overview || "", { hint: hintFor(movieIT.overview) }),
+  ]);
+  const tagline = taglineTradotta.text;
+  const riassunto = riassuntoTradotto.text;
+
+  const crew = ((credits && credits.crew) || []).map((c) => ({
+    id: c.id,
+    name: c.name,
+    job: c.job,
+    department: c.department,
+  }));
+  // attori principali, con i nomi dei personaggi tradotti in una sola richiesta
+  const castBase = ((credits && credits.cast) || [])
+    .slice()
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .slice(0, CAST_LIMIT);
+  const characters = await translateLines(castBase.map((c) => c.character || ""));
+  const cast = castBase.map((c, i) => ({
+    id: c.id,
+    name: c.name,
+    character: c.character ? characters[i] || c.character : "",
+    originalCharacter: c.character || "",
+    order: i,
+    profileUrl: c.profile_path ? `${TMDB_PROFILE_BASE}${c.profile_path}` : null,
+    source: "tmdb",
+  }));
+
+  const directors = crew.filter((c) => c.job === "Director");
+  const writers = crew.filter((c) => c.department === "Writing");
+  const producers = crew.filter(
+    (c) => c.job === "Producer" || c.job === "Executive Producer"
+  );
+
+  const paesi = (
+    movieIT.production_countries && movieIT.production_countries.length > 0
+      ? movieIT.production_countries
+      : movieEN.production_countries || []
+  ).map((p) => p.name);
+
+  // dati su cui si basano le regole dei generi derivati (genreRules.js)
+  const genreFacts = {
+    countries: [
+      ...paesi,
+      ...(movieIT.production_countries || []).map((p) => p.iso_3166_1).filter(Boolean),
+    ],
+    language: movieIT.original_language || movieEN.original_language || "",
+    year: dataUscita ? parseInt(dataUscita.slice(0, 4), 10) : null,
+    runtime: movieIT.runtime || movieEN.runtime || null,
+    certification: classificazione,
+    collection: currentCollection ? currentCollection.name : "",
+  };
+
+  // generi TMDB mappati attraverso imdbGenreMap
+  const rawTmdbGenres = (
+    movieIT.genres && movieIT.genres.length > 0
+      ? movieIT.genres
+      : movieEN.genres || []
+  )
+    .map((g) => g.name)
+    .filter(Boolean);
+  const generiTmdb = mapGenresTracked(rawTmdbGenres, {
+    source: "tmdb",
+    kind: "movie",
+    id: movieIT.id,
+    title: movieIT.title || movieEN.title || "",
+  });
+
+  const generiTmdbSanitized = sanitizeGenres(generiTmdb);
+  // applica il mapping anche ai generi della collezione
+  const mappedCollectionGenres = mapGenresToInternal(collectionGenres);
+  const collectionGenresSanitized = sanitizeGenres(mappedCollectionGenres);
+  const generiAiSanitized = sanitizeGenres([]); // popolati dopo dall'AI
+
+  // generi propri del film (senza quelli della collezione)
+  const movieSpecificGenres = sanitizeGenres([
+    ...new Set([...generiTmdbSanitized, ...generiAiSanitized]),
+  ]);
+
+  // tutti i generi: collezione + film, univoci + ordine alfabetico
+  const allGenresSorted = sanitizeGenres([
+    ...new Set([...collectionGenresSanitized, ...movieSpecificGenres]),
+  ]).sort(compareText);
+
+  return {
+    tmdbId: movieIT.id,
+    titolo,
+    titoloOrdinamento,
+    titoloOriginale,
+    dataUscita,
+    contentRating,
+    studio,
+    tagline,
+    riassunto,
+    traduzioni: {
+      tagline: translationInfo(taglineTradotta),
+      riassunto: translationInfo(riassuntoTradotto),
+    },
+    directors,
+    writers,
+    producers,
+    cast,
+    paesi,
+    posterPath: movieIT.poster_path || movieEN.poster_path || null,
+
+    // generi originali separati
+    generiTmdb: generiTmdbSanitized,
+    generiImdb: [], // popolato da applyImdbData
+    generiKeywords: [], // popolato da applyKeywordGenres
+    generiRegole: [], // popolato da applyGenreRules
+    regoleApplicate: [],
+    genreFacts,
+    generiAi: generiAiSanitized,
+    collectionGenres: collectionGenresSanitized,
+
+    // generi calcolati
+    movieSpecificGenres,
+    allGenresSorted,
+    generiBase: allGenresSorted,
+
+    imdbData: null,
+    imdbId,
+  };
+}
+
+// confronto nomi di attori tra TMDB e IMDb (accenti e maiuscole ignorati)
+function normalizeName(name = '') {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Unisce al view model i dati dello scraping IMDb:
+ * chip mappati come generi, registi, autori e cast IMDb.
+ */
+export function applyImdbData(vm, imdbData) {
+  if (!imdbData) return vm;
+
+  const imdbChips = sanitizeGenres(imdbData.chips || []);
+  const imdbInternalGenres = mapGenresTracked(imdbChips, {
+    source: 'imdb',
+    kind: 'movie',
+    id: vm.tmdbId,
+    title: vm.titolo,
+  });
+  const imdbDirectors = imdbData.directors || [];
+  const imdbWriters = imdbData.writers || [];
+  const imdbCast = imdbData.cast || [];
+
+  // generi derivati direttamente dal film (TMDB/IMDb/AI)
+  const updatedMovieSpecific = sanitizeGenres([
+    ...new Set([
+      ...(vm.movieSpecificGenres || []),
+      ...imdbInternalGenres,
+    ]),
+  ]);
+
+  // tutti i generi: collezione + film, univoci + ordine alfabetico
+  const allGenresSorted = sanitizeGenres([
+    ...new Set([...(vm.collectionGenres || []), ...updatedMovieSpecific]),
+  ]).sort(compareText);
+
+  const mergedDirectors = [
+    ...new Set([
+      ...vm.directors.map((d) => d.name || d),
+      ...imdbDirectors,
+    ]),
+  ];
+  const mergedWriters = [
+    ...new Set([
+      ...vm.writers.map((w) => w.name || w),
+      ...imdbWriters,
+    ]),
+  ];
+
+  // cast TMDB + attori presenti solo su IMDb (personaggio IMDb se manca su TMDB)
+  const castMerged = (vm.cast || []).map((actor) => {
+    if (actor.character) return actor;
+    const fromImdb = imdbCast.find((c) => normalizeName(c.name) === normalizeName(actor.name));
+    return fromImdb?.character ? { ...actor, character: fromImdb.character } : actor;
+  });
+  const knownActors = new Set(castMerged.map((a) => normalizeName(a.name)));
+  imdbCast.forEach((c) => {
+    if (castMerged.length >= CAST_LIMIT || knownActors.has(normalizeName(c.name))) return;
+    knownActors.add(normalizeName(c.name));
+    castMerged.push({
+      id: null,
+      name: c.name,
+      character: c.character || '',
+      originalCharacter: c.character || '',
+      order: castMerged.length,
+      profileUrl: null,
+      source: 'imdb',
+    });
+  });
+
+  return {
+    ...vm,
+    imdbData: { ...imdbData, chips: imdbChips },
+    // Salva generi IMDb separatamente per la colorazione
+    generiImdb: sanitizeGenres(imdbInternalGenres),
+    movieSpecificGenres: updatedMovieSpecific,
+    allGenresSorted,
+    generiBase: allGenresSorted,
+    directorsMerged: mergedDirectors,
+    writersMerged: mergedWriters,
+    castMerged,
+  };
+}
+
+/**
+ * Unisce al view model le parole chiave TMDB e IMDb: solo quelle presenti
+ * in imdbGenreMap diventano generi (generiKeywords, colorati a parte).
+ */
+export function applyKeywordGenres(vm, keywords = {}) {
+  const keywordsTmdb = sanitizeGenres(keywords.tmdb || []);
+  const keywordsImdb = sanitizeGenres(keywords.imdb || []);
+  const generiKeywords = sanitizeGenres([
+    ...new Set(mapKeywordsToInternal([...keywordsTmdb, ...keywordsImdb])),
+  ]);
+
+  const updatedMovieSpecific = sanitizeGenres([
+    ...new Set([...(vm.movieSpecificGenres || []), ...generiKeywords]),
+  ]);
+  const allGenresSorted = sanitizeGenres([
+    ...new Set([...(vm.collectionGenres || []), ...updatedMovieSpecific]),
+  ]).sort(compareText);
+
+  return {
+    ...vm,
+    keywordsTmdb,
+    keywordsImdb,
+    generiKeywords,
+    movieSpecificGenres: updatedMovieSpecific,
+    allGenresSorted,
+    generiBase: allGenresSorted,
+  };
+}
+
+// elenchi di generi per fonte, ripuliti dai generi rimossi dalle regole
+const GENRE_SOURCE_LISTS = ['generiTmdb', 'generiImdb', 'generiKeywords', 'generiAi'];
+
+/**
+ * Applica le regole dei generi derivati a tutti i generi del view model
+ * (collezione + film) usando vm.genreFacts. I generi aggiunti finiscono in
+ * generiRegole, quelli rimossi spariscono da ogni elenco; regoleApplicate
+ * dice quale regola ha prodotto cosa. Si può richiamare più volte (es. dopo
+ * aver cambiato i generi condivisi): riparte sempre dagli elenchi precedenti
+ * alla prima valutazione, salvati in generiPrimaDelleRegole.
+ */
+export function applyGenreRules(vm) {
+  const base = vm.generiPrimaDelleRegole || {
+    movieSpecificGenres: vm.movieSpecificGenres || vm.generiTmdb || [],
+    ...Object.fromEntries(GENRE_SOURCE_LISTS.filter((key) => vm[key]).map((key) => [key, vm[key]])),
+  };
+  const input = sanitizeGenres([
+    ...new Set([...(vm.collectionGenres || []), ...base.movieSpecificGenres]),
+  ]);
+
+  const { genres, applied } = evaluateGenreRules(input, vm.genreFacts || {});
+  // confronto tra elenco iniziale e finale: un genere aggiunto da una regola e
+  // tolto da una successiva (o viceversa) non conta né tra gli aggiunti né tra i rimossi
+  const inputKeys = new Set(input.map(normalizeKey));
+  const finalKeys = new Set(genres.map(normalizeKey));
+  const added = genres.filter((g) => !inputKeys.has(normalizeKey(g)));
+  const removed = new Set([...inputKeys].filter((key) => !finalKeys.has(key)));
+  const without = (list = []) => list.filter((g) => !removed.has(normalizeKey(g)));
+
+  const allGenresSorted = [...genres].sort(compareText);
+  const patch = {
+    generiPrimaDelleRegole: base,
+    generiRegole: added,
+    regoleApplicate: applied,
+    movieSpecificGenres: sanitizeGenres([
+      ...new Set([...without(base.movieSpecificGenres), ...added]),
+    ]),
+    allGenresSorted,
+    generiBase: allGenresSorted,
+  };
+  // solo gli elenchi presenti (le serie TV non hanno IMDb/parole chiave)
+  GENRE_SOURCE_LISTS.forEach((key) => {
+    if (base[key]) patch[key] = without(base[key]);
+  });
+  return { ...vm, ...patch };
+}
+
+// ====== CARICAMENTO DA TMDB ======
+/**
+ * Dettagli della collezione (riassunto nella lingua configurata, es. it-IT,
+ * con fallback sulla lingua di ripiego, es. en-US).
+ * Ritorna il JSON TMDB della collezione.
+ */
+export async function loadCollection(collectionId, options = {}) {
+  const { tmdbLanguage, fallbackLanguage, fallbackCode } = getLocale();
+  const { value: dataIT } = await tmdbGetCached(
+    `collection/${collectionId}`,
+    { language: tmdbLanguage },
+    options
+  );
+  const collection = { ...dataIT };
+
+  if (!collection.overview || !collection.overview.trim()) {
+    try {
+      const { value: dataEN } = await tmdbGetCached(
+        `collection/${collectionId}`,
+        { language: fallbackLanguage },
+        options
+      );
+      if (dataEN.overview && dataEN.overview.trim()) {
+        collection.overview = dataEN.overview;
+        collection.overviewLanguage = fallbackCode;
+      }
+    } catch (err) {
+      console.error('Errore dettagli collezione (EN):', err.message);
+    }
+  }
+
+  return collection;
+}
+
+/**
+ * View model Plex di una collezione, identico a quello mostrato dalla UI.
+ */
+export async function loadCollectionMetadata(collectionId, { genres = [], ...options } = {}) {
+  const collection = await loadCollection(collectionId, options);
+  return buildCollectionView(collection, genres);
+}
+
+/**
+ * View model Plex di un film, identico a quello mostrato dalla UI:
+ * dati TMDB + scraping IMDb + parole chiave, con titolo/ordinamento della collezione se
+ * collectionId è indicato e i generi condivisi della collezione.
+ * `sources` riporta l'esito delle singole fonti.
+ */
+export async function loadMovieMetadata(
+  tmdbId,
+  { collectionId = null, collectionGenres = [], ...options } = {}
+) {
+  const [movieData, currentCollection] = await Promise.all([
+    loadMovieData(tmdbId, options),
+    collectionId ? loadCollection(collectionId, options) : null,
+  ]);
+
+  const vm = await buildMovieViewModel({
+    movieIT: movieData.movieIT,
+    movieEN: movieData.movieEN,
+    credits: movieData.credits,
+    releases: movieData.releases,
+    currentCollection,
+    collectionGenres,
+    imdbId: movieData.imdbId,
+  });
+
+  return {
+    ...applyGenreRules(
+      applyKeywordGenres(applyImdbData(vm, movieData.imdbData), movieData.keywords)
+    ),
+    collectionId: currentCollection ? currentCollection.id : null,
+    sources: movieData.sources,
+  };
+}
+
+// ====== GENERI CONDIVISI DELLA COLLEZIONE ======
+/**
+ * Come elaborando tutta la collezione nella UI: i generi TMDB e IMDb di ogni
+ * film (più extraGenres) diventano generi condivisi, aggiunti a ogni film.
+ */
+export function applySharedGenres(vms, extraGenres = []) {
+  const shared = sanitizeGenres([
+    ...new Set([
+      ...extraGenres,
+      ...vms.flatMap((vm) => [...(vm.generiTmdb || []), ...(vm.generiImdb || [])]),
+    ]),
+  ]);
+
+  // le regole vanno rivalutate: i generi condivisi possono attivarne altre
+  return vms.map((vm) => applyGenreRules({ ...vm, collectionGenres: shared }));
+}
+
+// ====== PAYLOAD PLEX ======
+// Cast nel formato del payload: nome, personaggio, ordine e foto
+export function castForPayload(vm) {
+  return (vm.castMerged || vm.cast || []).map((actor, i) => ({
+    name: actor.name,
+    character: actor.character || '',
+    order: i,
+    thumb: actor.profileUrl || '',
+  }));
+}
+
+// Cast come testo "Attore (Personaggio)", uno per riga
+export function castToText(cast = []) {
+  return cast
+    .map((a) => (a.character ? `${a.name} (${a.character})` : a.name))
+    .join('\n');
+}
+
+/**
+ * Campi del view model nel formato di PUT /api/plex/metadata/:ratingKey
+ * (stessa conversione di buildPlexPayload nella UI).
+ */
+export function buildPlexPayload(vm) {
+  const directorsArr = vm.directorsMerged || vm.directors.map((d) => d.name);
+  const writersArr = vm.writersMerged || vm.writers.map((w) => w.name);
+  const genres =
+    vm.allGenresSorted && vm.allGenresSorted.length > 0
+      ? vm.allGenresSorted
+      : vm.generiBase || [];
+
+  return {
+    titolo: vm.titolo,
+    titoloOrdinamento: vm.titoloOrdinamento,
+    titoloOriginale: vm.titoloOriginale,
+    dataUscita: vm.dataUscita,
+    // "Non disponibile" è solo un'etichetta per la UI
+    contentRating: vm.contentRating === 'Non disponibile' ? '' : vm.contentRating,
+    studio: vm.studio,
+    tagline: vm.tagline,
+    riassunto: vm.riassunto,
+    generi: genres,
+    registi: directorsArr.map(stripParens).filter(Boolean),
+    autori: writersArr.map(stripParens).filter(Boolean),
+    produttori: vm.producers.map((p) => stripParens(p.name)).filter(Boolean),
+    paesi: vm.paesi,
+    attori: castForPayload(vm),
+  };
+}
+
+// ====== CAMPI DA COPIARE IN PLEX ======
+/**
+ * Campi del film nell'ordine di renderMovieDetails (etichette della UI).
+ * I campi vuoti vengono omessi.
+ */
+export function movieFields(vm) {
+  const directorsArr = vm.directorsMerged || vm.directors.map((d) => d.name);
+  const writersArr = vm.writersMerged || vm.writers.map((w) => w.name);
+  const genres =
+    vm.allGenresSorted && vm.allGenresSorted.length > 0
+      ? vm.allGenresSorted
+      : vm.generiBase || [];
+
+  return [
+    { key: 'titolo', label: 'Titolo', value: vm.titolo },
+    { key: 'titoloOrdinamento', label: 'Titolo Ordinamento', value: vm.titoloOrdinamento },
+    { key: 'titoloOriginale', label: 'Titolo Originale', value: vm.titoloOriginale },
+    { key: 'dataUscita', label: 'Data Uscita', value: vm.dataUscita || '' },
+    { key: 'contentRating', label: 'Classificazione', value: vm.contentRating || '' },
+    { key: 'studio', label: 'Studio', value: vm.studio || '' },
+    { key: 'tagline', label: 'Tagline', value: vm.tagline || '' },
+    { key: 'riassunto', label: 'Riassunto', value: vm.riassunto || '' },
+    { key: 'registi', label: 'Registi', value: directorsArr.map(stripParens).join(', ') },
+    { key: 'paesi', label: 'Paesi', value: vm.paesi.join(', ') },
+    { key: 'generi', label: 'Generi', value: genres.join(', ') },
+    { key: 'autori', label: 'Autori', value: writersArr.map(stripParens).join(', ') },
+    {
+      key: 'produttori',
+      label: 'Produttori',
+      value: vm.producers.map((p) => stripParens(p.name)).filter(Boolean).join(', '),
+    },
+    { key: 'cast', label: 'Cast', value: castToText(castForPayload(vm)) },
+  ].filter((field) => field.value);
+}
+
+/**
+ * Campi della collezione come in renderCollectionDetails: il riassunto
+ * include l'elenco dei film con l'anno di uscita.
+ */
+export function collectionFields(view) {
+  // senza riassunto TMDB il testo parte direttamente dall'elenco dei film
+  let fullRiassunto = view.riassunto || '';
+  if (view.parts && view.parts.length > 0) {
+    fullRiassunto += (fullRiassunto ? '\n' : '') + 'Numero di Film: ' + view.numeroFilm;
+    view.parts.forEach((movie) => {
+      const movieTitle = movie.title || 'Titolo non disponibile';
+      const releaseYear = movie.release_date
+        ? new Date(movie.release_date).getFullYear()
+        : '';
+      fullRiassunto += '\n✅ ' + movieTitle + (releaseYear ? ' (' + releaseYear + ')' : '');
+    });
+    fullRiassunto += '\n❌ Altro...';
+  }
+
+  return [
+    { key: 'titolo', label: 'Titolo', value: view.titolo },
+    { key: 'titoloOrdinamento', label: 'Titolo Ordinamento', value: view.titoloOrdinamento },
+    { key: 'riassunto', label: 'Riassunto', value: fullRiassunto },
+  ];
+}
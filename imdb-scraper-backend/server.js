@@ -1,48 +1,270 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
-import * as cheerio from 'cheerio';
+import { createPlexClient } from './plex.js';
+import { tmdbGetCached, isTmdbConfigured, tmdbCache } from './tmdb.js';
+import { scrapeImdbCached, imdbCache, imdbTitleTag } from './imdb.js';
+import { setCacheHeaders } from './cache.js';
+import { loadMovieData } from './movieData.js';
+import { loadMovieMetadata, loadCollectionMetadata } from './plexMetadata.js';
+import { loadTvMetadata, loadSeasonMetadata } from './tvMetadata.js';
+import { buildMovieNfo, buildCollectionNfoZip, movieFolderName } from './nfo.js';
+import { buildKometaYaml } from './kometa.js';
+import { getAiSettings, isAiConfigured } from './ai.js';
+import { generateAiGenres } from './aiGenres.js';
+import { translateText, translationCache, getTranslationSettings } from './translate.js';
+import {
+  getPrompts,
+  createPrompt,
+  savePromptVersion,
+  setActivePrompt,
+  deletePrompt,
+  resolvePrompt,
+  PROMPT_PLACEHOLDERS,
+} from './aiPrompts.js';
+import { listAiRuns } from './aiRuns.js';
+import { getLocaleSettings } from './locale.js';
+import { listSessions, getSession, saveSession, deleteSession, clearSessions } from './sessions.js';
+import {
+  TITLE_STATUSES,
+  listTitleStatuses,
+  listAssignees,
+  getTitleStatus,
+  setTitleStatus,
+  setTitleStatuses,
+  clearTitleStatus,
+} from './titleStatus.js';
+import { parseMediaFilename, matchFilenames } from './filenames.js';
+import { matchPlexItems } from './plexMatch.js';
+import {
+  getGenreMap,
+  saveGenreMapping,
+  deleteGenreMapping,
+  importGenreMap,
+  resetGenreMap,
+} from './genreMap.js';
+import {
+  listUnmappedGenres,
+  recordUnmappedGenres,
+  dismissUnmappedGenre,
+  validateUnmappedInput,
+} from './unmappedGenres.js';
+import {
+  getGenreRules,
+  saveGenreRules,
+  resetGenreRules,
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  RULE_ACTIONS,
+} from './genreRules.js';
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+// Gli endpoint /api/admin richiedono l'header X-Admin-Token: senza ADMIN_TOKEN sono disattivati
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const plex = createPlexClient();
+
+// Origini del frontend ammesse, separate da virgola (default: Vite in sviluppo)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5173')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
 
 app.use(cors({
-  origin: true, // Accetta qualsiasi origin (senza il conflitto con credentials)
+  origin: CORS_ORIGINS,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: false // Disabilitiamo credentials per evitare conflitti
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Token'],
+  exposedHeaders: ['X-Cache', 'X-Cache-Source', 'X-Cache-Age'],
+  credentials: false
 }));
-app.use(express.json());
+// Il CORS impedisce solo di leggere la risposta: una richiesta che modifica dati
+// (invio a Plex, reset della mappa, eliminazioni...) da un'altra pagina verrebbe
+// comunque eseguita, quindi qui si rifiuta. Senza Origin (script, curl) passa.
+app.use((req, res, next) => {
+  const { origin } = req.headers;
+  if (!origin || SAFE_METHODS.has(req.method) || CORS_ORIGINS.includes(origin)) return next();
+  res.status(403).json({ error: 'Origine non consentita', details: `${origin} non è in CORS_ORIGINS` });
+});
+// Limite più alto del default: l'export NFO/Kometa e la sessione di una collezione inviano tutti i film
+app.use(express.json({ limit: '5mb' }));
+
+/**
+ * GET /api/config
+ * Servizi configurati sul backend (nessun segreto viene esposto)
+ */
+app.get('/api/config', (req, res) => {
+  const { provider, label, model } = getAiSettings();
+  res.json({
+    tmdb: isTmdbConfigured(),
+    ai: isAiConfigured(),
+    aiProvider: { provider, label, model },
+    translation: getTranslationSettings(),
+    locale: getLocaleSettings(),
+    plex: plex.isConfigured(),
+  });
+});
 
 /**
  * GET /api/tmdb-proxy/*
- * Proxy per TMDB API per evitare CORS
+ * Proxy per TMDB API per evitare CORS.
+ * Il token TMDB è quello del backend; quello del client viene accettato
+ * solo con ALLOW_CLIENT_TMDB_TOKEN=true.
  */
 app.use('/api/tmdb-proxy', async (req, res) => {
   const path = req.path.replace('/', '');
-  const queryString = new URLSearchParams(req.query).toString();
-  const url = `https://api.themoviedb.org/3/${path}${queryString ? '?' + queryString : ''}`;
-  
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': req.headers.authorization || '',
-        'Accept': 'application/json'
-      }
+
+  try {
+    const result = await tmdbGetCached(path, req.query, {
+      clientAuthorization: req.headers.authorization,
     });
-    res.json(response.data);
+    setCacheHeaders(res, result);
+    res.json(result.value);
   } catch (err) {
     console.error('Errore proxy TMDB:', err.message);
-    res.status(err.response?.status || 500).json({ 
-      error: 'Errore proxy TMDB', 
-      details: err.message 
+    res.status(err.status || err.response?.status || 500).json({
+      error: 'Errore proxy TMDB',
+      details: err.message
     });
   }
 });
 
+/**
+ * POST /api/ai/genres
+ * Body: { id, title, overview, year, cast, genres, collectionGenres, templateId, templateVersion }.
+ * Genera i sotto-generi del film con il provider AI configurato (AI_PROVIDER) e
+ * il template di prompt scelto (default: quello attivo, ultima versione).
+ * Risposta: { validated, new, review, genres, template, provider, model, runId }: in
+ * `genres` solo i generi noti alla mappa generi, quelli sconosciuti restano in `review`.
+ */
+app.post('/api/ai/genres', async (req, res) => {
+  const { id, title, overview, year, cast, genres, collectionGenres, templateId, templateVersion } =
+    req.body || {};
+  if (!title || typeof title !== 'string') {
+    return res.status(400).json({ error: 'title mancante' });
+  }
+  // template o versione inesistenti: errore della richiesta, prima di chiamare l'AI
+  try {
+    resolvePrompt(templateId, templateVersion);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: 'Template prompt non trovato', details: err.message });
+  }
+
+  try {
+    res.json(
+      await generateAiGenres({
+        id,
+        title,
+        overview,
+        year,
+        cast,
+        genres,
+        collectionGenres,
+        templateId,
+        templateVersion,
+      })
+    );
+  } catch (err) {
+    const { label } = getAiSettings();
+    console.error(`Errore chiamata AI (${label}):`, err.message);
+    res.status(err.status || err.response?.status || 500).json({
+      error: `Errore chiamata AI (${label})`,
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/translate
+ * Body: { text, hint }. Traduce nella lingua di APP_LOCALE con il provider configurato
+ * (TRANSLATE_PROVIDER), passando dalla cache; hint = lingua dichiarata dalla fonte.
+ * Risposta: { text, translated, sourceLang, provider, cached, error }
+ */
+app.post('/api/translate', async (req, res) => {
+  const { text, hint = null } = req.body || {};
+  if (typeof text !== 'string') {
+    return res.status(400).json({ error: 'text mancante' });
+  }
+  res.json(await translateText(text, { hint }));
+});
+
+/**
+ * GET /api/ai/runs?tmdbId=&templateId=&version=&limit=
+ * Registro delle analisi AI (più recenti prima) con template e versione del prompt usati
+ */
+app.get('/api/ai/runs', (req, res) => {
+  const { tmdbId, templateId, version, limit } = req.query;
+  res.json({
+    runs: listAiRuns({ tmdbId, templateId, version, limit: Math.min(parseInt(limit, 10) || 100, 500) }),
+  });
+});
+
+function sendPromptError(res, err, message) {
+  console.error(`${message}:`, err.message);
+  res.status(err.status || 500).json({ error: message, details: err.message });
+}
+
+/**
+ * GET /api/ai/prompts
+ * Template dei prompt AI con tutte le versioni, template attivo e segnaposto disponibili
+ */
+app.get('/api/ai/prompts', (req, res) => {
+  res.json({ ...getPrompts(), placeholders: PROMPT_PLACEHOLDERS });
+});
+
+/**
+ * POST /api/ai/prompts
+ * Body: { name, text, note }. Crea un nuovo template (versione 1).
+ */
+app.post('/api/ai/prompts', async (req, res) => {
+  try {
+    res.status(201).json(await createPrompt(req.body || {}));
+  } catch (err) {
+    sendPromptError(res, err, 'Errore creazione template prompt');
+  }
+});
+
+/**
+ * PUT /api/ai/prompts/:id
+ * Body: { text, name, note }. Salva il testo come nuova versione (le precedenti restano).
+ */
+app.put('/api/ai/prompts/:id', async (req, res) => {
+  try {
+    res.json(await savePromptVersion(req.params.id, req.body || {}));
+  } catch (err) {
+    sendPromptError(res, err, 'Errore salvataggio template prompt');
+  }
+});
+
+/**
+ * POST /api/ai/prompts/:id/activate
+ * Rende il template quello usato di default dalle analisi AI
+ */
+app.post('/api/ai/prompts/:id/activate', async (req, res) => {
+  try {
+    res.json({ ...(await setActivePrompt(req.params.id)), placeholders: PROMPT_PLACEHOLDERS });
+  } catch (err) {
+    sendPromptError(res, err, 'Errore attivazione template prompt');
+  }
+});
+
+/**
+ * DELETE /api/ai/prompts/:id
+ * Elimina un template con tutte le versioni (le esecuzioni registrate restano)
+ */
+app.delete('/api/ai/prompts/:id', async (req, res) => {
+  try {
+    res.json({ ...(await deletePrompt(req.params.id)), placeholders: PROMPT_PLACEHOLDERS });
+  } catch (err) {
+    sendPromptError(res, err, 'Errore eliminazione template prompt');
+  }
+});
+
 /**
  * GET /api/imdb/:imdbId
  * Esempio: /api/imdb/tt0344854
+ * Dati da __NEXT_DATA__ e JSON-LD della pagina (voto, durata, certificato,
+ * parole chiave, generi, interessi, crediti, cast, paesi, lingue, case di
+ * produzione); i selettori CSS servono solo da ripiego.
  */
 app.get('/api/imdb/:imdbId', async (req, res) => {
   const { imdbId } = req.params;
@@ -51,69 +273,769 @@ app.get('/api/imdb/:imdbId', async (req, res) => {
     return res.status(400).json({ error: 'imdbId mancante' });
   }
 
-  const url = `https://www.imdb.com/title/${imdbId}/`;
+  try {
+    const result = await scrapeImdbCached(imdbId);
+    setCacheHeaders(res, result);
+    res.json(result.value);
+  } catch (err) {
+    console.error('Errore scraping IMDb:', err.message);
+    res.status(500).json({ error: 'Errore scraping IMDb', details: err.message });
+  }
+});
+
+/**
+ * GET /api/movie/:tmdbId
+ * Tutti i dati di un film in una sola risposta: TMDB nella lingua di APP_LOCALE
+ * (con credits, release_dates, external_ids), TMDB nella lingua di ripiego e scraping IMDb.
+ * `sources` riporta l'esito di ogni fonte (le fonti secondarie possono fallire).
+ */
+app.get('/api/movie/:tmdbId', async (req, res) => {
+  const { tmdbId } = req.params;
+  if (!/^\d+$/.test(tmdbId)) {
+    return res.status(400).json({ error: 'tmdbId non valido' });
+  }
 
   try {
-    const response = await axios.get(url, {
-      headers: {
-        // header "umani"
-        'User-Agent':
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
-        'Accept-Language': 'it-IT,it;q=0.9,en-US;q=0.8,en;q=0.7',
-      },
-      // se IMDb reindirizza a /it/ ecc, lasciamo fare
-      maxRedirects: 5,
+    res.json(
+      await loadMovieData(tmdbId, { clientAuthorization: req.headers.authorization })
+    );
+  } catch (err) {
+    console.error('Errore dati film:', err.message);
+    res.status(err.status || err.response?.status || 500).json({
+      error: 'Errore nel recupero dei dati del film',
+      details: err.message,
     });
+  }
+});
+
+// ====== METADATI PLEX (stessa logica della UI) ======
+// Generi passati in query string come elenco separato da virgole
+function parseGenreList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(',')
+    .map((g) => g.trim())
+    .filter(Boolean);
+}
 
-    const html = response.data;
-    const $ = cheerio.load(html);
+/**
+ * GET /api/plex-metadata/movie/:id?collectionId=...&collectionGenres=a,b
+ * View model Plex del film (titolo, ordinamento, data, classificazione,
+ * studio, tagline, riassunto, generi, registi, autori, produttori, paesi).
+ */
+app.get('/api/plex-metadata/movie/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ error: 'id film non valido' });
+  }
 
-    // 1) Chips (quelli che hai incollato tu)
-    const chipTexts = [];
-    $('.ipc-chip__text').each((_, el) => {
-      const txt = $(el).text().trim();
-      if (txt) chipTexts.push(txt);
+  try {
+    res.json(
+      await loadMovieMetadata(id, {
+        collectionId: req.query.collectionId || null,
+        collectionGenres: parseGenreList(req.query.collectionGenres),
+        clientAuthorization: req.headers.authorization,
+      })
+    );
+  } catch (err) {
+    console.error('Errore metadati Plex film:', err.message);
+    res.status(err.status || err.response?.status || 500).json({
+      error: 'Errore nel calcolo dei metadati Plex del film',
+      details: err.message,
     });
+  }
+});
 
-    // 2) Registi e Autori (parsati alla "meglio" dal blocco credits)
-    // La struttura può cambiare, quindi questa parte potresti doverla
-    // rifinire guardando l'HTML reale con devtools.
-    const directors = new Set();
-    const writers = new Set();
-
-    // Esempio: cerchiamo i blocchi principali dei credits
-    $('[data-testid="title-pc-principal-credit"]').each((_, el) => {
-      const role = $(el).find('span.ipc-metadata-list-item__label').text().toLowerCase();
-      const names = $(el)
-        .find('a')
-        .map((__, a) => $(a).text().trim())
-        .get()
-        .filter(Boolean);
-
-      if (role.includes('regia') || role.includes('director')) {
-        names.forEach((n) => directors.add(n));
-      } else if (role.includes('sceneggiatura') || role.includes('writer')) {
-        names.forEach((n) => writers.add(n));
-      }
+/**
+ * GET /api/plex-metadata/collection/:id?genres=a,b
+ * View model Plex della collezione (titolo "Raccolta" o equivalente di APP_LOCALE, ordinamento,
+ * riassunto tradotto, film ordinati per data).
+ */
+app.get('/api/plex-metadata/collection/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ error: 'id collezione non valido' });
+  }
+
+  try {
+    res.json(
+      await loadCollectionMetadata(id, {
+        genres: parseGenreList(req.query.genres),
+        clientAuthorization: req.headers.authorization,
+      })
+    );
+  } catch (err) {
+    console.error('Errore metadati Plex collezione:', err.message);
+    res.status(err.status || err.response?.status || 500).json({
+      error: 'Errore nel calcolo dei metadati Plex della collezione',
+      details: err.message,
     });
+  }
+});
 
-    // Fallback: se non trova nulla, pesca da "Cast & crew" base (molto grezzo)
-    if (directors.size === 0) {
-      $('[data-testid="title-cast-item__actor"], a[href*="/name/"]').each((_, el) => {
-        const txt = $(el).text().trim();
-        // qui potresti mettere una euristica più furba
-      });
+/**
+ * GET /api/plex-metadata/tv/:id
+ * View model Plex della serie TV (titolo, ordinamento, network come studio,
+ * classificazione da content_ratings, generi mappati) con l'elenco stagioni.
+ */
+app.get('/api/plex-metadata/tv/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ error: 'id serie non valido' });
+  }
+
+  try {
+    res.json(await loadTvMetadata(id, { clientAuthorization: req.headers.authorization }));
+  } catch (err) {
+    console.error('Errore metadati Plex serie:', err.message);
+    res.status(err.status || err.response?.status || 500).json({
+      error: 'Errore nel calcolo dei metadati Plex della serie',
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/plex-metadata/tv/:id/season/:season
+ * Titoli e riassunti degli episodi di una stagione nella lingua di APP_LOCALE
+ */
+app.get('/api/plex-metadata/tv/:id/season/:season', async (req, res) => {
+  const { id, season } = req.params;
+  if (!/^\d+$/.test(id) || !/^\d+$/.test(season)) {
+    return res.status(400).json({ error: 'id serie o numero stagione non valido' });
+  }
+
+  try {
+    res.json(
+      await loadSeasonMetadata(id, season, { clientAuthorization: req.headers.authorization })
+    );
+  } catch (err) {
+    console.error('Errore metadati Plex stagione:', err.message);
+    res.status(err.status || err.response?.status || 500).json({
+      error: 'Errore nel calcolo dei metadati Plex della stagione',
+      details: err.message,
+    });
+  }
+});
+
+// ====== EXPORT NFO ======
+// Content-Disposition con nome file anche non ASCII (RFC 5987)
+function attachmentHeader(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * POST /api/export/nfo/movie
+ * Body: campi di PUT /api/plex/metadata + tmdbId, imdbId e
+ * collection { titolo, riassunto } opzionale. Ritorna movie.nfo.
+ */
+app.post('/api/export/nfo/movie', (req, res) => {
+  const movie = req.body || {};
+  if (!movie.titolo) {
+    return res.status(400).json({ error: 'titolo mancante' });
+  }
+
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.set('Content-Disposition', attachmentHeader('movie.nfo'));
+  res.send(buildMovieNfo(movie));
+});
+
+/**
+ * POST /api/export/nfo/collection
+ * Body: { collection: { titolo, riassunto }, movies: [...] } (film come sopra).
+ * Ritorna uno zip con una cartella "Titolo (Anno)/movie.nfo" per film.
+ */
+app.post('/api/export/nfo/collection', async (req, res) => {
+  const { collection = null, movies } = req.body || {};
+  if (!Array.isArray(movies) || movies.length === 0) {
+    return res.status(400).json({ error: 'Nessun film da esportare' });
+  }
+
+  try {
+    const zip = await buildCollectionNfoZip({ collection, movies });
+    const name = collection?.titolo ? movieFolderName({ titolo: collection.titolo }) : 'collezione';
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', attachmentHeader(`${name}.zip`));
+    res.send(zip);
+  } catch (err) {
+    console.error('Errore export NFO collezione:', err.message);
+    res.status(500).json({ error: 'Errore export NFO collezione', details: err.message });
+  }
+});
+
+// ====== EXPORT KOMETA ======
+/**
+ * POST /api/export/kometa/movie
+ * Body: film come per /api/export/nfo/movie. Ritorna il YAML `metadata:`.
+ */
+app.post('/api/export/kometa/movie', (req, res) => {
+  const movie = req.body || {};
+  if (!movie.tmdbId) {
+    return res.status(400).json({ error: 'tmdbId mancante' });
+  }
+
+  res.set('Content-Type', 'text/yaml; charset=utf-8');
+  res.set('Content-Disposition', attachmentHeader(`${movie.tmdbId}.yml`));
+  res.send(buildKometaYaml({ movies: [movie] }));
+});
+
+/**
+ * POST /api/export/kometa/collection
+ * Body: { collection: view model della collezione, movies: [...] }.
+ * Un unico documento YAML con `collections:` e `metadata:` di tutti i film.
+ */
+app.post('/api/export/kometa/collection', (req, res) => {
+  const { collection, movies = [] } = req.body || {};
+  if (!collection || !collection.tmdbId) {
+    return res.status(400).json({ error: 'collezione mancante' });
+  }
+  if (!Array.isArray(movies)) {
+    return res.status(400).json({ error: 'movies deve essere un array' });
+  }
+
+  res.set('Content-Type', 'text/yaml; charset=utf-8');
+  res.set('Content-Disposition', attachmentHeader(`${movieFolderName({ titolo: collection.titolo })}.yml`));
+  res.send(buildKometaYaml({ collection, movies: movies.filter((m) => m && m.tmdbId) }));
+});
+
+// ====== MAPPA GENERI ======
+function sendGenreMapError(res, err, message) {
+  console.error(`${message}:`, err.message);
+  res.status(err.status || 500).json({ error: message, details: err.message });
+}
+
+/**
+ * GET /api/genre-map
+ * Mappa generi attuale { chiave: [generi interni] } ([] = ignorato)
+ */
+app.get('/api/genre-map', (req, res) => {
+  res.json({ map: getGenreMap(), total: Object.keys(getGenreMap()).length });
+});
+
+/**
+ * GET /api/genre-map/export
+ * Scarica la mappa come imdbGenreMap.json
+ */
+app.get('/api/genre-map/export', (req, res) => {
+  res.set('Content-Disposition', attachmentHeader('imdbGenreMap.json'));
+  res.type('application/json').send(JSON.stringify(getGenreMap(), null, 2));
+});
+
+/**
+ * POST /api/genre-map/import
+ * Body: { map: { chiave: [generi] }, mode: 'merge' | 'replace' }
+ */
+app.post('/api/genre-map/import', async (req, res) => {
+  const { map, mode = 'merge' } = req.body || {};
+  try {
+    res.json(await importGenreMap(map, { mode }));
+  } catch (err) {
+    sendGenreMapError(res, err, 'Errore import mappa generi');
+  }
+});
+
+/**
+ * POST /api/genre-map/reset
+ * Ripristina imdbGenreMap.json incluso nell'immagine
+ */
+app.post('/api/genre-map/reset', async (req, res) => {
+  try {
+    res.json(await resetGenreMap());
+  } catch (err) {
+    sendGenreMapError(res, err, 'Errore ripristino mappa generi');
+  }
+});
+
+/**
+ * GET /api/genre-map/unmapped
+ * Coda "da mappare": token senza voce nella mappa, con conteggio per fonte
+ * e titoli in cui sono comparsi (i più frequenti prima)
+ */
+app.get('/api/genre-map/unmapped', (req, res) => {
+  res.json({ items: listUnmappedGenres() });
+});
+
+/**
+ * POST /api/genre-map/unmapped
+ * Body: { tokens: [...], source, kind, id, title }. Usato dalla UI per i generi AI.
+ */
+app.post('/api/genre-map/unmapped', (req, res) => {
+  const { tokens, source = 'ai', kind = 'movie', id = null, title = '' } = req.body || {};
+  const problems = validateUnmappedInput({ tokens, source });
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Generi non mappati non validi', details: problems.join('; ') });
+  }
+  recordUnmappedGenres(tokens, { source, kind, id, title });
+  res.status(204).end();
+});
+
+/**
+ * DELETE /api/genre-map/unmapped/:token
+ * Toglie un token dalla coda senza mapparlo
+ */
+app.delete('/api/genre-map/unmapped/:token', (req, res) => {
+  if (!dismissUnmappedGenre(req.params.token)) {
+    return res.status(404).json({ error: `Token non in coda: ${req.params.token}` });
+  }
+  res.status(204).end();
+});
+
+/**
+ * PUT /api/genre-map/:key
+ * Body: { genres: [...], key?: nuova chiave }. Crea, modifica o rinomina una voce.
+ */
+app.put('/api/genre-map/:key', async (req, res) => {
+  const { genres, key: newKey } = req.body || {};
+  try {
+    const saved = await saveGenreMapping(req.params.key, genres, { newKey });
+    res.status(saved.created ? 201 : 200).json(saved);
+  } catch (err) {
+    sendGenreMapError(res, err, 'Errore salvataggio voce mappa generi');
+  }
+});
+
+/**
+ * DELETE /api/genre-map/:key
+ */
+app.delete('/api/genre-map/:key', async (req, res) => {
+  try {
+    if (!(await deleteGenreMapping(req.params.key))) {
+      return res.status(404).json({ error: `Voce non trovata: ${req.params.key}` });
+    }
+    res.status(204).end();
+  } catch (err) {
+    sendGenreMapError(res, err, 'Errore eliminazione voce mappa generi');
+  }
+});
+
+// ====== REGOLE GENERI ======
+/**
+ * GET /api/genre-rules
+ * Regole dei generi derivati (in ordine di valutazione) e descrizione di
+ * campi, operatori e azioni disponibili per l'editor della UI
+ */
+app.get('/api/genre-rules', (req, res) => {
+  res.json({
+    rules: getGenreRules(),
+    fields: RULE_FIELDS,
+    operators: RULE_OPERATORS,
+    actions: RULE_ACTIONS,
+  });
+});
+
+/**
+ * PUT /api/genre-rules
+ * Body: { rules: [...] }. Sostituisce l'elenco completo (validato).
+ */
+app.put('/api/genre-rules', async (req, res) => {
+  try {
+    res.json({ rules: await saveGenreRules((req.body || {}).rules) });
+  } catch (err) {
+    console.error('Errore salvataggio regole generi:', err.message);
+    res.status(err.status || 500).json({ error: 'Errore salvataggio regole generi', details: err.message });
+  }
+});
+
+/**
+ * POST /api/genre-rules/reset
+ * Ripristina le regole predefinite (Commedia Romantica, Italiano)
+ */
+app.post('/api/genre-rules/reset', async (req, res) => {
+  try {
+    res.json({ rules: await resetGenreRules() });
+  } catch (err) {
+    console.error('Errore ripristino regole generi:', err.message);
+    res.status(500).json({ error: 'Errore ripristino regole generi', details: err.message });
+  }
+});
+
+// ====== CRONOLOGIA SESSIONI ======
+function sendSessionError(res, err, message) {
+  console.error(`${message}:`, err.message);
+  res.status(err.status || 500).json({ error: message, details: err.message });
+}
+
+/**
+ * GET /api/sessions?kind=collection&limit=50
+ * Sessioni lavorate di recente (solo riepiloghi, le più recenti prima)
+ */
+app.get('/api/sessions', (req, res) => {
+  const { kind, limit } = req.query;
+  res.json({ sessions: listSessions({ kind, limit: parseInt(limit, 10) || 50 }) });
+});
+
+/**
+ * GET /api/sessions/:id
+ * Sessione completa (id "collection:<tmdbId>", "movie:<tmdbId>" o "tv:<tmdbId>")
+ */
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    res.json(await getSession(req.params.id));
+  } catch (err) {
+    sendSessionError(res, err, 'Errore lettura sessione');
+  }
+});
+
+/**
+ * PUT /api/sessions/:id
+ * Body: { title, posterPath, counts, data }. Salva lo stato della UI per la sessione.
+ */
+app.put('/api/sessions/:id', async (req, res) => {
+  try {
+    res.json(await saveSession(req.params.id, req.body || {}));
+  } catch (err) {
+    sendSessionError(res, err, 'Errore salvataggio sessione');
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ */
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    const deleted = await deleteSession(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Sessione non trovata', details: req.params.id });
+    }
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    sendSessionError(res, err, 'Errore eliminazione sessione');
+  }
+});
+
+/**
+ * DELETE /api/sessions
+ * Svuota la cronologia
+ */
+app.delete('/api/sessions', async (req, res) => {
+  try {
+    res.json(await clearSessions());
+  } catch (err) {
+    sendSessionError(res, err, 'Errore eliminazione cronologia');
+  }
+});
+
+// ====== STATO DEI TITOLI ======
+function sendStatusError(res, err, message) {
+  console.error(`${message}:`, err.message);
+  res.status(err.status || 500).json({ error: message, details: err.message });
+}
+
+/**
+ * GET /api/title-status?ids=movie:1,movie:2&status=todo,review&kind=movie&assignee=&collectionId=&q=
+ * Stato di lavorazione dei titoli (senza i metadati applicati), stati ammessi
+ * e persone assegnate. I titoli senza voce sono "non iniziati".
+ */
+app.get('/api/title-status', (req, res) => {
+  const { ids, status, kind, assignee, collectionId, q, limit } = req.query;
+  res.json({
+    items: listTitleStatuses({
+      ids,
+      status,
+      kind,
+      assignee,
+      collectionId,
+      q,
+      limit: parseInt(limit, 10) || 500,
+    }),
+    statuses: TITLE_STATUSES,
+    assignees: listAssignees(),
+  });
+});
+
+/**
+ * POST /api/title-status/batch
+ * Body: { items: [{ id, title, collectionId }], status, assignee, onlyNew }.
+ * Stesso stato per più titoli (es. aggiungere alla lista i film di una collezione).
+ */
+app.post('/api/title-status/batch', async (req, res) => {
+  const { items, ...options } = req.body || {};
+  try {
+    res.json(await setTitleStatuses(items, options));
+  } catch (err) {
+    sendStatusError(res, err, 'Errore aggiornamento stato titoli');
+  }
+});
+
+/**
+ * GET /api/title-status/:id
+ * Voce completa con i metadati applicati (id "movie:<tmdbId>", "tv:..." o "collection:...")
+ */
+app.get('/api/title-status/:id', (req, res) => {
+  try {
+    res.json(getTitleStatus(req.params.id));
+  } catch (err) {
+    sendStatusError(res, err, 'Errore lettura stato titolo');
+  }
+});
+
+/**
+ * PUT /api/title-status/:id
+ * Body: { status, title, assignee, note, collectionId, metadata }
+ */
+app.put('/api/title-status/:id', async (req, res) => {
+  try {
+    res.json(await setTitleStatus(req.params.id, req.body || {}));
+  } catch (err) {
+    sendStatusError(res, err, 'Errore aggiornamento stato titolo');
+  }
+});
+
+/**
+ * DELETE /api/title-status/:id
+ * Il titolo torna "non iniziato"
+ */
+app.delete('/api/title-status/:id', async (req, res) => {
+  try {
+    const deleted = await clearTitleStatus(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Stato titolo non trovato', details: req.params.id });
     }
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    sendStatusError(res, err, 'Errore eliminazione stato titolo');
+  }
+});
+
+// ====== NOMI DEI FILE ======
+/**
+ * POST /api/filenames/parse
+ * Body: { filenames: [...] }. Titolo, anno, edizione e tag di qualità di ogni nome
+ * (es. "Il.Signore.degli.Anelli.2001.EXTENDED.1080p.BluRay.mkv"), senza chiamare TMDB.
+ */
+app.post('/api/filenames/parse', (req, res) => {
+  const { filenames } = req.body || {};
+  if (!Array.isArray(filenames) || filenames.length === 0) {
+    return res.status(400).json({ error: 'filenames mancante' });
+  }
+  res.json({ items: filenames.map(parseMediaFilename) });
+});
+
+/**
+ * POST /api/filenames/match
+ * Body: { filenames: [...], listing: "<elenco di una cartella>", kind: auto|movie|tv }.
+ * Per ogni file il risultato TMDB più probabile con la confidenza (0..1) e fino a
+ * 5 alternative: { items: [{ filename, parsed, kind, status, confidence, best, candidates, error }] }
+ */
+app.post('/api/filenames/match', async (req, res) => {
+  const { filenames, listing, kind } = req.body || {};
+  try {
+    res.json(
+      await matchFilenames({
+        filenames,
+        listing,
+        kind,
+        clientAuthorization: req.headers.authorization,
+      })
+    );
+  } catch (err) {
+    console.error('Errore abbinamento file:', err.message);
+    res.status(err.status || err.response?.status || 500).json({
+      error: 'Errore abbinamento file',
+      details: err.message,
+    });
+  }
+});
+
+// ====== AMMINISTRAZIONE CACHE ======
+// senza ADMIN_TOKEN gli endpoint di amministrazione restano disattivati
+function ensureAdmin(req, res) {
+  if (!ADMIN_TOKEN) {
+    res.status(403).json({
+      error: 'Amministrazione disattivata',
+      details: 'Imposta ADMIN_TOKEN sul backend per usare /api/admin',
+    });
+    return false;
+  }
+  if (req.headers['x-admin-token'] === ADMIN_TOKEN) return true;
+  res.status(401).json({ error: 'Token amministratore non valido' });
+  return false;
+}
+
+/**
+ * GET /api/admin/cache
+ * Numero di voci in memoria e su disco per TMDB, IMDb e traduzioni
+ */
+app.get('/api/admin/cache', async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  res.json({
+    caches: [await tmdbCache.stats(), await imdbCache.stats(), await translationCache.stats()],
+  });
+});
+
+/**
+ * DELETE /api/admin/cache/:kind/:id
+ * Svuota la cache di un titolo. kind: movie | collection | tv | imdb
+ * Esempi: /api/admin/cache/movie/603, /api/admin/cache/imdb/tt0133093
+ */
+app.delete('/api/admin/cache/:kind/:id', async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const { kind, id } = req.params;
+
+  let removed;
+  if (kind === 'imdb') {
+    removed = await imdbCache.purgeTag(imdbTitleTag(id));
+  } else if (['movie', 'collection', 'tv'].includes(kind)) {
+    removed = await tmdbCache.purgeTag(`tmdb:${kind}:${id}`);
+  } else {
+    return res.status(400).json({ error: `Tipo non valido: ${kind}` });
+  }
+  res.json({ kind, id, removed });
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Svuota tutta la cache (TMDB + IMDb + traduzioni)
+ */
+app.delete('/api/admin/cache', async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const removed =
+    (await tmdbCache.clear()) + (await imdbCache.clear()) + (await translationCache.clear());
+  res.json({ removed });
+});
+
+// ====== PLEX MEDIA SERVER ======
+function ensurePlexConfigured(res) {
+  if (plex.isConfigured()) return true;
+  res.status(503).json({
+    error: 'Plex non configurato',
+    details: 'Imposta PLEX_URL e PLEX_TOKEN nell\'ambiente del backend',
+  });
+  return false;
+}
+
+function sendPlexError(res, err, message) {
+  console.error(`${message}:`, err.message);
+  res.status(err.status || err.response?.status || 500).json({
+    error: message,
+    details: err.message,
+  });
+}
+
+/**
+ * GET /api/plex/search?query=...
+ * Cerca film nelle librerie Plex (per scegliere l'elemento da aggiornare)
+ */
+app.get('/api/plex/search', async (req, res) => {
+  if (!ensurePlexConfigured(res)) return;
+  const query = (req.query.query || '').toString().trim();
+  if (!query) {
+    return res.status(400).json({ error: 'query mancante' });
+  }
+
+  try {
+    res.json({ results: await plex.searchMovies(query) });
+  } catch (err) {
+    sendPlexError(res, err, 'Errore ricerca Plex');
+  }
+});
+
+/**
+ * GET /api/plex/libraries
+ * Librerie Plex di tipo film
+ */
+app.get('/api/plex/libraries', async (req, res) => {
+  if (!ensurePlexConfigured(res)) return;
 
+  try {
+    res.json({ libraries: await plex.getMovieLibraries() });
+  } catch (err) {
+    sendPlexError(res, err, 'Errore lettura librerie Plex');
+  }
+});
+
+/**
+ * GET /api/plex/libraries/:sectionId/movies?offset=0&limit=100
+ * Film della libreria con guid (tmdb/imdb), titoli e anno
+ */
+app.get('/api/plex/libraries/:sectionId/movies', async (req, res) => {
+  if (!ensurePlexConfigured(res)) return;
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+  try {
+    res.json(await plex.listMovies(req.params.sectionId, { offset, limit }));
+  } catch (err) {
+    sendPlexError(res, err, 'Errore lettura film della libreria Plex');
+  }
+});
+
+/**
+ * GET /api/plex/libraries/:sectionId/matches?offset=0&limit=50
+ * Film della libreria abbinati a TMDB (guid tmdb://, guid imdb:// con /find,
+ * altrimenti ricerca per titolo e anno): { items: [{ item, status, match, error }],
+ * offset, totalSize }. status: matched | ambiguous | unmatched | error
+ */
+app.get('/api/plex/libraries/:sectionId/matches', async (req, res) => {
+  if (!ensurePlexConfigured(res)) return;
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const page = await plex.listMovies(req.params.sectionId, { offset, limit });
+    const items = await matchPlexItems(page.items, {
+      clientAuthorization: req.headers.authorization,
+    });
+    res.json({ ...page, items });
+  } catch (err) {
+    sendPlexError(res, err, 'Errore abbinamento libreria Plex');
+  }
+});
+
+/**
+ * GET /api/plex/metadata/:ratingKey
+ * Dati correnti dell'elemento Plex (per conferma prima dell'invio)
+ */
+app.get('/api/plex/metadata/:ratingKey', async (req, res) => {
+  if (!ensurePlexConfigured(res)) return;
+
+  try {
+    const item = await plex.getItem(req.params.ratingKey);
     res.json({
-      imdbId,
-      chips: chipTexts,                  // <-- questi sono i famosi chip
-      directors: Array.from(directors),  // registi
-      writers: Array.from(writers),      // autori/sceneggiatori
+      ratingKey: item.ratingKey,
+      title: item.title,
+      year: item.year || null,
+      type: item.type,
+      librarySectionID: item.librarySectionID,
+      librarySectionTitle: item.librarySectionTitle || '',
     });
   } catch (err) {
-    console.error('Errore scraping IMDb:', err.message);
-    res.status(500).json({ error: 'Errore scraping IMDb', details: err.message });
+    sendPlexError(res, err, 'Errore lettura elemento Plex');
+  }
+});
+
+/**
+ * PUT /api/plex/metadata/:ratingKey?tmdbId=603
+ * Body: campi di buildMovieViewModel (titolo, titoloOrdinamento, titoloOriginale,
+ * dataUscita, contentRating, studio, tagline, riassunto, generi, registi,
+ * autori, produttori, paesi, attori [{ name, character, thumb }]).
+ * Scrive e blocca i campi sull'elemento Plex. Con tmdbId il film viene segnato
+ * "completato" con i metadati applicati (titleStatus nella risposta).
+ */
+app.put('/api/plex/metadata/:ratingKey', async (req, res) => {
+  if (!ensurePlexConfigured(res)) return;
+
+  try {
+    const payload = req.body || {};
+    const result = await plex.updateMovieMetadata(req.params.ratingKey, payload);
+
+    const { tmdbId, collectionId } = req.query;
+    if (tmdbId) {
+      // un errore qui non annulla l'invio, già avvenuto
+      result.titleStatus = await setTitleStatus(`movie:${tmdbId}`, {
+        status: 'done',
+        title: payload.titolo,
+        ...(collectionId ? { collectionId } : {}),
+        metadata: { ...payload, ratingKey: String(req.params.ratingKey) },
+      }).catch((err) => {
+        console.error('Errore aggiornamento stato titolo dopo invio a Plex:', err.message);
+        return null;
+      });
+    }
+    res.json(result);
+  } catch (err) {
+    sendPlexError(res, err, 'Errore aggiornamento metadati Plex');
   }
 });
 
@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import { createJsonStore } from './jsonStore.js';
+
+// ====== CRONOLOGIA SESSIONI ======
+// Sessioni di lavoro della UI (collezione con i suoi generi condivisi e i risultati
+// dei singoli film, film o serie TV), da riaprire dopo un ricaricamento della
+// pagina senza rifare tutte le richieste. Una sessione per titolo, id "<kind>:<tmdbId>".
+// L'indice in DATA_DIR/sessions.json tiene solo i riepiloghi (le più recenti in
+// fondo); lo stato completo è in DATA_DIR/sessions/<kind>-<tmdbId>.json.
+const MAX_SESSIONS = 100;
+const SESSION_ID_RE = /^(collection|movie|tv):(\d+)$/;
+
+const indexStore = createJsonStore('sessions', { defaultValue: () => [] });
+
+let sessions;
+try {
+  sessions = await indexStore.read();
+} catch (err) {
+  console.error('Indice delle sessioni non valido, riparto da zero:', err.message);
+  sessions = [];
+}
+
+// uno store per sessione, così le scritture della stessa sessione restano in ordine
+const dataStores = new Map();
+
+function dataStore(id) {
+  if (!dataStores.has(id)) {
+    dataStores.set(id, createJsonStore(`sessions/${id.replace(':', '-')}`));
+  }
+  return dataStores.get(id);
+}
+
+function sessionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseSessionId(id) {
+  const match = SESSION_ID_RE.exec(String(id || ''));
+  if (!match) throw sessionError(`Id sessione non valido: ${id} (atteso collection|movie|tv:<tmdbId>)`);
+  return { kind: match[1], tmdbId: match[2] };
+}
+
+// Contatori mostrati nella cronologia (es. { movies: 3, genres: 12 }): solo numeri
+function cleanCounts(counts) {
+  if (!counts || typeof counts !== 'object') return {};
+  return Object.fromEntries(
+    Object.entries(counts).filter(([, n]) => Number.isFinite(n) && n >= 0)
+  );
+}
+
+async function removeData(id) {
+  await fs.rm(dataStore(id).file, { force: true });
+  dataStores.delete(id);
+}
+
+/**
+ * Riepiloghi delle sessioni, le più recenti prima: { id, kind, tmdbId, title,
+ * posterPath, counts, createdAt, updatedAt }
+ */
+export function listSessions({ kind, limit = 50 } = {}) {
+  return sessions
+    .filter((s) => !kind || s.kind === kind)
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * Sessione completa: riepilogo + data (lo stato salvato dalla UI)
+ */
+export async function getSession(id) {
+  parseSessionId(id);
+  const summary = sessions.find((s) => s.id === id);
+  if (!summary) throw sessionError(`Sessione non trovata: ${id}`, 404);
+
+  const data = await dataStore(id).read();
+  if (!data) throw sessionError(`Stato della sessione ${id} mancante`, 404);
+  return { ...summary, data };
+}
+
+/**
+ * Crea o aggiorna una sessione. Body: { title, posterPath, counts, data }.
+ * La sessione aggiornata diventa la più recente; oltre MAX_SESSIONS si
+ * eliminano le più vecchie.
+ */
+export async function saveSession(id, { title, posterPath = null, counts, data } = {}) {
+  const { kind, tmdbId } = parseSessionId(id);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw sessionError('Stato della sessione (data) mancante');
+  }
+
+  const now = new Date().toISOString();
+  const previous = sessions.find((s) => s.id === id);
+  const summary = {
+    id,
+    kind,
+    tmdbId,
+    title: typeof title === 'string' && title.trim() ? title.trim() : previous?.title || id,
+    posterPath: typeof posterPath === 'string' ? posterPath : null,
+    counts: cleanCounts(counts),
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+  };
+
+  await dataStore(id).write(data);
+
+  const next = [...sessions.filter((s) => s.id !== id), summary];
+  const dropped = next.slice(0, Math.max(0, next.length - MAX_SESSIONS));
+  sessions = next.slice(-MAX_SESSIONS);
+  await indexStore.write(sessions);
+  await Promise.all(dropped.map((s) => removeData(s.id)));
+  return summary;
+}
+
+export async function deleteSession(id) {
+  parseSessionId(id);
+  if (!sessions.some((s) => s.id === id)) return false;
+  sessions = sessions.filter((s) => s.id !== id);
+  await indexStore.write(sessions);
+  await removeData(id);
+  return true;
+}
+
+// Svuota la cronologia
+export async function clearSessions() {
+  const ids = sessions.map((s) => s.id);
+  sessions = [];
+  await indexStore.write(sessions);
+  await Promise.all(ids.map(removeData));
+  return { deleted: ids.length };
+}
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import axios from 'axios';
+
+// ====== PROVIDER AI FINTO ======
+// Ollama non richiede chiavi: ai.js chiama axios.post, che risponde con `aiReply`
+// (una stringa, oppure un errore da lanciare)
+let aiReply = '{}';
+let dataDir;
+let generateAiGenres;
+let listUnmappedGenres;
+const originalPost = axios.post;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.AI_PROVIDER = 'ollama';
+  // aiRuns.json è una cartella non vuota: ogni scrittura del registro fallisce
+  await fs.mkdir(path.join(dataDir, 'aiRuns.json', 'blocco'), { recursive: true });
+
+  axios.post = async () => {
+    if (aiReply instanceof Error) throw aiReply;
+    return { data: { response: aiReply } };
+  };
+
+  // import dopo le variabili d'ambiente, lette al caricamento dei moduli
+  ({ generateAiGenres } = await import('../aiGenres.js'));
+  ({ listUnmappedGenres } = await import('../unmappedGenres.js'));
+});
+
+after(async () => {
+  axios.post = originalPost;
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// ====== TEST ======
+test('un errore del registro non nasconde quello del provider AI', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  aiReply = Object.assign(new Error('quota esaurita'), { status: 429 });
+  await assert.rejects(generateAiGenres({ id: 603, title: 'Matrix' }), {
+    message: 'quota esaurita',
+    status: 429,
+  });
+  // il salvataggio del registro è fallito davvero ed è arrivato a aiGenres
+  assert.ok(logged.mock.calls.some((call) => call.arguments[0] === 'Errore registrazione esecuzione AI:'));
+
+  aiReply = 'nessun JSON qui';
+  await assert.rejects(generateAiGenres({ id: 603, title: 'Matrix' }), {
+    status: 502,
+    message: /non contiene un oggetto JSON/,
+  });
+});
+
+test("un errore del registro non fa fallire un'analisi riuscita", async (t) => {
+  t.mock.method(console, 'error', () => {});
+  aiReply = JSON.stringify({ generiCollezioneValidati: [], nuoviGeneri: [] });
+  const result = await generateAiGenres({ id: 603, title: 'Matrix' });
+  assert.equal(result.runId, null);
+  assert.deepEqual(result.genres, []);
+});
+
+test('la risposta AI viene estratta dal testo e confrontata con la mappa generi', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const data = {
+    generiCollezioneValidati: [
+      { genere: 'Fantascienza', motivazione: 'Macchine e realtà simulata', confidenza: 85 },
+      { genere: 'Action & Adventure', confidenza: 0.7 },
+    ],
+    nuoviGeneri: [
+      'spadaccino',
+      'Costume design',
+      { genere: 'Genere Inventato', confidenza: -1 },
+      { genere: 'fantascienza' },
+      { genere: '  ' },
+    ],
+  };
+  // preambolo e blocco ```json nonostante la modalità JSON
+  aiReply = `Ecco i generi:\n\`\`\`json\n${JSON.stringify(data)}\n\`\`\``;
+
+  const result = await generateAiGenres({ id: 603, title: 'Matrix', collectionGenres: ['Fantascienza'] });
+
+  assert.deepEqual(result.validated, [
+    { genre: 'Fantascienza', reason: 'Macchine e realtà simulata', confidence: 0.85, genres: ['Fantascienza'] },
+  ]);
+  // fuori dalla collezione: trattato come nuovo e mappato; "spadaccino" prende la grafia del vocabolario
+  assert.deepEqual(
+    result.new.map((item) => [item.genre, item.genres, item.confidence]),
+    [
+      ['Action & Adventure', ['Azione', 'Avventura'], 0.7],
+      ['spadaccino', ['Spadaccino'], null],
+    ]
+  );
+  // "Costume design" mappa a [] (ignorato), il genere sconosciuto resta da revisionare
+  assert.deepEqual(result.review, [{ genre: 'Genere Inventato', reason: '', confidence: null, list: 'new' }]);
+  assert.deepEqual(result.genres, ['Fantascienza', 'Azione', 'Avventura', 'Spadaccino']);
+  assert.equal(result.provider, 'ollama');
+
+  const queued = listUnmappedGenres().find((item) => item.token === 'Genere Inventato');
+  assert.equal(queued.sources.ai, 1);
+});
+
+test('un JSON non valido diventa un errore 502', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  aiReply = '{ "nuoviGeneri": [ }';
+  await assert.rejects(generateAiGenres({ title: 'Matrix' }), {
+    status: 502,
+    message: /Risposta AI non in formato JSON/,
+  });
+});
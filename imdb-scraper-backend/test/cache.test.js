@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+
+const HOUR = 60 * 60 * 1000;
+
+let dataDir;
+let createCache;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  // import dopo DATA_DIR, letta al caricamento del modulo
+  ({ createCache } = await import('../cache.js'));
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const diskFiles = (name) => fs.readdir(path.join(dataDir, 'cache', name)).catch(() => []);
+
+// ====== TEST ======
+test('le voci scadute non vengono restituite e spariscono dal disco', async () => {
+  const cache = createCache('ttl');
+  await cache.set('breve', 1, { ttlMs: 1 });
+  await cache.set('lunga', 2, { ttlMs: HOUR });
+  await delay(5);
+
+  assert.equal(await cache.get('breve'), null);
+  assert.deepEqual(await cache.get('lunga').then((r) => [r.value, r.source]), [2, 'memory']);
+  assert.equal((await diskFiles('ttl')).length, 1);
+
+  // una nuova istanza (es. dopo un riavvio) legge dal disco
+  const restarted = createCache('ttl');
+  assert.equal((await restarted.get('lunga')).source, 'disk');
+});
+
+test('purgeTag elimina le voci del tag in memoria e su disco', async () => {
+  const cache = createCache('tag');
+  await cache.set('movie/603', 'a', { ttlMs: HOUR, tags: ['tmdb:movie:603'] });
+  await cache.set('movie/603/credits', 'b', { ttlMs: HOUR, tags: ['tmdb:movie:603'] });
+  await cache.set('movie/604', 'c', { ttlMs: HOUR, tags: ['tmdb:movie:604'] });
+
+  // la voce solo su disco (scritta da un'altra istanza) viene trovata comunque
+  const other = createCache('tag');
+  assert.equal(await other.purgeTag('tmdb:movie:603'), 2);
+  assert.equal(await other.get('movie/603'), null);
+  assert.equal((await other.get('movie/604')).value, 'c');
+  assert.equal(await cache.purgeTag('tmdb:movie:603'), 2);
+  assert.equal(await cache.get('movie/603'), null);
+  assert.deepEqual(await cache.stats(), { name: 'tag', memoryEntries: 1, diskEntries: 1 });
+});
+
+test('wrap esegue una sola volta il loader per richieste contemporanee', async () => {
+  const cache = createCache('wrap');
+  let calls = 0;
+  const loader = async () => {
+    calls += 1;
+    await delay(10);
+    return { id: 603 };
+  };
+
+  const [first, second] = await Promise.all([
+    cache.wrap('movie/603', { ttlMs: HOUR }, loader),
+    cache.wrap('movie/603', { ttlMs: HOUR }, loader),
+  ]);
+  assert.equal(calls, 1);
+  assert.deepEqual([first.hit, second.hit, second.value], [false, false, { id: 603 }]);
+
+  const third = await cache.wrap('movie/603', { ttlMs: HOUR }, loader);
+  assert.deepEqual([third.hit, third.source, calls], [true, 'memory', 1]);
+});
+
+test('wrap condivide gli errori senza metterli in cache', async () => {
+  const cache = createCache('wrap-errori');
+  let calls = 0;
+  const failing = async () => {
+    calls += 1;
+    await delay(5);
+    throw new Error('TMDB non raggiungibile');
+  };
+
+  const results = await Promise.allSettled([
+    cache.wrap('movie/1', { ttlMs: HOUR }, failing),
+    cache.wrap('movie/1', { ttlMs: HOUR }, failing),
+  ]);
+  assert.deepEqual(results.map((r) => r.status), ['rejected', 'rejected']);
+  assert.equal(calls, 1);
+
+  const retry = await cache.wrap('movie/1', { ttlMs: HOUR }, async () => 'ok');
+  assert.deepEqual([retry.value, retry.hit], ['ok', false]);
+});
+
+test('sweep toglie le voci scadute e le più vecchie oltre il limite', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const cache = createCache('sweep', { maxDiskEntries: 2 });
+  // la prima scrittura avvierebbe da sola una pulizia: qui la si fa subito
+  assert.equal(await cache.sweep(), 0);
+  await cache.set('scaduta', 0, { ttlMs: 1 });
+  for (const key of ['prima', 'seconda', 'terza']) {
+    await delay(3);
+    await cache.set(key, key, { ttlMs: HOUR });
+  }
+  await fs.writeFile(path.join(dataDir, 'cache', 'sweep', 'rotto.json'), '{');
+
+  assert.equal(await cache.sweep(), 3);
+  assert.equal((await diskFiles('sweep')).length, 2);
+
+  const restarted = createCache('sweep');
+  assert.equal(await restarted.get('prima'), null);
+  assert.equal((await restarted.get('terza')).value, 'terza');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMediaFilename, parseFileListing } from '../filenames.js';
+import { normalizeTitle, titleSimilarity } from '../titleMatch.js';
+
+test('parseMediaFilename ricava titolo, anno, edizione e qualità', () => {
+  const parsed = parseMediaFilename('Il.Signore.degli.Anelli.2001.EXTENDED.1080p.BluRay.mkv');
+  assert.equal(parsed.title, 'Il Signore degli Anelli');
+  assert.equal(parsed.year, 2001);
+  assert.equal(parsed.kind, 'movie');
+  assert.equal(parsed.edition, 'Extended');
+  assert.equal(parsed.quality.resolution, '1080p');
+  assert.equal(parsed.quality.source, 'BluRay');
+});
+
+test('parseMediaFilename non confonde anni e parole dei titoli con i tag', () => {
+  const blade = parseMediaFilename('Blade.Runner.2049.2017.2160p.mkv');
+  assert.deepEqual([blade.title, blade.year], ['Blade Runner 2049', 2017]);
+  assert.equal(parseMediaFilename('The.Italian.Job.mkv').title, 'The Italian Job');
+  assert.equal(parseMediaFilename("Charlotte's.Web.2006.mkv").title, "Charlotte's Web");
+
+  const episode = parseMediaFilename('Breaking.Bad.S01E02.720p.WEB-DL.mkv');
+  assert.deepEqual([episode.title, episode.kind, episode.season, episode.episode], ['Breaking Bad', 'tv', 1, 2]);
+});
+
+test('parseFileListing tiene solo i nomi dei video', () => {
+  const listing = [
+    'total 8',
+    '-rw-r--r--  1 user user 1234567 Jan  1 10:00 Film.Uno.2001.mkv',
+    '-rw-r--r--  1 user user 12 Jan  1 10:00 Film.Uno.2001.srt',
+    '/mnt/media/Film/Film.Uno.2001.mkv',
+    'C:\\Film\\Secondo.Film.1999.avi',
+    'Secondo.Film.1999.sample.mkv',
+  ].join('\n');
+  assert.deepEqual(parseFileListing(listing), ['Film.Uno.2001.mkv', 'Secondo.Film.1999.avi']);
+});
+
+test('normalizeTitle e titleSimilarity', () => {
+  assert.equal(normalizeTitle('Amélie & Nino: Il Favoloso Mondo!'), 'amelie and nino il favoloso mondo');
+  assert.equal(titleSimilarity('La vita è bella', 'La Vita e Bella'), 1);
+  assert.equal(
+    titleSimilarity('Il Signore degli Anelli', "Il Signore degli Anelli - La compagnia dell'anello"),
+    0.85
+  );
+  assert.ok(titleSimilarity('Matrix', 'Titanic') < 0.5);
+});
@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let dataDir;
+let genreMap;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  // import dopo DATA_DIR, letta al caricamento dei moduli
+  genreMap = await import('../genreMap.js');
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+// ====== TEST ======
+test('saveGenreMapping rifiuta le chiavi riservate', async () => {
+  for (const key of ['__proto__', 'constructor', ' Prototype ']) {
+    await assert.rejects(genreMap.saveGenreMapping(key, ['Drammatico']), { status: 400 });
+  }
+  await assert.rejects(
+    genreMap.importGenreMap(JSON.parse('{"__proto__": ["Drammatico"]}')),
+    { status: 400 }
+  );
+  assert.equal(Object.getPrototypeOf(genreMap.getGenreMap()), Object.prototype);
+});
+
+test('saveGenreMapping crea, rinomina e salva su disco', async () => {
+  const created = await genreMap.saveGenreMapping('Cappa e Spada', ['Storico', 'Avventura']);
+  assert.deepEqual(created, { key: 'Cappa e Spada', genres: ['Storico', 'Avventura'], created: true });
+
+  const renamed = await genreMap.saveGenreMapping('cappa e spada', ['Avventura'], { newKey: 'Avventura di cappa' });
+  assert.equal(renamed.created, false);
+  assert.equal(genreMap.isMappedGenre('Cappa e Spada'), false);
+  assert.deepEqual(genreMap.mapGenreToInternal('avventura di cappa'), ['Avventura']);
+
+  const saved = JSON.parse(await fs.readFile(path.join(dataDir, 'genreMap.json'), 'utf8'));
+  assert.deepEqual(saved['Avventura di cappa'], ['Avventura']);
+});
+
+test('mapGenreToInternal non legge le proprietà di Object.prototype', () => {
+  assert.deepEqual(genreMap.mapGenreToInternal('constructor'), ['constructor']);
+  assert.deepEqual(genreMap.mapGenresToInternal(['toString', 'hasOwnProperty']), ['toString', 'hasOwnProperty']);
+});
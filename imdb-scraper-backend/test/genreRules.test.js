@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let dataDir;
+let genreRules;
+let applyGenreRules;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.TMDB_BEARER_TOKEN = 'test';
+  // import dopo le variabili d'ambiente, lette al caricamento dei moduli
+  genreRules = await import('../genreRules.js');
+  ({ applyGenreRules } = await import('../plexMetadata.js'));
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const rule = (name, conditions, actions, extra = {}) => ({ name, conditions, actions, ...extra });
+
+// ====== CONDIZIONI ======
+test('evaluateGenreRules valuta campi e operatori', () => {
+  const rules = genreRules.validateGenreRules([
+    rule('Tutti', [{ field: 'genres', op: 'includesAll', value: 'Commedia, Romantico' }], [
+      { type: 'add', genre: 'Commedia Romantica' },
+    ]),
+    rule('Paese', [{ field: 'countries', op: 'includesAny', value: ['IT', 'Italy'] }], [
+      { type: 'add', genre: 'Italiano' },
+    ]),
+    rule('Anni 90', [
+      { field: 'year', op: 'gte', value: '1990' },
+      { field: 'year', op: 'lte', value: 1999 },
+    ], [{ type: 'add', genre: 'Anni 90' }]),
+    rule('Lingua', [
+      { field: 'language', op: 'in', value: ['fr', 'es'] },
+      { field: 'certification', op: 'exists' },
+    ], [{ type: 'add', genre: 'Europeo' }], { match: 'any' }),
+    rule('Senza collezione', [{ field: 'collection', op: 'notExists' }], [{ type: 'add', genre: 'Autonomo' }]),
+    rule('Spento', [], [{ type: 'add', genre: 'Mai' }], { enabled: false }),
+  ]);
+
+  const { genres, applied } = genreRules.evaluateGenreRules(
+    ['commedia', 'Romantico'],
+    { countries: ['Italy'], language: 'it', year: 1997, certification: '', collection: null },
+    rules
+  );
+  assert.deepEqual(genres, ['commedia', 'Romantico', 'Commedia Romantica', 'Italiano', 'Anni 90', 'Autonomo']);
+  assert.deepEqual(applied.map((r) => r.id), ['tutti', 'paese', 'anni-90', 'senza-collezione']);
+});
+
+test('validateGenreRules rifiuta campi, operatori e azioni non validi', () => {
+  const invalid = [
+    rule('X', [{ field: 'budget', op: 'gte', value: 1 }], [{ type: 'add', genre: 'A' }]),
+    rule('X', [{ field: 'year', op: 'includes', value: 1 }], [{ type: 'add', genre: 'A' }]),
+    rule('X', [{ field: 'runtime', op: 'gte', value: 'lungo' }], [{ type: 'add', genre: 'A' }]),
+    rule('X', [], [{ type: 'replace', genre: 'A' }]),
+    rule('X', [], []),
+    rule('', [], [{ type: 'add', genre: 'A' }]),
+  ];
+  for (const r of invalid) {
+    assert.throws(() => genreRules.validateGenreRules([r]), { status: 400 });
+  }
+  const ids = genreRules.validateGenreRules([
+    rule('Doppia', [], [{ type: 'add', genre: 'A' }]),
+    rule('Doppia', [], [{ type: 'add', genre: 'B' }]),
+  ]).map((r) => r.id);
+  assert.deepEqual(ids, ['doppia', 'doppia-2']);
+});
+
+// ====== AZIONI ======
+test('le azioni vengono applicate in ordine sui generi delle regole precedenti', () => {
+  const rules = genreRules.validateGenreRules([
+    rule('Aggiungi', [], [{ type: 'add', genre: 'Noir' }, { type: 'add', genre: 'Thriller' }]),
+    rule('Sostituisci', [{ field: 'genres', op: 'includes', value: 'noir' }], [
+      { type: 'replace', genre: 'Giallo', with: 'Poliziesco' },
+    ]),
+    rule('Togli', [{ field: 'genres', op: 'includes', value: 'Thriller' }], [{ type: 'remove', genre: 'noir' }]),
+    rule('Nessun effetto', [], [{ type: 'remove', genre: 'Western' }, { type: 'add', genre: 'thriller' }]),
+  ]);
+
+  const { genres, applied } = genreRules.evaluateGenreRules(['Giallo'], {}, rules);
+  assert.deepEqual(genres, ['Thriller', 'Poliziesco']);
+  // le regole che non cambiano nulla non compaiono tra quelle applicate
+  assert.deepEqual(applied, [
+    { id: 'aggiungi', name: 'Aggiungi', added: ['Noir', 'Thriller'], removed: [] },
+    { id: 'sostituisci', name: 'Sostituisci', added: ['Poliziesco'], removed: ['Giallo'] },
+    { id: 'togli', name: 'Togli', added: [], removed: ['noir'] },
+  ]);
+});
+
+test('saveGenreRules aggiorna subito le regole in memoria', async () => {
+  const saving = genreRules.saveGenreRules([rule('Nuova', [], [{ type: 'add', genre: 'A' }])]);
+  assert.deepEqual(genreRules.getGenreRules().map((r) => r.id), ['nuova']);
+  await saving;
+  const saved = JSON.parse(await fs.readFile(path.join(dataDir, 'genreRules.json'), 'utf8'));
+  assert.deepEqual(saved.map((r) => r.id), ['nuova']);
+});
+
+// ====== VIEW MODEL ======
+test('applyGenreRules ricava aggiunti e rimossi dal risultato finale', async () => {
+  await genreRules.saveGenreRules([
+    rule('Aggiungi', [], [{ type: 'add', genre: 'Cult' }, { type: 'add', genre: 'Noir' }]),
+    rule('Togli', [], [{ type: 'remove', genre: 'Cult' }, { type: 'remove', genre: 'Azione' }]),
+  ]);
+
+  const vm = applyGenreRules({
+    collectionGenres: ['Fantascienza'],
+    movieSpecificGenres: ['Azione', 'Thriller'],
+    generiTmdb: ['Azione', 'Fantascienza'],
+    genreFacts: {},
+  });
+
+  assert.deepEqual(vm.generiRegole, ['Noir']);
+  assert.deepEqual(vm.movieSpecificGenres, ['Thriller', 'Noir']);
+  assert.deepEqual(vm.allGenresSorted, ['Fantascienza', 'Noir', 'Thriller']);
+  assert.deepEqual(vm.generiTmdb, ['Fantascienza']);
+  // ogni genere finale è della collezione o del film
+  const union = new Set([...vm.collectionGenres, ...vm.movieSpecificGenres]);
+  assert.ok(vm.allGenresSorted.every((g) => union.has(g)));
+  assert.ok(vm.movieSpecificGenres.every((g) => vm.allGenresSorted.includes(g)));
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { parse } from 'yaml';
+
+let dataDir;
+let kometa;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  // import dopo DATA_DIR, letta al caricamento dei moduli
+  kometa = await import('../kometa.js');
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const COLLECTION = {
+  tmdbId: '2344',
+  titolo: 'Matrix - La collezione',
+  titoloOrdinamento: 'Matrix',
+  riassunto: 'La saga di Neo.',
+  numeroFilm: 2,
+  parts: [
+    { title: 'Matrix', release_date: '1999-03-31' },
+    { title: 'Matrix Reloaded', release_date: '' },
+  ],
+};
+
+// ====== TEST ======
+test('buildKometaYaml scrive collezione e film con id TMDB numerici', () => {
+  const yaml = kometa.buildKometaYaml({
+    collection: COLLECTION,
+    movies: [
+      {
+        tmdbId: '603',
+        titolo: 'Matrix',
+        titoloOrdinamento: 'Matrix',
+        tagline: '',
+        riassunto: 'Neo scopre la verità.',
+        generi: ['Azione', 'Fantascienza'],
+        registi: 'Lana Wachowski',
+        paesi: [],
+      },
+    ],
+  });
+
+  assert.match(yaml, /^metadata:\n {2}603:\n/m);
+  const doc = parse(yaml);
+  assert.deepEqual(doc.collections['Matrix - La collezione'], {
+    tmdb_collection: 2344,
+    sort_title: 'Matrix',
+    summary: 'La saga di Neo.\nNumero di Film: 2\n✅ Matrix (1999)\n✅ Matrix Reloaded\n❌ Altro...',
+  });
+  assert.deepEqual(doc.metadata[603], {
+    title: 'Matrix',
+    sort_title: 'Matrix',
+    summary: 'Neo scopre la verità.',
+    'genre.sync': ['Azione', 'Fantascienza'],
+    director: ['Lana Wachowski'],
+  });
+});
+
+test('il riassunto della collezione senza testo TMDB parte dall\'elenco dei film', () => {
+  const entry = kometa.buildKometaCollectionEntry({ ...COLLECTION, riassunto: undefined });
+  const { summary } = entry['Matrix - La collezione'];
+  assert.ok(summary.startsWith('Numero di Film: 2\n'), summary);
+  assert.doesNotMatch(summary, /undefined/);
+
+  const empty = kometa.buildKometaCollectionEntry({ ...COLLECTION, riassunto: '', parts: [] });
+  assert.deepEqual(empty, { 'Matrix - La collezione': { tmdb_collection: 2344, sort_title: 'Matrix' } });
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let dataDir;
+let locale;
+let removeArticles;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  delete process.env.APP_LOCALE;
+  // import dopo le variabili d'ambiente, lette al caricamento dei moduli
+  locale = await import('../locale.js');
+  ({ removeArticles } = await import('../plexMetadata.js'));
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+// APP_LOCALE viene letta al caricamento: ogni lingua è una copia separata del modulo
+async function loadLocale(appLocale) {
+  process.env.APP_LOCALE = appLocale;
+  try {
+    return await import(`../locale.js?${appLocale}`);
+  } finally {
+    delete process.env.APP_LOCALE;
+  }
+}
+
+// ====== TEST ======
+test('senza APP_LOCALE valgono italiano e articoli italiani e inglesi', () => {
+  assert.equal(locale.getLocale().code, 'it');
+  assert.deepEqual(
+    [
+      'Il Padrino',
+      "L'era glaciale",
+      'L’ultimo samurai',
+      'L’Écume des jours',
+      'Gli Incredibili',
+      'The Matrix',
+      'A Beautiful Mind',
+    ].map(removeArticles),
+    ['Padrino', 'era glaciale', 'ultimo samurai', 'Écume des jours', 'Incredibili', 'Matrix', 'Beautiful Mind']
+  );
+  // un titolo fatto solo dall'articolo resta com'è, come le parole che iniziano per articolo
+  assert.deepEqual(['Il', 'Lola corre', 'Uno bianca'].map(removeArticles), ['Il', 'Lola corre', 'bianca']);
+});
+
+test('compareText ordina con le regole della lingua', () => {
+  const sorted = ['Zorro', 'ape', 'Bambi', 'àncora', 'Écrit'].sort(locale.compareText);
+  assert.deepEqual(sorted, ['àncora', 'ape', 'Bambi', 'Écrit', 'Zorro']);
+  assert.equal(locale.compareText('Città', 'citta', { sensitivity: 'base' }), 0);
+});
+
+test('ogni lingua ha i suoi articoli e il suo nome delle collezioni', async () => {
+  const de = (await loadLocale('de-DE')).getLocale();
+  assert.equal(de.code, 'de');
+  assert.equal(de.elision, false);
+  assert.equal('Der Untergang'.replace(de.leadingArticleRegex, ''), 'Untergang');
+  assert.equal('Die Hard'.replace(de.leadingArticleRegex, ''), 'Hard');
+  assert.equal('Il Postino'.replace(de.leadingArticleRegex, ''), 'Il Postino');
+  assert.equal('Matrix Sammlung'.replace(de.collectionWordsRegex, de.collectionName), 'Matrix Filmreihe');
+
+  const fr = (await loadLocale('fr')).getLocale();
+  assert.equal(fr.elision, true);
+  assert.equal("L' Auberge espagnole".replace(fr.leadingArticleRegex, ''), 'Auberge espagnole');
+  assert.equal('Les Misérables'.replace(fr.leadingArticleRegex, ''), 'Misérables');
+  assert.equal('Star Wars - la Saga'.replace(fr.collectionWordsRegex, fr.collectionName), 'Star Wars - la Collection');
+});
+
+test('una APP_LOCALE non supportata torna all\'italiano', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const fallback = await loadLocale('pt-BR');
+  assert.equal(fallback.getLocale().code, 'it');
+  assert.match(logged.mock.calls[0].arguments[0], /APP_LOCALE non supportata: pt-BR/);
+  assert.deepEqual(fallback.getLocaleSettings().supported, ['it', 'en', 'fr', 'de', 'es']);
+});
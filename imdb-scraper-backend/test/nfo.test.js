@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { buildMovieNfo, buildCollectionNfoZip, movieFolderName } from '../nfo.js';
+
+const MOVIE = {
+  tmdbId: '603',
+  imdbId: 'tt0133093',
+  titolo: 'Matrix',
+  titoloOriginale: 'The Matrix',
+  titoloOrdinamento: 'Matrix',
+  dataUscita: '1999-03-31',
+  tagline: '',
+  riassunto: 'Neo & Trinity contro le <macchine>',
+  generi: ['Azione', 'Fantascienza'],
+  registi: 'Lana Wachowski',
+  attori: [
+    { name: 'Keanu Reeves', character: 'Neo', thumb: 'https://image.tmdb.org/t/p/w185/neo.jpg' },
+    { name: '', character: 'senza nome' },
+    { name: 'Carrie-Anne Moss', character: 'Trinity', order: 5 },
+  ],
+};
+
+// ====== TEST ======
+test('buildMovieNfo scrive i campi presenti con escape XML', () => {
+  const nfo = buildMovieNfo({ ...MOVIE, collection: { titolo: 'Matrix - La collezione', riassunto: '' } });
+  const lines = nfo.split('\n');
+
+  assert.equal(lines[0], '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>');
+  assert.ok(lines.includes('  <plot>Neo &amp; Trinity contro le &lt;macchine&gt;</plot>'));
+  assert.ok(lines.includes('  <year>1999</year>'));
+  assert.deepEqual(lines.filter((l) => l.includes('<genre>')), [
+    '  <genre>Azione</genre>',
+    '  <genre>Fantascienza</genre>',
+  ]);
+  assert.ok(lines.includes('  <director>Lana Wachowski</director>'));
+  assert.equal(nfo.includes('<tagline>'), false);
+
+  // <set> senza overview vuota
+  assert.match(nfo, /<set>\n {4}<name>Matrix - La collezione<\/name>\n {2}<\/set>/);
+  // attori senza nome saltati, ordine esplicito rispettato
+  assert.deepEqual(lines.filter((l) => l.includes('<order>')), ['    <order>0</order>', '    <order>5</order>']);
+
+  assert.ok(lines.includes('  <uniqueid type="tmdb" default="true">603</uniqueid>'));
+  assert.ok(lines.includes('  <uniqueid type="imdb">tt0133093</uniqueid>'));
+  assert.equal(buildMovieNfo({ titolo: 'X', imdbId: 'tt1' }).includes('<uniqueid type="imdb" default="true">'), true);
+});
+
+test('movieFolderName toglie i caratteri non ammessi', () => {
+  assert.equal(movieFolderName(MOVIE), 'Matrix (1999)');
+  assert.equal(movieFolderName({ titolo: 'Mission: Impossible?', dataUscita: '' }), 'Mission Impossible');
+  assert.equal(movieFolderName({ tmdbId: '1' }), 'tmdb-1');
+});
+
+test('buildCollectionNfoZip crea una cartella per film senza sovrascritture', async () => {
+  const buffer = await buildCollectionNfoZip({
+    collection: { titolo: 'Matrix - La collezione', riassunto: 'La saga di Neo.' },
+    movies: [MOVIE, { ...MOVIE, tmdbId: '604' }],
+  });
+  const zip = await JSZip.loadAsync(buffer);
+  const files = Object.keys(zip.files).filter((name) => !zip.files[name].dir).sort();
+  assert.deepEqual(files, ['Matrix (1999) [tmdb-604]/movie.nfo', 'Matrix (1999)/movie.nfo']);
+
+  const nfo = await zip.file('Matrix (1999)/movie.nfo').async('string');
+  assert.match(nfo, /<overview>La saga di Neo.<\/overview>/);
+});
@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createPlexClient } from '../plex.js';
+
+// ====== PLEX FINTO ======
+// Risponde a GET /library/metadata/:ratingKey con un film della libreria 1 (43: senza
+// libreria, elenco vuoto per gli altri) e registra le PUT ricevute su /library/sections/:id/all
+const MOVIE = {
+  ratingKey: '42',
+  type: 'movie',
+  title: 'The Matrix',
+  librarySectionID: 1,
+  Genre: [{ tag: 'Azione' }, { tag: 'Sci-Fi, Fantasy' }, { tag: 'Thriller' }],
+};
+
+const MOVIE_WITHOUT_SECTION = { ratingKey: '43', type: 'movie', title: 'Senza libreria' };
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, url, token: req.headers['x-plex-token'] });
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'GET' && url.pathname.startsWith('/library/metadata/')) {
+      const found = [MOVIE, MOVIE_WITHOUT_SECTION].find(
+        (m) => url.pathname === `/library/metadata/${m.ratingKey}`
+      );
+      return res.end(JSON.stringify({ MediaContainer: { Metadata: found ? [found] : [] } }));
+    }
+    if (req.method === 'PUT' && url.pathname === '/library/sections/1/all') {
+      return res.end('{}');
+    }
+    res.statusCode = 404;
+    res.end('{}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// ====== TEST ======
+test('updateMovieMetadata invia a Plex i campi bloccati e i tag da rimuovere', async () => {
+  requests.length = 0;
+  const plex = createPlexClient({ baseUrl, token: 'segreto' });
+
+  const result = await plex.updateMovieMetadata('42', {
+    titolo: 'Matrix',
+    titoloOrdinamento: 'Matrix',
+    riassunto: '  Trama  ',
+    tagline: '',
+    generi: ['Azione', 'Fantascienza'],
+  });
+
+  assert.deepEqual(result, {
+    ratingKey: '42',
+    sectionId: '1',
+    previousTitle: 'The Matrix',
+    updated: ['title', 'titleSort', 'summary', 'genre'],
+  });
+
+  const put = requests.find((r) => r.method === 'PUT');
+  assert.ok(put, 'nessuna PUT ricevuta dal Plex finto');
+  assert.equal(put.token, 'segreto');
+
+  const query = put.url.searchParams;
+  assert.equal(query.get('type'), '1');
+  assert.equal(query.get('id'), '42');
+  assert.equal(query.get('title.value'), 'Matrix');
+  assert.equal(query.get('title.locked'), '1');
+  assert.equal(query.get('summary.value'), 'Trama');
+  assert.equal(query.has('tagline.value'), false);
+  assert.equal(query.get('genre[0].tag.tag'), 'Azione');
+  assert.equal(query.get('genre[1].tag.tag'), 'Fantascienza');
+  assert.equal(query.get('genre.locked'), '1');
+
+  // Plex divide sulle virgole e poi decodifica ogni tag
+  const removed = query.get('genre[].tag.tag-').split(',').map(decodeURIComponent);
+  assert.deepEqual(removed, ['Sci-Fi, Fantasy', 'Thriller']);
+});
+
+test('updateMovieMetadata rifiuta un payload senza campi da aggiornare', async () => {
+  requests.length = 0;
+  const plex = createPlexClient({ baseUrl, token: 'segreto' });
+
+  await assert.rejects(plex.updateMovieMetadata('42', { titolo: '  ' }), { status: 400 });
+  assert.equal(requests.some((r) => r.method === 'PUT'), false);
+});
+
+test('updateMovieMetadata non invia la modifica se manca la libreria', async () => {
+  requests.length = 0;
+  const plex = createPlexClient({ baseUrl, token: 'segreto' });
+
+  await assert.rejects(plex.updateMovieMetadata('43', { titolo: 'Titolo' }), {
+    status: 502,
+    message: /libreria/,
+  });
+  assert.equal(requests.some((r) => r.method === 'PUT'), false);
+});
+
+test('getItem segnala un elemento inesistente con status 404', async () => {
+  const plex = createPlexClient({ baseUrl, token: 'segreto' });
+  await assert.rejects(plex.getItem('999'), { status: 404 });
+});
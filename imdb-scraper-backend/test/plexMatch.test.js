@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import axios from 'axios';
+
+// ====== TMDB FINTO ======
+// tmdb.js usa axios.get: le risposte arrivano da qui, la cache va in una cartella temporanea
+const SEARCH_RESULTS = {
+  'Matrix': [{ id: 603, title: 'Matrix', original_title: 'The Matrix', release_date: '1999-03-31' }],
+  'Il Re Leone': [
+    { id: 420818, title: 'Il re leone', original_title: 'The Lion King', release_date: '2019-07-12' },
+    { id: 8587, title: 'Il re leone', original_title: 'The Lion King', release_date: '1994-06-23' },
+  ],
+};
+
+let dataDir;
+let matchPlexItems;
+const originalGet = axios.get;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.TMDB_BEARER_TOKEN = 'test';
+
+  axios.get = async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    const tmdbPath = pathname.replace('/3/', '');
+    if (tmdbPath === 'find/tt0133093') {
+      return { data: { movie_results: SEARCH_RESULTS.Matrix } };
+    }
+    if (tmdbPath === 'search/movie') {
+      return { data: { results: SEARCH_RESULTS[searchParams.get('query')] || [] } };
+    }
+    if (tmdbPath === 'movie/8587/external_ids') return { data: { imdb_id: 'tt0110357' } };
+    throw Object.assign(new Error(`404 ${tmdbPath}`), { response: { status: 404 } });
+  };
+
+  // import dopo le variabili d'ambiente, lette al caricamento dei moduli
+  ({ matchPlexItems } = await import('../plexMatch.js'));
+});
+
+after(async () => {
+  axios.get = originalGet;
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// ====== TEST ======
+test('matchPlexItems usa guid, id IMDb e ricerca per titolo e anno', async () => {
+  const rows = await matchPlexItems([
+    { ratingKey: '1', title: 'Qualsiasi', tmdbId: '550', imdbId: null },
+    { ratingKey: '2', title: 'The Matrix', imdbId: 'tt0133093' },
+    { ratingKey: '3', title: 'Il Re Leone', year: 1994 },
+    { ratingKey: '4', title: 'Il Re Leone' },
+    { ratingKey: '5', title: 'Titolo inesistente', year: 2001 },
+  ]);
+
+  assert.deepEqual(
+    rows.map((r) => [r.item.ratingKey, r.status, r.match?.via, r.match?.tmdbId ?? null]),
+    [
+      ['1', 'matched', 'guid', '550'],
+      ['2', 'matched', 'imdb', '603'],
+      ['3', 'matched', 'search', '8587'],
+      ['4', 'ambiguous', 'search', null],
+      ['5', 'unmatched', 'search', null],
+    ]
+  );
+  assert.equal(rows[2].match.imdbId, 'tt0110357');
+  assert.equal(rows[3].match.candidates.length, 2);
+});
@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let dataDir;
+let titleStatus;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  // import dopo DATA_DIR, letta al caricamento dei moduli
+  titleStatus = await import('../titleStatus.js');
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+// ====== TEST ======
+test('setTitleStatuses rifiuta le voci non valide elencandole', async () => {
+  await assert.rejects(
+    titleStatus.setTitleStatuses([{ id: 'movie:603' }, null, 'movie:604', { id: 'film:1' }, {}]),
+    (err) => {
+      assert.equal(err.status, 400);
+      assert.match(err.message, /items\[1\]: atteso un oggetto/);
+      assert.match(err.message, /items\[2\]: atteso un oggetto/);
+      assert.match(err.message, /items\[3\]: id non valido "film:1"/);
+      assert.match(err.message, /items\[4\]: id non valido ""/);
+      assert.doesNotMatch(err.message, /items\[0\]/);
+      return true;
+    }
+  );
+  // nessuna voce salvata se il lotto non è valido
+  assert.deepEqual(titleStatus.listTitleStatuses(), []);
+});
+
+test('setTitleStatuses con onlyNew lascia invariati i titoli già presenti', async () => {
+  await titleStatus.setTitleStatus('movie:603', { status: 'done', title: 'Matrix' });
+  const result = await titleStatus.setTitleStatuses(
+    [{ id: 'movie:603', title: 'Matrix' }, { id: 'movie:604', title: 'Matrix Reloaded', collectionId: 2344 }],
+    { status: 'todo', onlyNew: true }
+  );
+
+  assert.equal(result.updated, 1);
+  assert.equal(titleStatus.getTitleStatus('movie:603').status, 'done');
+  assert.equal(titleStatus.getTitleStatus('movie:604').status, 'todo');
+  assert.equal(titleStatus.getTitleStatus('movie:604').collectionId, '2344');
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import axios from 'axios';
+
+// ====== PROVIDER FINTI ======
+// Google risponde con axios.get, DeepL con axios.post: ogni chiamata viene registrata
+const calls = [];
+let failGoogle = false;
+let dataDir;
+let google;
+let deepl;
+const originalGet = axios.get;
+const originalPost = axios.post;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.APP_LOCALE = 'it';
+
+  axios.get = async (url, { params }) => {
+    calls.push({ provider: 'google', text: params.q, target: params.tl });
+    if (failGoogle) throw new Error('429 Too Many Requests');
+    const text = params.q.split('\n').map((line) => `[it] ${line}`).join('\n');
+    return { data: [[[text, params.q]], null, 'en'] };
+  };
+  axios.post = async (url, body, { headers }) => {
+    calls.push({ provider: 'deepl', url, text: body.text[0], target: body.target_lang, auth: headers.Authorization });
+    return { data: { translations: [{ text: `[IT] ${body.text[0]}`, detected_source_language: 'EN' }] } };
+  };
+
+  // il provider viene letto al caricamento del modulo: una copia per provider
+  process.env.TRANSLATE_PROVIDER = 'google';
+  google = await import('../translate.js?google');
+  process.env.TRANSLATE_PROVIDER = 'deepl';
+  process.env.DEEPL_API_KEY = 'chiave:fx';
+  deepl = await import('../translate.js?deepl');
+});
+
+after(async () => {
+  axios.get = originalGet;
+  axios.post = originalPost;
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const PLOT_EN = 'When a beautiful stranger leads computer hacker Neo to a forbidding underworld, he discovers the truth.';
+const PLOT_IT = 'Il programmatore Neo scopre che la realtà è una simulazione e si unisce alla resistenza contro le macchine.';
+
+// ====== TEST ======
+test('guessLanguage riconosce le lingue più comuni', () => {
+  assert.equal(google.guessLanguage(PLOT_EN), 'en');
+  assert.equal(google.guessLanguage(PLOT_IT), 'it');
+  assert.equal(google.guessLanguage('Les enfants des voisins sont dans la maison avec leur chien et elle est sur le toit.'), 'fr');
+  assert.equal(google.guessLanguage('Matrix'), null);
+});
+
+test('translateText non invia al provider i testi già in italiano', async () => {
+  calls.length = 0;
+  const result = await google.translateText(PLOT_IT);
+  assert.deepEqual(
+    [result.text, result.translated, result.sourceLang, result.provider],
+    [PLOT_IT, false, 'it', null]
+  );
+  // dichiarato italiano dalla fonte e lingua non riconoscibile: resta com'è
+  assert.equal((await google.translateText('Matrix Reloaded', { hint: 'it' })).provider, null);
+  assert.equal(calls.length, 0);
+});
+
+test('translateText traduce con Google e riusa la cache', async () => {
+  calls.length = 0;
+  const first = await google.translateText(PLOT_EN);
+  assert.deepEqual(
+    [first.text, first.translated, first.sourceLang, first.provider, first.cached],
+    [`[it] ${PLOT_EN}`, true, 'en', 'google', false]
+  );
+  const second = await google.translateText(PLOT_EN);
+  assert.equal(second.cached, true);
+  assert.equal(second.text, first.text);
+  assert.deepEqual(calls, [{ provider: 'google', text: PLOT_EN, target: 'it' }]);
+});
+
+test('se il provider fallisce resta il testo originale con il motivo', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  failGoogle = true;
+  const text = `${PLOT_EN} The end.`;
+  const result = await google.translateText(text, { hint: 'en' });
+  failGoogle = false;
+
+  assert.deepEqual(
+    [result.text, result.translated, result.sourceLang, result.error],
+    [text, false, 'en', '429 Too Many Requests']
+  );
+  assert.equal(await google.translateToLocale(''), '');
+});
+
+test('translateLines traduce più righe con una sola richiesta', async () => {
+  calls.length = 0;
+  assert.deepEqual(await google.translateLines(['The One', 'Himself']), ['[it] The One', '[it] Himself']);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(await google.translateLines(['', ' ']), ['', ' ']);
+});
+
+test('DeepL usa la chiave, l\'host gratuito e la lingua di destinazione', async () => {
+  calls.length = 0;
+  assert.deepEqual(deepl.getTranslationSettings(), { provider: 'deepl', label: 'DeepL', target: 'it' });
+
+  const result = await deepl.translateText(PLOT_EN);
+  assert.deepEqual([result.text, result.sourceLang, result.provider], [`[IT] ${PLOT_EN}`, 'en', 'deepl']);
+  assert.deepEqual(calls, [
+    {
+      provider: 'deepl',
+      url: 'https://api-free.deepl.com/v2/translate',
+      text: PLOT_EN,
+      target: 'IT',
+      auth: 'DeepL-Auth-Key chiave:fx',
+    },
+  ]);
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let dataDir;
+let unmappedGenres;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmdbtoplex-'));
+  process.env.DATA_DIR = dataDir;
+  // import dopo DATA_DIR, letta al caricamento dei moduli
+  unmappedGenres = await import('../unmappedGenres.js');
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+// ====== TEST ======
+test('validateUnmappedInput segnala token e fonti non validi', () => {
+  const { validateUnmappedInput } = unmappedGenres;
+  assert.deepEqual(validateUnmappedInput({ tokens: ['Period Piece'], source: 'ai' }), []);
+  assert.deepEqual(validateUnmappedInput({ tokens: 'Period Piece', source: 'ai' }), [
+    'tokens deve essere un array',
+  ]);
+  assert.deepEqual(validateUnmappedInput({ tokens: ['ok', '__proto__', 3, ' '], source: 'constructor' }), [
+    'tokens[1]: token riservato "__proto__"',
+    'tokens[2]: deve essere una stringa non vuota',
+    'tokens[3]: deve essere una stringa non vuota',
+    'source non valida',
+  ]);
+});
+
+test('recordUnmappedGenres tratta i nomi riservati come semplici chiavi', async () => {
+  const context = { source: '__proto__', kind: 'movie', id: 603, title: 'Matrix' };
+  unmappedGenres.recordUnmappedGenres(['__proto__', 'Constructor', 'Genere Inventato'], context);
+  unmappedGenres.recordUnmappedGenres(['Genere Inventato'], context);
+
+  const items = unmappedGenres.listUnmappedGenres();
+  assert.deepEqual(
+    items.map((item) => [item.token, item.count, item.sources.__proto__]),
+    [
+      ['__proto__', 1, 1],
+      ['Constructor', 1, 1],
+      ['Genere Inventato', 1, 1],
+    ]
+  );
+
+  await unmappedGenres.flushUnmappedGenres();
+  const saved = JSON.parse(await fs.readFile(path.join(dataDir, 'unmappedGenres.json'), 'utf8'));
+  assert.deepEqual(Object.keys(saved).sort(), ['__proto__', 'constructor', 'genere inventato']);
+
+  assert.equal(unmappedGenres.dismissUnmappedGenre('__proto__'), true);
+  assert.equal(unmappedGenres.dismissUnmappedGenre('toString'), false);
+});
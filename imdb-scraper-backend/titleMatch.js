@@ -0,0 +1,45 @@
+// ====== CONFRONTO TITOLI ======
+// Normalizzazione e somiglianza dei titoli condivise dagli abbinamenti con TMDB
+// (nomi dei file, libreria Plex), così lo stesso titolo ha sempre lo stesso punteggio.
+
+// Minuscole, senza accenti e punteggiatura ("&" diventa "and")
+export function normalizeTitle(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+}
+
+// Somiglianza 0..1 tra due titoli: identici = 1, uno inizia con l'altro
+// (es. "Il Signore degli Anelli - La compagnia dell'anello") = 0.85, altrimenti Dice sui bigrammi
+export function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  const counts = new Map();
+  leftGrams.forEach((g) => counts.set(g, (counts.get(g) || 0) + 1));
+  let common = 0;
+  for (const g of rightGrams) {
+    if (counts.get(g) > 0) {
+      common++;
+      counts.set(g, counts.get(g) - 1);
+    }
+  }
+  const dice = leftGrams.length + rightGrams.length > 0 ? (2 * common) / (leftGrams.length + rightGrams.length) : 0;
+  const prefix = right.startsWith(`${left} `) || left.startsWith(`${right} `) ? 0.85 : 0;
+  return Math.max(dice, prefix);
+}
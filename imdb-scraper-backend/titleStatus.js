@@ -0,0 +1,178 @@
+import { createJsonStore } from './jsonStore.js';
+import { normalizeKey } from './genreMap.js';
+
+// ====== STATO DI LAVORAZIONE DEI TITOLI ======
+// Stato per titolo TMDB (id "<kind>:<tmdbId>", come per le sessioni), condiviso da
+// tutto il team: chi se ne occupa, quando è cambiato e, a lavoro finito, i metadati
+// applicati su Plex. Un titolo senza voce è "non iniziato".
+// Salvato in DATA_DIR/titleStatus.json: { [id]: { id, kind, tmdbId, title, status, ... } }
+export const TITLE_STATUSES = {
+  todo: 'Da fare',
+  'in-progress': 'In corso',
+  done: 'Completato',
+  review: 'Da rivedere',
+};
+
+const TITLE_ID_RE = /^(collection|movie|tv):(\d+)$/;
+const MAX_NOTE_LENGTH = 500;
+
+const statusStore = createJsonStore('titleStatus', { defaultValue: () => ({}) });
+
+let statuses;
+try {
+  statuses = await statusStore.read();
+} catch (err) {
+  console.error('Stato dei titoli non valido, riparto da zero:', err.message);
+  statuses = {};
+}
+
+function statusError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseTitleId(id) {
+  const match = TITLE_ID_RE.exec(String(id || ''));
+  if (!match) throw statusError(`Id titolo non valido: ${id} (atteso collection|movie|tv:<tmdbId>)`);
+  return { kind: match[1], tmdbId: match[2] };
+}
+
+function cleanText(value, maxLength = 200) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+// Nuova voce a partire da quella precedente; i campi non indicati restano invariati
+function buildEntry(id, previous, { status, title, assignee, note, collectionId, metadata }, now) {
+  const { kind, tmdbId } = parseTitleId(id);
+  const nextStatus = status ?? previous?.status ?? 'todo';
+  if (!TITLE_STATUSES[nextStatus]) {
+    throw statusError(`Stato non valido: ${status} (ammessi: ${Object.keys(TITLE_STATUSES).join(', ')})`);
+  }
+  if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+    throw statusError('I metadati applicati devono essere un oggetto');
+  }
+
+  const entry = {
+    id,
+    kind,
+    tmdbId,
+    title: cleanText(title) || previous?.title || id,
+    status: nextStatus,
+    assignee: assignee !== undefined ? cleanText(assignee, 80) : previous?.assignee || '',
+    note: note !== undefined ? cleanText(note, MAX_NOTE_LENGTH) : previous?.note || '',
+    collectionId:
+      collectionId !== undefined ? (collectionId ? String(collectionId) : null) : previous?.collectionId ?? null,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+    statusChangedAt: previous?.status === nextStatus ? previous.statusChangedAt : now,
+    metadata: previous?.metadata ?? null,
+    appliedAt: previous?.appliedAt ?? null,
+  };
+  if (metadata !== undefined) {
+    entry.metadata = metadata;
+    entry.appliedAt = now;
+  }
+  return entry;
+}
+
+// aggiorna subito la copia in memoria: più persone possono salvare insieme
+async function persist(next) {
+  statuses = next;
+  await statusStore.write(next);
+}
+
+// Voce senza i metadati applicati (per elenchi e badge)
+function summarize({ metadata, ...entry }) {
+  return { ...entry, hasMetadata: Boolean(metadata) };
+}
+
+/**
+ * Voci filtrate (senza metadati), le modificate più di recente prima.
+ * ids: elenco di id (per i badge); status: uno o più stati separati da virgola;
+ * assignee: nome esatto ("-" = non assegnati); q: testo nel titolo.
+ */
+export function listTitleStatuses({ ids, status, kind, assignee, collectionId, q, limit = 500 } = {}) {
+  const idSet = ids ? new Set(String(ids).split(',').filter(Boolean)) : null;
+  const statusSet = status ? new Set(String(status).split(',').filter(Boolean)) : null;
+  const needle = normalizeKey(q);
+  const assigneeKey = normalizeKey(assignee);
+
+  return Object.values(statuses)
+    .filter((e) => !idSet || idSet.has(e.id))
+    .filter((e) => !statusSet || statusSet.has(e.status))
+    .filter((e) => !kind || e.kind === kind)
+    .filter((e) => !collectionId || e.collectionId === String(collectionId))
+    .filter((e) => !assigneeKey || (assigneeKey === '-' ? !e.assignee : normalizeKey(e.assignee) === assigneeKey))
+    .filter((e) => !needle || normalizeKey(e.title).includes(needle))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit)
+    .map(summarize);
+}
+
+// Voce completa, con i metadati applicati
+export function getTitleStatus(id) {
+  parseTitleId(id);
+  if (!statuses[id]) throw statusError(`Nessuno stato per ${id}`, 404);
+  return statuses[id];
+}
+
+// Persone a cui sono assegnati dei titoli, per il filtro della lista
+export function listAssignees() {
+  return [...new Set(Object.values(statuses).map((e) => e.assignee).filter(Boolean))].sort();
+}
+
+/**
+ * Imposta lo stato di un titolo. Body: { status, title, assignee, note, collectionId, metadata }:
+ * metadata (i campi inviati a Plex) registra anche l'ora di applicazione.
+ */
+export async function setTitleStatus(id, changes = {}) {
+  const entry = buildEntry(id, statuses[id], changes, new Date().toISOString());
+  await persist({ ...statuses, [id]: entry });
+  return entry;
+}
+
+/**
+ * Stesso stato per più titoli (es. i film di una collezione da aggiungere alla lista).
+ * items: [{ id, title, collectionId }]; con onlyNew i titoli che hanno già uno stato
+ * restano com'erano.
+ */
+export async function setTitleStatuses(items, { status = 'todo', assignee, onlyNew = false } = {}) {
+  if (!Array.isArray(items) || items.length === 0) throw statusError('Nessun titolo indicato');
+  const invalid = items.flatMap((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return [`items[${index}]: atteso un oggetto { id, title }`];
+    }
+    return TITLE_ID_RE.test(String(item.id ?? '')) ? [] : [`items[${index}]: id non valido "${item.id ?? ''}"`];
+  });
+  if (invalid.length > 0) {
+    throw statusError(`Titoli non validi (id atteso collection|movie|tv:<tmdbId>): ${invalid.join('; ')}`);
+  }
+
+  const now = new Date().toISOString();
+  const next = { ...statuses };
+  const updated = [];
+  for (const item of items) {
+    const id = String(item.id);
+    if (onlyNew && next[id]) continue;
+    next[id] = buildEntry(
+      id,
+      next[id],
+      { status, assignee, title: item.title, collectionId: item.collectionId },
+      now
+    );
+    updated.push(next[id]);
+  }
+  await persist(next);
+  return { updated: updated.length, items: updated.map(summarize) };
+}
+
+// Il titolo torna "non iniziato"
+export async function clearTitleStatus(id) {
+  parseTitleId(id);
+  if (!statuses[id]) return false;
+  const next = { ...statuses };
+  delete next[id];
+  await persist(next);
+  return true;
+}
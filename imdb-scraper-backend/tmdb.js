@@ -0,0 +1,74 @@
+import axios from 'axios';
+import { createCache } from './cache.js';
+
+// ====== CONFIG ======
+const TMDB_API_BASE = 'https://api.themoviedb.org/3';
+const TMDB_BEARER_TOKEN = process.env.TMDB_BEARER_TOKEN || '';
+// Solo se esplicitamente abilitato il proxy usa il token inviato dal client
+const ALLOW_CLIENT_TMDB_TOKEN = process.env.ALLOW_CLIENT_TMDB_TOKEN === 'true';
+
+// TTL cache: le ricerche cambiano più spesso dei dettagli di un titolo
+const TMDB_CACHE_TTL_MS = (parseInt(process.env.TMDB_CACHE_TTL_HOURS, 10) || 12) * 60 * 60 * 1000;
+const TMDB_SEARCH_CACHE_TTL_MS =
+  (parseInt(process.env.TMDB_SEARCH_CACHE_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+export const tmdbCache = createCache('tmdb');
+
+export function isTmdbConfigured() {
+  return !!TMDB_BEARER_TOKEN || ALLOW_CLIENT_TMDB_TOKEN;
+}
+
+// Sceglie l'header Authorization da usare verso TMDB
+function resolveAuthorization(clientAuthorization) {
+  if (ALLOW_CLIENT_TMDB_TOKEN && clientAuthorization) {
+    return clientAuthorization;
+  }
+  return TMDB_BEARER_TOKEN ? `Bearer ${TMDB_BEARER_TOKEN}` : '';
+}
+
+/**
+ * GET verso TMDB con le credenziali del backend.
+ * path senza slash iniziale (es. 'movie/603'), query come oggetto.
+ */
+export async function tmdbGet(path, query = {}, { clientAuthorization = '' } = {}) {
+  const authorization = resolveAuthorization(clientAuthorization);
+  if (!authorization) {
+    const err = new Error('Token TMDB non configurato sul backend (TMDB_BEARER_TOKEN)');
+    err.status = 503;
+    throw err;
+  }
+
+  const queryString = new URLSearchParams(query).toString();
+  const url = `${TMDB_API_BASE}/${path}${queryString ? '?' + queryString : ''}`;
+
+  const response = await axios.get(url, {
+    headers: {
+      Authorization: authorization,
+      Accept: 'application/json',
+    },
+  });
+  return response.data;
+}
+
+// Tag cache del titolo a cui appartiene il path (es. movie/603/credits -> tmdb:movie:603)
+export function tmdbTitleTag(path) {
+  const match = path.match(/^(movie|collection|tv)\/(\d+)/);
+  return match ? `tmdb:${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Come tmdbGet ma passando dalla cache.
+ * Ritorna { value, hit, source, storedAt } (vedi cache.wrap).
+ */
+export function tmdbGetCached(path, query = {}, options = {}) {
+  const sortedQuery = new URLSearchParams(
+    Object.entries(query).sort(([a], [b]) => a.localeCompare(b))
+  ).toString();
+  const key = `${path}?${sortedQuery}`;
+  const ttlMs = path.startsWith('search/') ? TMDB_SEARCH_CACHE_TTL_MS : TMDB_CACHE_TTL_MS;
+  const tag = tmdbTitleTag(path);
+
+  return tmdbCache.wrap(key, { ttlMs, tags: tag ? [tag] : [] }, () =>
+    tmdbGet(path, query, options)
+  );
+}
@@ -0,0 +1,206 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { createCache } from './cache.js';
+import { generateText } from './ai.js';
+import { getLocale } from './locale.js';
+
+// ====== CONFIG ======
+// Provider: google (endpoint pubblico non ufficiale, default), libretranslate,
+// deepl (anche server compatibili con la sua API), ai (provider di ai.js) oppure none
+const TRANSLATE_PROVIDER = (process.env.TRANSLATE_PROVIDER || 'google').toLowerCase();
+const LIBRETRANSLATE_URL = (process.env.LIBRETRANSLATE_URL || 'http://localhost:5000').replace(/\/+$/, '');
+const LIBRETRANSLATE_API_KEY = process.env.LIBRETRANSLATE_API_KEY || '';
+const DEEPL_API_KEY = process.env.DEEPL_API_KEY || '';
+// le chiavi gratuite DeepL finiscono con ":fx" e usano un altro host
+const DEEPL_API_URL = (
+  process.env.DEEPL_API_URL ||
+  (DEEPL_API_KEY.endsWith(':fx') ? 'https://api-free.deepl.com/v2' : 'https://api.deepl.com/v2')
+).replace(/\/+$/, '');
+const TRANSLATE_TIMEOUT_MS = parseInt(process.env.TRANSLATE_TIMEOUT_MS, 10) || 10000;
+const TRANSLATION_CACHE_TTL_MS =
+  (parseInt(process.env.TRANSLATION_CACHE_TTL_DAYS, 10) || 90) * 24 * 60 * 60 * 1000;
+
+export const translationCache = createCache('translations');
+
+// ====== PROVIDER ======
+// Ogni provider: translate(text) -> { text, sourceLang } (codice ISO 639-1 minuscolo o null).
+// La lingua di destinazione è quella di APP_LOCALE (locale.js)
+const PROVIDERS = {
+  google: {
+    label: 'Google Translate',
+    async translate(text) {
+      const response = await axios.get('https://translate.googleapis.com/translate_a/single', {
+        params: { client: 'gtx', sl: 'auto', tl: getLocale().code, dt: 't', q: text },
+        timeout: TRANSLATE_TIMEOUT_MS,
+      });
+      // il risultato è in data[0][x][0] per ogni segmento, la lingua rilevata in data[2]
+      const data = response.data;
+      if (!data || !Array.isArray(data[0])) throw new Error('Risposta Google Translate inattesa');
+      return {
+        text: data[0].map((item) => item[0]).join(''),
+        sourceLang: typeof data[2] === 'string' ? data[2] : null,
+      };
+    },
+  },
+
+  libretranslate: {
+    label: 'LibreTranslate',
+    async translate(text) {
+      const response = await axios.post(
+        `${LIBRETRANSLATE_URL}/translate`,
+        {
+          q: text,
+          source: 'auto',
+          target: getLocale().code,
+          format: 'text',
+          ...(LIBRETRANSLATE_API_KEY ? { api_key: LIBRETRANSLATE_API_KEY } : {}),
+        },
+        { timeout: TRANSLATE_TIMEOUT_MS }
+      );
+      if (typeof response.data?.translatedText !== 'string') {
+        throw new Error('Risposta LibreTranslate inattesa');
+      }
+      return {
+        text: response.data.translatedText,
+        sourceLang: response.data.detectedLanguage?.language || null,
+      };
+    },
+  },
+
+  deepl: {
+    label: 'DeepL',
+    async translate(text) {
+      if (!DEEPL_API_KEY) throw new Error('DEEPL_API_KEY non configurata');
+      const response = await axios.post(
+        `${DEEPL_API_URL}/translate`,
+        { text: [text], target_lang: getLocale().deeplTarget },
+        {
+          headers: { Authorization: `DeepL-Auth-Key ${DEEPL_API_KEY}` },
+          timeout: TRANSLATE_TIMEOUT_MS,
+        }
+      );
+      const translation = response.data?.translations?.[0];
+      if (typeof translation?.text !== 'string') throw new Error('Risposta DeepL inattesa');
+      return {
+        text: translation.text,
+        sourceLang: translation.detected_source_language?.toLowerCase() || null,
+      };
+    },
+  },
+
+  ai: {
+    label: 'AI',
+    async translate(text) {
+      const { languageName } = getLocale();
+      const prompt = `Traduci in ${languageName} il testo seguente (trama o tagline di un film o di una serie TV).
+Rispondi SOLO con un oggetto JSON: { "lingua": "<codice ISO 639-1 della lingua originale>", "traduzione": "<testo tradotto>" }.
+Mantieni a capo e nomi propri; se il testo è già in ${languageName} restituiscilo invariato.
+
+TESTO:
+${text}`;
+      const raw = await generateText(prompt, { json: true });
+      const start = raw.indexOf('{');
+      const end = raw.lastIndexOf('}');
+      const data = start !== -1 && end > start ? JSON.parse(raw.slice(start, end + 1)) : null;
+      if (typeof data?.traduzione !== 'string') throw new Error('Risposta AI di traduzione inattesa');
+      return {
+        text: data.traduzione,
+        sourceLang: typeof data.lingua === 'string' ? data.lingua.toLowerCase() : null,
+      };
+    },
+  },
+
+  none: {
+    label: 'Nessuna traduzione',
+    translate: null,
+  },
+};
+
+export function getTranslationSettings() {
+  const provider = PROVIDERS[TRANSLATE_PROVIDER] ? TRANSLATE_PROVIDER : 'google';
+  return { provider, label: PROVIDERS[provider].label, target: getLocale().code };
+}
+
+// ====== LINGUA DEL TESTO ======
+// Stima veloce basata sulle parole più frequenti: basta a evitare di mandare
+// al provider testi già nella lingua di destinazione (es. la trama it-IT di TMDB).
+// Per francese, tedesco e spagnolo solo parole che non esistono nelle altre liste.
+const LANGUAGE_WORDS = {
+  it: 'il lo la gli le di del della dei delle degli che è e un una uno per con non sono nel nella alla al ai si suo sua questo questa come ma anche più quando dopo loro tra fra ha hanno essere viene deve suoi',
+  en: 'the and of to is his her an with for that when their who from this on by as after they has have be must its into are was',
+  fr: 'les des du et est une dans sur avec pour qui elle sont ses leur mais ce cette au aux ont être',
+  de: 'der die das und ist ein eine nicht mit von zu den dem sich auf für wird sie er seine ihre nach',
+  es: 'el los las y en es su sus por para como pero que cuando está muy después hasta sobre también porque sin',
+};
+const WORD_SETS = Object.entries(LANGUAGE_WORDS).map(([lang, words]) => [lang, new Set(words.split(' '))]);
+
+// Codice ISO 639-1 della lingua più probabile (it, en, fr, de, es) oppure null
+export function guessLanguage(text) {
+  const words = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = WORD_SETS
+    .map(([lang, set]) => [lang, words.filter((w) => set.has(w)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, count], [, second]] = scores;
+  return count >= 2 && count > second * 2 ? best : null;
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// ====== TRADUZIONE TESTO ======
+/**
+ * Traduce nella lingua di APP_LOCALE. hint: lingua dichiarata dalla fonte (es. 'it'
+ * per i testi it-IT di TMDB): un testo dichiarato nella lingua di destinazione non
+ * viene inviato al provider, a meno che non sembri chiaramente in un'altra lingua.
+ * Ritorna { text, translated, sourceLang, provider, cached, error }: in caso di
+ * errore text è quello originale ed error il motivo.
+ */
+export async function translateText(text, { hint = null } = {}) {
+  const source = typeof text === 'string' ? text : '';
+  const { provider, label, target } = getTranslationSettings();
+  const result = { text: source, translated: false, sourceLang: null, provider, cached: false, error: null };
+  if (!source.trim()) return result;
+
+  const guessed = guessLanguage(source);
+  if (guessed === target || (hint === target && !guessed)) {
+    return { ...result, sourceLang: target, provider: null };
+  }
+  if (!PROVIDERS[provider].translate) return { ...result, sourceLang: hint || guessed };
+
+  try {
+    const { value, hit } = await translationCache.wrap(
+      `${provider}:${target}:${hashText(source)}`,
+      { ttlMs: TRANSLATION_CACHE_TTL_MS },
+      () => PROVIDERS[provider].translate(source)
+    );
+    const sourceLang = value.sourceLang || guessed;
+    if (sourceLang === target) return { ...result, sourceLang, cached: hit };
+    return { ...result, text: value.text || source, translated: true, sourceLang, cached: hit };
+  } catch (error) {
+    console.error(`Errore nella traduzione (${label}):`, error.message);
+    return { ...result, sourceLang: hint || guessed, error: error.message };
+  }
+}
+
+// Solo il testo tradotto (l'originale se la traduzione non riesce)
+export async function translateToLocale(text, options) {
+  if (!text || !text.trim()) return text;
+  return (await translateText(text, options)).text;
+}
+
+// Esito della traduzione senza il testo, per i view model (campo `traduzioni`)
+export function translationInfo({ translated, sourceLang, provider, error }) {
+  return { translated, sourceLang, provider, error };
+}
+
+// Traduce più righe brevi (es. nomi dei personaggi) con una sola richiesta.
+// Se il numero di righe tradotte non torna, restituisce quelle originali.
+export async function translateLines(lines = []) {
+  const nonEmpty = lines.filter((l) => l && l.trim());
+  if (nonEmpty.length === 0) return lines;
+
+  const translated = (await translateToLocale(lines.join('\n'))) || '';
+  const out = translated.split('\n').map((l) => l.trim());
+  return out.length === lines.length ? out : lines;
+}
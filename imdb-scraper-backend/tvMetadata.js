@@ -0,0 +1,218 @@
+import { sanitizeGenres } from './genreMap.js';
+import { translateText, translationInfo } from './translate.js';
+import { tmdbGetCached } from './tmdb.js';
+import { removeArticles, applyGenreRules } from './plexMetadata.js';
+import { mapGenresTracked } from './unmappedGenres.js';
+import { compareText, getLocale } from './locale.js';
+
+// Sotto-risorse TMDB richieste insieme ai dettagli della serie nella lingua configurata
+const APPENDED_RESOURCES = ['content_ratings', 'external_ids'];
+
+// TMDB usa "Episodio N" (o "Episode N") quando manca il titolo tradotto dell'episodio
+const PLACEHOLDER_EPISODE_TITLE = new RegExp(`^(?:episode|${getLocale().episodeLabel})\\s+\\d+$`, 'i');
+
+// Testo nella lingua configurata se presente, altrimenti quello di ripiego tradotto.
+// Ritorna l'esito di translateText ({ text, translated, sourceLang, ... })
+async function localizedText(textIT, textEN) {
+  const { code, fallbackCode } = getLocale();
+  if (textIT && textIT.trim()) return translateText(textIT.trim(), { hint: code });
+  return translateText((textEN || '').trim(), { hint: fallbackCode });
+}
+
+// Dettagli nella lingua di ripiego (es. en-US): facoltativi
+async function fetchFallback(path, options) {
+  const { fallbackLanguage } = getLocale();
+  try {
+    const { value } = await tmdbGetCached(path, { language: fallbackLanguage }, options);
+    return value;
+  } catch (err) {
+    console.error(`Errore dettagli ${path} (${fallbackLanguage}):`, err.message);
+    return {};
+  }
+}
+
+// Classificazione del paese configurato, altrimenti quella USA (come per i film)
+function pickContentRating(contentRatings, adult) {
+  const results = (contentRatings && contentRatings.results) || [];
+  const rating =
+    results.find((r) => r.iso_3166_1 === getLocale().region && r.rating) ||
+    results.find((r) => r.iso_3166_1 === 'US' && r.rating);
+  if (rating) return rating.rating;
+  return adult ? 'R (Adulti)' : 'Non disponibile';
+}
+
+// ====== VIEW MODEL SERIE ======
+export async function buildTvViewModel({ tvIT, tvEN }) {
+  const titolo = tvIT.name || tvEN.name || 'Titolo non disponibile';
+  const cleanedTitle = removeArticles(titolo);
+
+  const paesi = (
+    tvIT.production_countries && tvIT.production_countries.length > 0
+      ? tvIT.production_countries
+      : tvEN.production_countries || []
+  ).map((p) => p.name);
+
+  const dataUscita = tvIT.first_air_date || tvEN.first_air_date || '';
+  const contentRating = pickContentRating(tvIT.content_ratings, tvIT.adult);
+
+  // generi TMDB mappati attraverso imdbGenreMap, poi regole dei generi derivati come per i film
+  const rawGenres = (
+    tvIT.genres && tvIT.genres.length > 0 ? tvIT.genres : tvEN.genres || []
+  )
+    .map((g) => g.name)
+    .filter(Boolean);
+  const generi = mapGenresTracked(rawGenres, { source: 'tmdb', kind: 'tv', id: tvIT.id, title: titolo });
+  const generiSorted = sanitizeGenres([...new Set(generi)]).sort(compareText);
+
+  const enSeasons = new Map((tvEN.seasons || []).map((s) => [s.season_number, s]));
+  const stagioni = await Promise.all(
+    (tvIT.seasons || []).map(async (season) => {
+      const seasonEN = enSeasons.get(season.season_number) || {};
+      return {
+        numero: season.season_number,
+        titolo: season.name || seasonEN.name || `${getLocale().seasonLabel} ${season.season_number}`,
+        riassunto: (await localizedText(season.overview, seasonEN.overview)).text,
+        dataUscita: season.air_date || '',
+        numeroEpisodi: season.episode_count || 0,
+        posterPath: season.poster_path || null,
+      };
+    })
+  );
+
+  const [taglineTradotta, riassuntoTradotto] = await Promise.all([
+    localizedText(tvIT.tagline, tvEN.tagline),
+    localizedText(tvIT.overview, tvEN.overview),
+  ]);
+
+  return applyGenreRules({
+    tmdbId: tvIT.id,
+    titolo,
+    titoloOrdinamento: cleanedTitle || titolo,
+    titoloOriginale: tvIT.original_name || tvEN.original_name || '',
+    dataUscita,
+    contentRating,
+    // In Plex lo studio di una serie è il network che la trasmette
+    studio:
+      (tvIT.networks && tvIT.networks[0]?.name) ||
+      (tvIT.production_companies && tvIT.production_companies[0]?.name) ||
+      '',
+    tagline: taglineTradotta.text,
+    riassunto: riassuntoTradotto.text,
+    traduzioni: {
+      tagline: translationInfo(taglineTradotta),
+      riassunto: translationInfo(riassuntoTradotto),
+    },
+    creatori: (tvIT.created_by || []).map((c) => c.name).filter(Boolean),
+    paesi,
+    generiTmdb: generiSorted,
+    allGenresSorted: generiSorted,
+    stato: tvIT.status || '',
+    numeroStagioni: tvIT.number_of_seasons || stagioni.length,
+    numeroEpisodi: tvIT.number_of_episodes || 0,
+    posterPath: tvIT.poster_path || tvEN.poster_path || null,
+    imdbId: (tvIT.external_ids && tvIT.external_ids.imdb_id) || null,
+    stagioni,
+    genreFacts: {
+      countries: [
+        ...paesi,
+        ...(tvIT.production_countries || []).map((p) => p.iso_3166_1).filter(Boolean),
+        ...(tvIT.origin_country || []),
+      ],
+      language: tvIT.original_language || '',
+      year: dataUscita ? parseInt(dataUscita.slice(0, 4), 10) : null,
+      runtime: (tvIT.episode_run_time || [])[0] || null,
+      certification: contentRating === 'Non disponibile' ? '' : contentRating,
+      collection: '',
+    },
+  });
+}
+
+// ====== VIEW MODEL STAGIONE ======
+export async function buildSeasonViewModel({ seasonIT, seasonEN }) {
+  const enEpisodes = new Map((seasonEN.episodes || []).map((e) => [e.episode_number, e]));
+
+  const episodi = await Promise.all(
+    (seasonIT.episodes || []).map(async (episode) => {
+      const episodeEN = enEpisodes.get(episode.episode_number) || {};
+      const titoloIT =
+        episode.name && !PLACEHOLDER_EPISODE_TITLE.test(episode.name.trim())
+          ? episode.name
+          : '';
+      return {
+        numero: episode.episode_number,
+        titolo:
+          (await localizedText(titoloIT, episodeEN.name)).text ||
+          episode.name ||
+          `${getLocale().episodeLabel} ${episode.episode_number}`,
+        riassunto: (await localizedText(episode.overview, episodeEN.overview)).text,
+        dataUscita: episode.air_date || '',
+        durata: episode.runtime || null,
+      };
+    })
+  );
+
+  const riassuntoTradotto = await localizedText(seasonIT.overview, seasonEN.overview);
+
+  return {
+    numero: seasonIT.season_number,
+    titolo: seasonIT.name || seasonEN.name || `${getLocale().seasonLabel} ${seasonIT.season_number}`,
+    riassunto: riassuntoTradotto.text,
+    traduzioni: { riassunto: translationInfo(riassuntoTradotto) },
+    dataUscita: seasonIT.air_date || '',
+    posterPath: seasonIT.poster_path || null,
+    episodi,
+  };
+}
+
+// ====== CARICAMENTO DA TMDB ======
+/**
+ * View model Plex di una serie TV: campi della serie (titolo, ordinamento,
+ * network come studio, classificazione da content_ratings, generi mappati)
+ * ed elenco delle stagioni con riassunti nella lingua configurata (APP_LOCALE).
+ */
+export async function loadTvMetadata(tvId, options = {}) {
+  const [{ value: tvIT }, tvEN] = await Promise.all([
+    tmdbGetCached(
+      `tv/${tvId}`,
+      { language: getLocale().tmdbLanguage, append_to_response: APPENDED_RESOURCES.join(',') },
+      options
+    ),
+    fetchFallback(`tv/${tvId}`, options),
+  ]);
+
+  return buildTvViewModel({ tvIT, tvEN });
+}
+
+/**
+ * Stagione di una serie con titoli e riassunti degli episodi nella lingua configurata
+ * (fallback sulla lingua di ripiego tradotta quando TMDB non ha il testo).
+ */
+export async function loadSeasonMetadata(tvId, seasonNumber, options = {}) {
+  const path = `tv/${tvId}/season/${seasonNumber}`;
+  const [{ value: seasonIT }, seasonEN] = await Promise.all([
+    tmdbGetCached(path, { language: getLocale().tmdbLanguage }, options),
+    fetchFallback(path, options),
+  ]);
+
+  return {
+    tvId: String(tvId),
+    ...(await buildSeasonViewModel({ seasonIT, seasonEN })),
+  };
+}
+
+// ====== CAMPI DA COPIARE IN PLEX ======
+export function tvFields(vm) {
+  return [
+    { key: 'titolo', label: 'Titolo', value: vm.titolo },
+    { key: 'titoloOrdinamento', label: 'Titolo Ordinamento', value: vm.titoloOrdinamento },
+    { key: 'titoloOriginale', label: 'Titolo Originale', value: vm.titoloOriginale },
+    { key: 'dataUscita', label: 'Data Uscita', value: vm.dataUscita || '' },
+    { key: 'contentRating', label: 'Classificazione', value: vm.contentRating || '' },
+    { key: 'studio', label: 'Studio', value: vm.studio || '' },
+    { key: 'tagline', label: 'Tagline', value: vm.tagline || '' },
+    { key: 'riassunto', label: 'Riassunto', value: vm.riassunto || '' },
+    { key: 'creatori', label: 'Creatori', value: vm.creatori.join(', ') },
+    { key: 'paesi', label: 'Paesi', value: vm.paesi.join(', ') },
+    { key: 'generi', label: 'Generi', value: vm.allGenresSorted.join(', ') },
+  ].filter((field) => field.value);
+}
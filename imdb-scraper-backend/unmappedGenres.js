@@ -0,0 +1,161 @@
+import { createJsonStore } from './jsonStore.js';
+import {
+  isMappedGenre,
+  isReservedKey,
+  mapGenresToInternal,
+  normalizeKey,
+  sanitizeGenres,
+} from './genreMap.js';
+import { compareText } from './locale.js';
+
+// ====== GENERI NON MAPPATI ======
+// Ogni token senza voce nella mappa generi passa tale e quale (es. "Period Drama"):
+// qui vengono registrati con fonte e titoli in cui sono comparsi, per la coda
+// "da mappare" della UI. Salvati in DATA_DIR/unmappedGenres.json.
+const SAVE_DELAY_MS = 1000;
+
+const unmappedStore = createJsonStore('unmappedGenres', { defaultValue: () => ({}) });
+
+// Oggetti senza prototipo: le chiavi arrivano da token e fonti esterne
+// ("__proto__", "constructor"...) e devono restare semplici chiavi
+const dict = (obj = {}) => Object.assign(Object.create(null), obj);
+
+function loadEntries(saved) {
+  const entries = dict();
+  for (const [key, entry] of Object.entries(saved || {})) {
+    entries[key] = { ...entry, sources: dict(entry.sources), titles: dict(entry.titles) };
+  }
+  return entries;
+}
+
+let unmapped;
+try {
+  unmapped = loadEntries(await unmappedStore.read());
+} catch (err) {
+  console.error('Elenco generi non mappati non valido, riparto da zero:', err.message);
+  unmapped = dict();
+}
+
+let saveTimer = null;
+let pendingSave = null;
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    pendingSave = unmappedStore
+      .write(unmapped)
+      .catch((err) => console.error('Errore salvataggio generi non mappati:', err.message));
+  }, SAVE_DELAY_MS);
+  // non tiene vivo il processo (CLI): vedi flushUnmappedGenres
+  saveTimer.unref?.();
+}
+
+/**
+ * Controlla i dati inviati dalla UI: token e fonte devono essere stringhe
+ * non vuote e non riservate. Ritorna l'elenco dei problemi ([] se validi).
+ */
+export function validateUnmappedInput({ tokens, source }) {
+  if (!Array.isArray(tokens)) return ['tokens deve essere un array'];
+  const problems = [];
+  tokens.forEach((token, index) => {
+    if (typeof token !== 'string' || !token.trim()) {
+      problems.push(`tokens[${index}]: deve essere una stringa non vuota`);
+    } else if (isReservedKey(token)) {
+      problems.push(`tokens[${index}]: token riservato "${token.trim()}"`);
+    }
+  });
+  if (typeof source !== 'string' || !source.trim() || isReservedKey(source)) {
+    problems.push('source non valida');
+  }
+  return problems;
+}
+
+/**
+ * Registra i token non presenti nella mappa generi.
+ * context: { source: 'tmdb' | 'imdb' | 'ai' | ..., kind: 'movie' | 'tv', id, title }
+ */
+export function recordUnmappedGenres(tokens = [], { source = 'altro', kind = 'movie', id = null, title = '' } = {}) {
+  const now = new Date().toISOString();
+  let changed = false;
+
+  for (const token of sanitizeGenres(tokens)) {
+    if (isMappedGenre(token)) continue;
+    const key = normalizeKey(token);
+    const entry = unmapped[key] || { token, sources: dict(), titles: dict(), firstSeen: now };
+    const titleKey = id ? `${kind}:${id}` : null;
+
+    // il conteggio è per titolo: riaprire lo stesso film non lo fa salire
+    const seenBefore = titleKey ? Boolean(entry.titles[titleKey]?.sources?.includes(source)) : false;
+    if (seenBefore) continue;
+
+    if (titleKey) {
+      const known = entry.titles[titleKey] || { kind, id: String(id), title, sources: [] };
+      entry.titles[titleKey] = { ...known, title: title || known.title, sources: [...known.sources, source] };
+    }
+    entry.sources[source] = (entry.sources[source] || 0) + 1;
+    entry.lastSeen = now;
+    unmapped[key] = entry;
+    changed = true;
+  }
+
+  if (changed) scheduleSave();
+}
+
+/**
+ * mapGenresToInternal che registra anche i token non mappati.
+ */
+export function mapGenresTracked(genres = [], context = {}) {
+  recordUnmappedGenres(genres, context);
+  return mapGenresToInternal(genres);
+}
+
+/**
+ * Coda "da mappare": token ancora senza voce nella mappa, i più frequenti prima.
+ * Quelli mappati nel frattempo vengono tolti dall'elenco.
+ */
+export function listUnmappedGenres() {
+  let pruned = false;
+  const items = [];
+
+  for (const [key, entry] of Object.entries(unmapped)) {
+    if (isMappedGenre(entry.token)) {
+      delete unmapped[key];
+      pruned = true;
+      continue;
+    }
+    const titles = Object.values(entry.titles);
+    items.push({
+      token: entry.token,
+      count: Object.values(entry.sources).reduce((sum, n) => sum + n, 0),
+      sources: entry.sources,
+      titles,
+      firstSeen: entry.firstSeen,
+      lastSeen: entry.lastSeen,
+    });
+  }
+
+  if (pruned) scheduleSave();
+  return items.sort((a, b) => b.count - a.count || compareText(a.token, b.token));
+}
+
+// Toglie un token dalla coda senza mapparlo (tornerà se ricompare)
+export function dismissUnmappedGenre(token) {
+  const key = normalizeKey(token);
+  if (!unmapped[key]) return false;
+  delete unmapped[key];
+  scheduleSave();
+  return true;
+}
+
+// Scrive subito le modifiche in sospeso (a fine comando della CLI)
+export async function flushUnmappedGenres() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    pendingSave = unmappedStore
+      .write(unmapped)
+      .catch((err) => console.error('Errore salvataggio generi non mappati:', err.message));
+  }
+  await pendingSave;
+}